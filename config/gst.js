@@ -0,0 +1,59 @@
+// GST settings for invoices. Prices charged to students are GST-inclusive.
+
+// State and union territory codes used in GSTINs and place of supply
+const STATE_CODES = {
+  '01': 'Jammu and Kashmir',
+  '02': 'Himachal Pradesh',
+  '03': 'Punjab',
+  '04': 'Chandigarh',
+  '05': 'Uttarakhand',
+  '06': 'Haryana',
+  '07': 'Delhi',
+  '08': 'Rajasthan',
+  '09': 'Uttar Pradesh',
+  '10': 'Bihar',
+  '11': 'Sikkim',
+  '12': 'Arunachal Pradesh',
+  '13': 'Nagaland',
+  '14': 'Manipur',
+  '15': 'Mizoram',
+  '16': 'Tripura',
+  '17': 'Meghalaya',
+  '18': 'Assam',
+  '19': 'West Bengal',
+  '20': 'Jharkhand',
+  '21': 'Odisha',
+  '22': 'Chhattisgarh',
+  '23': 'Madhya Pradesh',
+  '24': 'Gujarat',
+  '26': 'Dadra and Nagar Haveli and Daman and Diu',
+  '27': 'Maharashtra',
+  '29': 'Karnataka',
+  '30': 'Goa',
+  '31': 'Lakshadweep',
+  '32': 'Kerala',
+  '33': 'Tamil Nadu',
+  '34': 'Puducherry',
+  '35': 'Andaman and Nicobar Islands',
+  '36': 'Telangana',
+  '37': 'Andhra Pradesh',
+  '38': 'Ladakh',
+  '97': 'Other Territory'
+};
+
+const GSTIN_PATTERN = /^[0-9]{2}[A-Z]{5}[0-9]{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/;
+
+module.exports = {
+  STATE_CODES,
+  GSTIN_PATTERN,
+  rate: parseFloat(process.env.GST_RATE || 18),
+  sacCode: process.env.GST_SAC_CODE || '999293',
+  invoicePrefix: process.env.INVOICE_PREFIX || 'INV',
+  creditNotePrefix: process.env.CREDIT_NOTE_PREFIX || 'CN',
+  seller: {
+    legalName: process.env.SELLER_LEGAL_NAME || process.env.MERCHANT_NAME || 'Learning Platform',
+    address: process.env.SELLER_ADDRESS || '',
+    gstin: process.env.SELLER_GSTIN || '',
+    stateCode: process.env.SELLER_STATE_CODE || (process.env.SELLER_GSTIN || '').slice(0, 2) || '29'
+  }
+};
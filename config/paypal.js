@@ -0,0 +1,16 @@
+// PayPal has no official Node SDK for Orders v2, so the adapter calls the REST API directly
+const PAYPAL_API_URLS = {
+  sandbox: 'https://api-m.sandbox.paypal.com',
+  live: 'https://api-m.paypal.com'
+};
+
+const mode = process.env.PAYPAL_MODE === 'live' ? 'live' : 'sandbox';
+
+module.exports = {
+  mode,
+  baseUrl: PAYPAL_API_URLS[mode],
+  clientId: process.env.PAYPAL_CLIENT_ID,
+  clientSecret: process.env.PAYPAL_CLIENT_SECRET,
+  webhookId: process.env.PAYPAL_WEBHOOK_ID,
+  isConfigured: !!(process.env.PAYPAL_CLIENT_ID && process.env.PAYPAL_CLIENT_SECRET)
+};
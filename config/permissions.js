@@ -0,0 +1,65 @@
+// Named permissions checked by requirePermission(). Roles in the roles collection grant them.
+const PERMISSIONS = {
+  'dashboard:read': 'View dashboard statistics',
+  'users:read': 'List users',
+  'users:deactivate': 'Activate and deactivate user accounts',
+  'users:assign_roles': 'Change user roles (only to roles with permissions the assigner holds)',
+  'courses:write': 'Create and edit own courses and submit them for review',
+  'courses:manage_all': 'View and edit every course, set course status and feature courses',
+  'courses:review': 'Approve or reject courses submitted for review',
+  'courses:delete': 'Delete courses with their enrollments and payments',
+  'bundles:write': 'Create, edit and delete bundles',
+  'coupons:write': 'Create, edit and delete coupons',
+  'plans:write': 'Create and edit subscription plans',
+  'enrollments:read': 'View all enrollments',
+  'payments:read': 'View all payments and subscriptions',
+  'payments:refund': 'Issue refunds and decide refund requests',
+  'reports:read': 'View revenue, invoice and reconciliation reports',
+  'reconciliation:run': 'Run payment reconciliation',
+  'registration_fee:waive': 'Use paid features without paying the registration fee',
+  'roles:write': 'Create, edit and delete roles'
+};
+
+// Grants every permission, including ones added later
+const ALL_PERMISSIONS = '*';
+
+const ADMIN_PERMISSIONS = Object.keys(PERMISSIONS).filter(permission => permission !== 'roles:write');
+
+// Built-in roles created on startup. Their permissions can be edited afterwards,
+// except super_admin which always holds every permission.
+const DEFAULT_ROLES = [
+  {
+    name: 'student',
+    description: 'Learners buying and taking courses',
+    permissions: []
+  },
+  {
+    name: 'instructor',
+    description: 'Authors of their own courses',
+    permissions: ['courses:write']
+  },
+  {
+    name: 'beta',
+    description: 'Beta testers with free access',
+    permissions: ['registration_fee:waive']
+  },
+  {
+    name: 'admin',
+    description: 'Platform administrators',
+    permissions: ADMIN_PERMISSIONS
+  },
+  {
+    name: 'super_admin',
+    description: 'Administrators who also manage roles and permissions',
+    permissions: [ALL_PERMISSIONS]
+  }
+];
+
+const SUPER_ADMIN_ROLE = 'super_admin';
+
+module.exports = {
+  PERMISSIONS,
+  ALL_PERMISSIONS,
+  DEFAULT_ROLES,
+  SUPER_ADMIN_ROLE
+};
@@ -0,0 +1,20 @@
+const Razorpay = require('razorpay');
+
+if ((!process.env.RAZORPAY_KEY_ID || !process.env.RAZORPAY_KEY_SECRET) && process.env.PAYMENT_PROVIDER !== 'mock') {
+  console.warn('⚠️  RAZORPAY_KEY_ID or RAZORPAY_KEY_SECRET is not set, Razorpay payments are disabled. Set PAYMENT_PROVIDER=mock to use the local mock gateway');
+}
+
+// Initialize Razorpay with fallback values
+let razorpay;
+try {
+  razorpay = new Razorpay({
+    key_id: process.env.RAZORPAY_KEY_ID || 'rzp_test_1234567890',
+    key_secret: process.env.RAZORPAY_KEY_SECRET || 'test_secret_key_1234567890'
+  });
+} catch (error) {
+  console.warn('⚠️  Razorpay initialization failed:', error.message);
+  console.warn('⚠️  Payment features will be disabled. Please set RAZORPAY_KEY_ID and RAZORPAY_KEY_SECRET in your .env file');
+  razorpay = null;
+}
+
+module.exports = razorpay;
@@ -0,0 +1,14 @@
+const Stripe = require('stripe');
+
+// Initialize Stripe only when a secret key is configured
+let stripe = null;
+if (process.env.STRIPE_SECRET_KEY) {
+  try {
+    stripe = Stripe(process.env.STRIPE_SECRET_KEY);
+  } catch (error) {
+    console.warn('⚠️  Stripe initialization failed:', error.message);
+    stripe = null;
+  }
+}
+
+module.exports = stripe;
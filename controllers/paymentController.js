@@ -0,0 +1,327 @@
+const Payment = require('../models/Payment');
+const { fulfillPayment, FULFILLMENT_OUTCOMES } = require('../services/fulfillment');
+const { prepareCheckout, createCheckout } = require('../services/checkout');
+const { getProvider, resolveProvider, listProviders, getDefaultProviderName, getCurrencyRoutes } = require('../services/payments');
+const { processWebhookEvent } = require('../services/payments/webhooks');
+
+// Resolve the provider named in the route, a fixed one for alias routes, or req.body.provider.
+// "auto" is resolved later from the order currency.
+const loadProvider = (fixedName) => (req, res, next) => {
+  const name = fixedName || req.params.provider || req.body?.provider || 'auto';
+  if (name === 'auto') return next();
+
+  try {
+    req.paymentProvider = resolveProvider(name);
+    next();
+  } catch (error) {
+    res.status(error.status).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// Success message and granted access for each fulfilled payment type
+const fulfillmentResponses = {
+  registration: () => ({
+    message: 'Registration fee payment successful! You can now enroll in courses.'
+  }),
+  course: ({ course, enrollment, gift }) => (gift ? {
+    message: `Gift purchased! We have emailed the gift code to ${gift.recipientEmail}.`,
+    gift: {
+      code: gift.code,
+      courseId: course.c_id,
+      courseTitle: course.title,
+      recipientEmail: gift.recipientEmail,
+      expiresAt: gift.expiresAt
+    }
+  } : {
+    message: 'Course enrollment successful! You now have access to the course content.',
+    enrollment: {
+      courseId: course.c_id,
+      courseTitle: course.title,
+      expiresAt: enrollment.expiresAt
+    }
+  }),
+  renewal: ({ course, enrollment }) => ({
+    message: 'Course access renewed successfully! Your progress has been kept.',
+    enrollment: {
+      courseId: course.c_id,
+      courseTitle: course.title,
+      expiresAt: enrollment.expiresAt
+    }
+  }),
+  cart: ({ enrollments }) => ({
+    message: 'Checkout successful! You now have access to all courses in your order.',
+    enrollments: enrollments.map(item => ({
+      courseId: item.course.c_id,
+      courseTitle: item.course.title,
+      expiresAt: item.enrollment.expiresAt
+    }))
+  }),
+  bundle: ({ enrollments, skippedCourses }) => ({
+    message: 'Bundle purchase successful! You now have access to all courses in the bundle.',
+    enrollments: enrollments.map(item => ({
+      courseId: item.course.c_id,
+      courseTitle: item.course.title,
+      expiresAt: item.enrollment.expiresAt
+    })),
+    skippedCourses
+  })
+};
+
+// @desc    List payment providers and how currencies are routed
+const getProviders = (req, res) => {
+  res.json({
+    success: true,
+    defaultProvider: getDefaultProviderName(),
+    currencyRoutes: getCurrencyRoutes(),
+    providers: listProviders()
+  });
+};
+
+// @desc    Create a provider order and a pending payment record.
+//          paymentType is fixed for alias routes, otherwise read from req.body.type.
+const createOrder = (paymentType) => async (req, res) => {
+  try {
+    const prepared = await prepareCheckout(paymentType || req.body.type, req.user, req.body);
+    const provider = req.paymentProvider || resolveProvider('auto', prepared.currency);
+    const { payment, order } = await createCheckout(provider, req.user, prepared);
+
+    res.json({
+      success: true,
+      provider: provider.name,
+      order: {
+        id: order.orderId,
+        amount: order.amount,
+        currency: order.currency,
+        receipt: order.receipt
+      },
+      checkout: order.checkout,
+      ...prepared.details,
+      paymentId: payment._id
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+        ...error.details
+      });
+    }
+
+    console.error('Create payment order error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create payment order. Please try again.'
+    });
+  }
+};
+
+// @desc    Verify a payment with its provider and grant access
+const verifyPayment = async (req, res) => {
+  try {
+    const { paymentId } = req.body;
+
+    if (!paymentId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Missing required payment verification data.'
+      });
+    }
+
+    // Find payment record
+    const payment = await Payment.findById(paymentId);
+    if (!payment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payment record not found.'
+      });
+    }
+
+    if (payment.user !== req.user.author_id) {
+      return res.status(403).json({
+        success: false,
+        message: 'This payment does not belong to you.'
+      });
+    }
+
+    const provider = req.paymentProvider || resolveProvider(payment.paymentGateway.provider);
+    if (payment.paymentGateway.provider !== provider.name) {
+      return res.status(400).json({
+        success: false,
+        message: 'Payment was not made with this payment provider.'
+      });
+    }
+
+    const verification = await provider.verifyPayment({ payment, body: req.body });
+    if (!verification.verified) {
+      return res.status(verification.status || 400).json({
+        success: false,
+        message: verification.reason
+      });
+    }
+
+    // The webhook may already have fulfilled this payment
+    const result = await fulfillPayment(payment, {
+      paymentId: verification.paymentId,
+      signature: verification.signature,
+      method: verification.method
+    });
+
+    if (result.outcome === FULFILLMENT_OUTCOMES.NOT_FULFILLABLE) {
+      return res.status(400).json({
+        success: false,
+        message: 'Payment can no longer be processed. Please contact support.'
+      });
+    }
+
+    if (result.outcome === FULFILLMENT_OUTCOMES.ALREADY_FULFILLED) {
+      return res.json({
+        success: true,
+        message: 'Payment has already been processed.',
+        alreadyFulfilled: true,
+        paymentType: payment.paymentType
+      });
+    }
+
+    res.json({
+      success: true,
+      paymentType: payment.paymentType,
+      ...fulfillmentResponses[payment.paymentType](result)
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Payment verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Payment verification failed. Please contact support.'
+    });
+  }
+};
+
+// @desc    Receive a provider webhook, verify it and apply the event
+const handleWebhook = async (req, res) => {
+  try {
+    const provider = req.paymentProvider;
+    if (!provider) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhooks must be sent to a specific payment provider.'
+      });
+    }
+
+    const parsed = await provider.parseWebhook(req);
+
+    if (!parsed.configured) {
+      console.warn(`⚠️  Webhook secret for ${provider.name} is not set, rejecting webhook`);
+      return res.status(503).json({
+        success: false,
+        message: 'Webhook processing is not configured.'
+      });
+    }
+
+    if (!parsed.verified) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid webhook signature.'
+      });
+    }
+
+    if (!parsed.event) {
+      return res.json({
+        success: true,
+        message: `Event ${parsed.eventName} ignored.`
+      });
+    }
+
+    const outcome = await processWebhookEvent(provider, parsed.event, req.body);
+    console.log(`${provider.name} webhook ${parsed.eventName}: ${outcome}`);
+
+    res.json({
+      success: true,
+      event: parsed.eventName,
+      outcome
+    });
+  } catch (error) {
+    // A non-2xx response makes the provider retry the delivery
+    console.error('Webhook processing error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Webhook processing failed.'
+    });
+  }
+};
+
+// @desc    Get a payment's status, settling it first if the provider captured it
+const getPaymentStatus = async (req, res) => {
+  try {
+    const payment = await Payment.findOne({
+      _id: req.params.paymentId,
+      user: req.user.author_id
+    });
+
+    if (!payment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payment not found.'
+      });
+    }
+
+    const provider = getProvider(payment.paymentGateway.provider);
+    if (payment.status === 'pending' && provider?.isAvailable()) {
+      try {
+        const gatewayStatus = await provider.fetchStatus({
+          orderId: payment.paymentGateway.orderId,
+          paymentLinkId: payment.paymentGateway.paymentLinkId
+        });
+        const captured = gatewayStatus.payments.find(item => item.status === 'captured');
+
+        if (captured) {
+          const result = await fulfillPayment(payment, {
+            paymentId: captured.id,
+            method: captured.method
+          });
+          payment.status = result.payment.status;
+        }
+      } catch (error) {
+        // The stored status is still a valid answer
+        console.error('Fetch gateway payment status error:', error.message);
+      }
+    }
+
+    res.json({
+      success: true,
+      payment: {
+        id: payment._id,
+        amount: payment.amount,
+        currency: payment.currency,
+        status: payment.status,
+        paymentType: payment.paymentType,
+        provider: payment.paymentGateway.provider,
+        createdAt: payment.createdAt
+      }
+    });
+  } catch (error) {
+    console.error('Get payment status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get payment status.'
+    });
+  }
+};
+
+module.exports = {
+  loadProvider,
+  getProviders,
+  createOrder,
+  verifyPayment,
+  handleWebhook,
+  getPaymentStatus
+};
@@ -0,0 +1,78 @@
+const Enrollment = require('../models/Enrollment');
+const Course = require('../models/Course');
+const User = require('../models/User');
+const { sendMail } = require('../services/mailer');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Days before expiry at which learners are reminded
+const REMINDER_THRESHOLDS = [30, 7, 1];
+
+// Mark enrollments whose access has lapsed as expired
+const expireEnrollments = async () => {
+  const result = await Enrollment.updateMany(
+    { status: 'active', expiresAt: { $lte: new Date() } },
+    { status: 'expired' }
+  );
+
+  return { expired: result.modifiedCount };
+};
+
+// Email learners whose access ends within 30, 7 or 1 days. Each threshold is sent once;
+// if the job first sees an enrollment late, only the closest threshold is sent.
+const sendExpiryReminders = async () => {
+  const now = new Date();
+  const windowEnd = new Date(now.getTime() + Math.max(...REMINDER_THRESHOLDS) * DAY_MS);
+
+  // Plan enrollments end with the subscription, which has its own notices
+  const enrollments = await Enrollment.find({
+    status: 'active',
+    source: { $ne: 'subscription' },
+    expiresAt: { $gt: now, $lte: windowEnd },
+    expiryRemindersSent: { $not: { $all: REMINDER_THRESHOLDS } }
+  });
+
+  let sent = 0;
+
+  for (const enrollment of enrollments) {
+    const daysLeft = Math.ceil((enrollment.expiresAt - now) / DAY_MS);
+    const due = REMINDER_THRESHOLDS.filter(days => days >= daysLeft);
+    const threshold = Math.min(...due);
+
+    if (enrollment.expiryRemindersSent.includes(threshold)) continue;
+
+    const [user, course] = await Promise.all([
+      User.findOne({ author_id: enrollment.user, isActive: true }).select('firstName email'),
+      Course.findOne({ c_id: enrollment.course }).select('c_id title')
+    ]);
+
+    if (user && course) {
+      await sendMail({
+        to: user.email,
+        subject: `Your access to ${course.title} ends in ${daysLeft} day${daysLeft === 1 ? '' : 's'}`,
+        text: [
+          `Hi ${user.firstName},`,
+          '',
+          `Your access to "${course.title}" expires on ${enrollment.expiresAt.toDateString()}.`,
+          'Renew now to keep learning without losing your progress:',
+          `${process.env.FRONTEND_URL || 'http://localhost:3000'}/courses/${course.c_id}`
+        ].join('\n')
+      });
+      sent++;
+    }
+
+    // Record this and any larger thresholds so they are not sent later
+    await Enrollment.updateOne(
+      { _id: enrollment._id },
+      { $addToSet: { expiryRemindersSent: { $each: due } } }
+    );
+  }
+
+  return { checked: enrollments.length, sent };
+};
+
+module.exports = {
+  REMINDER_THRESHOLDS,
+  expireEnrollments,
+  sendExpiryReminders
+};
@@ -0,0 +1,16 @@
+const Gift = require('../models/Gift');
+
+// Mark gifts that were not redeemed in time as expired. Redemption checks the
+// expiry date itself, so this only keeps statuses accurate for purchasers.
+const expireGifts = async () => {
+  const result = await Gift.updateMany(
+    { status: 'active', expiresAt: { $lte: new Date() } },
+    { status: 'expired' }
+  );
+
+  return { expired: result.modifiedCount };
+};
+
+module.exports = {
+  expireGifts
+};
@@ -0,0 +1,16 @@
+const { registerJob } = require('../services/scheduler');
+const { expireEnrollments, sendExpiryReminders } = require('./enrollmentJobs');
+const { cancelAbandonedPayments } = require('./paymentJobs');
+const { expireGifts } = require('./giftJobs');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Register every recurring job with the scheduler
+const registerJobs = () => {
+  registerJob('expire-enrollments', HOUR_MS, expireEnrollments);
+  registerJob('expiry-reminders', 24 * HOUR_MS, sendExpiryReminders);
+  registerJob('cancel-abandoned-payments', HOUR_MS, cancelAbandonedPayments);
+  registerJob('expire-gifts', 24 * HOUR_MS, expireGifts);
+};
+
+module.exports = registerJobs;
@@ -0,0 +1,28 @@
+const Payment = require('../models/Payment');
+
+// Hours after which an unpaid gateway order counts as abandoned
+const getPendingTimeoutHours = () => parseInt(process.env.PENDING_PAYMENT_TIMEOUT_HOURS || 24);
+
+// Cancel pending payments whose gateway orders were never paid. A capture that
+// still arrives later is fulfilled anyway, see services/fulfillment.js.
+const cancelAbandonedPayments = async () => {
+  const cutoff = new Date(Date.now() - getPendingTimeoutHours() * 60 * 60 * 1000);
+
+  const result = await Payment.updateMany(
+    {
+      status: 'pending',
+      'paymentGateway.provider': { $ne: 'free' },
+      createdAt: { $lte: cutoff }
+    },
+    {
+      status: 'cancelled',
+      failureReason: 'Payment order abandoned'
+    }
+  );
+
+  return { cancelled: result.modifiedCount };
+};
+
+module.exports = {
+  cancelAbandonedPayments
+};
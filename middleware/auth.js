@@ -1,14 +1,24 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Course = require('../models/Course');
+const { getRolePermissions } = require('../services/permissions');
+const { getVerificationPolicy } = require('../services/emailVerification');
+const { isTwoFactorRequired } = require('../services/twoFactor');
+const { isSessionActive } = require('../services/sessions');
+const { isApiKey, authenticateApiKey } = require('../services/apiKeys');
 
-// Verify JWT token from cookies
+// Token from an "Authorization: Bearer <token>" header, for clients without cookies
+const getBearerToken = (req) => {
+  const [scheme, token] = (req.headers.authorization || '').split(' ');
+  return scheme && scheme.toLowerCase() === 'bearer' && token ? token : null;
+};
+
+// Verify JWT token from the Authorization header or cookies
 const authenticateToken = async (req, res, next) => {
   try {
-    console.log('Auth middleware - Request cookies:', req.cookies);
-    console.log('Auth middleware - Request headers:', req.headers);
     console.log('Auth middleware - Origin:', req.headers.origin);
     
-    const token = req.cookies.accessToken;
+    const token = getBearerToken(req) || req.cookies.accessToken;
     console.log('Auth middleware - Access token found:', !!token);
     
     if (!token) {
@@ -19,13 +29,23 @@ const authenticateToken = async (req, res, next) => {
       });
     }
 
+    if (isApiKey(token)) {
+      return res.status(403).json({
+        success: false,
+        message: 'API keys can only be used with the admin and instructor APIs.'
+      });
+    }
+
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
     
-    // Find user and check if they're active
-    const user = await User.findOne({ 
-      author_id: decoded.userId,
-      isActive: true 
-    }).select('-password -refreshTokens');
+    // Find user and check if they're active, and that the session was not revoked
+    const [user, sessionActive] = await Promise.all([
+      User.findOne({ 
+        author_id: decoded.userId,
+        isActive: true 
+      }).select('-password'),
+      isSessionActive(decoded.sid, decoded.userId)
+    ]);
 
     if (!user) {
       return res.status(401).json({
@@ -34,7 +54,15 @@ const authenticateToken = async (req, res, next) => {
       });
     }
 
+    if (!sessionActive) {
+      return res.status(401).json({
+        success: false,
+        message: 'Your session has ended. Please login again.'
+      });
+    }
+
     req.user = user;
+    req.sessionId = decoded.sid;
     next();
   } catch (error) {
     if (error.name === 'JsonWebTokenError') {
@@ -59,6 +87,36 @@ const authenticateToken = async (req, res, next) => {
   }
 };
 
+// Like authenticateToken, but also accepts personal API keys. Only for routers where
+// every route checks a permission, since a key's scopes are enforced by requirePermission.
+const authenticateTokenOrApiKey = async (req, res, next) => {
+  const token = getBearerToken(req);
+  if (!isApiKey(token)) {
+    return authenticateToken(req, res, next);
+  }
+
+  try {
+    const result = await authenticateApiKey(token, { ip: req.ip });
+    if (!result) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid, expired or revoked API key.'
+      });
+    }
+
+    req.user = result.user;
+    req.apiKey = result.apiKey;
+    req.sessionId = null;
+    next();
+  } catch (error) {
+    console.error('API key auth error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Authentication error. Please try again.'
+    });
+  }
+};
+
 // Check if user has specific role
 const authorizeRole = (...roles) => {
   return (req, res, next) => {
@@ -80,6 +138,113 @@ const authorizeRole = (...roles) => {
   };
 };
 
+// Load the permissions of the user's role once per request, narrowed to the API key's scopes
+const loadPermissions = async (req) => {
+  if (!req.permissions) {
+    const granted = await getRolePermissions(req.user.role);
+    req.permissions = req.apiKey
+      ? granted.filter(permission => req.apiKey.scopes.includes(permission))
+      : granted;
+  }
+  return req.permissions;
+};
+
+// Check if user's role grants all of the given permissions
+const requirePermission = (...permissions) => {
+  return async (req, res, next) => {
+    try {
+      if (!req.user) {
+        return res.status(401).json({
+          success: false,
+          message: 'Authentication required.'
+        });
+      }
+
+      // Roles listed in TWO_FACTOR_REQUIRED_ROLES use no permission until 2FA is on
+      if (isTwoFactorRequired(req.user) && !req.user.twoFactor?.enabled) {
+        return res.status(403).json({
+          success: false,
+          message: 'Two-factor authentication must be enabled for your account first.',
+          twoFactorSetupRequired: true
+        });
+      }
+
+      const granted = await loadPermissions(req);
+      if (!permissions.every(permission => granted.includes(permission))) {
+        return res.status(403).json({
+          success: false,
+          message: 'Insufficient permissions. Access denied.'
+        });
+      }
+
+      next();
+    } catch (error) {
+      console.error('Permission check error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Error checking permissions.'
+      });
+    }
+  };
+};
+
+// Check that the course in :courseId belongs to the user (courses:manage_all may manage any course)
+const requireCourseOwnership = async (req, res, next) => {
+  try {
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Authentication required.'
+      });
+    }
+
+    const course = await Course.findOne({ c_id: req.params.courseId }).select('+pendingRevision');
+    if (!course) {
+      return res.status(404).json({
+        success: false,
+        message: 'Course not found'
+      });
+    }
+
+    const permissions = await loadPermissions(req);
+    if (course.author_id !== req.user.author_id && !permissions.includes('courses:manage_all')) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only manage your own courses.'
+      });
+    }
+
+    req.course = course;
+    next();
+  } catch (error) {
+    console.error('Course ownership check error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Error checking course ownership.'
+    });
+  }
+};
+
+// Block paid actions until the email address is verified (EMAIL_VERIFICATION_POLICY=payments)
+const requireVerifiedEmail = (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({
+      success: false,
+      message: 'Authentication required.'
+    });
+  }
+
+  if (getVerificationPolicy() === 'off' || req.user.emailVerified) {
+    return next();
+  }
+
+  return res.status(403).json({
+    success: false,
+    message: 'Please verify your email address before making a payment.',
+    emailVerificationRequired: true
+  });
+};
+
 // Check if user has paid registration fee
 const requireRegistrationFee = async (req, res, next) => {
   try {
@@ -90,7 +255,8 @@ const requireRegistrationFee = async (req, res, next) => {
       });
     }
 
-    if (req.user.role === 'admin' || req.user.role === 'beta') {
+    const permissions = await loadPermissions(req);
+    if (permissions.includes('registration_fee:waive')) {
       return next();
     }
 
@@ -116,20 +282,26 @@ const requireRegistrationFee = async (req, res, next) => {
 // Optional authentication (doesn't fail if no token)
 const optionalAuth = async (req, res, next) => {
   try {
-    const token = req.cookies.accessToken;
+    const token = getBearerToken(req) || req.cookies.accessToken;
     
-    if (!token) {
+    // API keys are not accepted here, so they count as anonymous
+    if (!token || isApiKey(token)) {
       req.user = null;
       return next();
     }
 
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const user = await User.findOne({ 
-      author_id: decoded.userId,
-      isActive: true 
-    }).select('-password -refreshTokens');
+    const [user, sessionActive] = await Promise.all([
+      User.findOne({ 
+        author_id: decoded.userId,
+        isActive: true 
+      }).select('-password'),
+      isSessionActive(decoded.sid, decoded.userId)
+    ]);
 
-    req.user = user;
+    // A revoked session counts as signed out
+    req.user = sessionActive ? user : null;
+    req.sessionId = req.user ? decoded.sid : null;
     next();
   } catch (error) {
     // If token is invalid, just continue without user
@@ -138,23 +310,6 @@ const optionalAuth = async (req, res, next) => {
   }
 };
 
-// Generate JWT tokens
-const generateTokens = (userId) => {
-  const accessToken = jwt.sign(
-    { userId },
-    process.env.JWT_SECRET,
-    { expiresIn: process.env.JWT_EXPIRE || '24h' }
-  );
-
-  const refreshToken = jwt.sign(
-    { userId },
-    process.env.JWT_REFRESH_SECRET,
-    { expiresIn: process.env.JWT_REFRESH_EXPIRE || '7d' }
-  );
-
-  return { accessToken, refreshToken };
-};
-
 // Set token cookies
 const setTokenCookies = (res, accessToken, refreshToken) => {
   const isProduction = process.env.NODE_ENV === 'production';
@@ -240,10 +395,13 @@ const clearTokenCookies = (res) => {
 
 module.exports = {
   authenticateToken,
+  authenticateTokenOrApiKey,
   authorizeRole,
+  requirePermission,
+  requireCourseOwnership,
+  requireVerifiedEmail,
   requireRegistrationFee,
   optionalAuth,
-  generateTokens,
   setTokenCookies,
   clearTokenCookies
 };
@@ -1,5 +1,7 @@
 const Enrollment = require('../models/Enrollment');
 const Course = require('../models/Course');
+const { grantPlanAccess } = require('../services/subscriptions');
+const { hasPermission } = require('../services/permissions');
 
 // Check if user has access to a specific course
 const checkCourseAccess = async (req, res, next) => {
@@ -38,6 +40,17 @@ const checkCourseAccess = async (req, res, next) => {
       status: 'active'
     });
 
+    // Without current access of their own, subscribers get in through their plan
+    if (!enrollment || new Date() > enrollment.expiresAt) {
+      const planAccess = await grantPlanAccess(userId, course);
+      if (planAccess) {
+        req.enrollment = planAccess.enrollment;
+        req.subscription = planAccess.subscription;
+        req.course = course;
+        return next();
+      }
+    }
+
     if (!enrollment) {
       return res.status(403).json({
         success: false,
@@ -123,6 +136,17 @@ const checkTopicAccess = async (req, res, next) => {
       status: 'active'
     });
 
+    if ((!enrollment || new Date() > enrollment.expiresAt) && course.status === 'published') {
+      const planAccess = await grantPlanAccess(userId, course);
+      if (planAccess) {
+        req.topic = topic;
+        req.section = section;
+        req.enrollment = planAccess.enrollment;
+        req.subscription = planAccess.subscription;
+        return next();
+      }
+    }
+
     if (!enrollment) {
       return res.status(403).json({
         success: false,
@@ -197,7 +221,7 @@ const checkEnrollmentEligibility = async (req, res, next) => {
     }
 
     // Check if user has paid registration fee
-    if (!req.user.hasPaidRegistrationFee && req.user.role === 'student') {
+    if (!req.user.hasPaidRegistrationFee && !(await hasPermission(req.user, 'registration_fee:waive'))) {
       return res.status(402).json({
         success: false,
         message: 'Registration fee payment required to enroll in courses.',
@@ -206,14 +230,15 @@ const checkEnrollmentEligibility = async (req, res, next) => {
       });
     }
 
-    // Check if already enrolled
+    // Check if already enrolled; access through a plan does not stop a purchase
     const existingEnrollment = await Enrollment.findOne({
       user: userId,
       course: courseId,
+      source: { $ne: 'subscription' },
       status: { $in: ['active', 'expired'] }
     });
 
-    if (existingEnrollment) {
+    if (existingEnrollment && !existingEnrollment.hasExpired()) {
       return res.status(400).json({
         success: false,
         message: 'You are already enrolled in this course.',
@@ -237,7 +262,9 @@ const checkEnrollmentEligibility = async (req, res, next) => {
       });
     }
 
+    // Lapsed access can be renewed rather than bought again
     req.course = course;
+    req.expiredEnrollment = existingEnrollment || null;
     next();
   } catch (error) {
     console.error('Enrollment eligibility check error:', error);
@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+const { PERMISSIONS } = require('../config/permissions');
+
+// Personal API key for scripts and integrations. Only a SHA-256 hash of the key is stored;
+// the prefix is kept in clear so users can tell their keys apart.
+const apiKeySchema = new mongoose.Schema({
+  user: {
+    type: String,
+    required: [true, 'User is required'],
+    ref: 'User'
+  },
+  name: {
+    type: String,
+    required: [true, 'Key name is required'],
+    trim: true,
+    maxlength: [100, 'Key name cannot exceed 100 characters']
+  },
+  prefix: {
+    type: String,
+    required: true
+  },
+  keyHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Permissions the key may use; the owner's role must still grant them when the key is used
+  scopes: {
+    type: [String],
+    validate: {
+      validator: (scopes) => scopes.length > 0 && scopes.every(scope => PERMISSIONS[scope]),
+      message: 'Scopes must be one or more known permissions'
+    }
+  },
+  expiresAt: Date,
+  lastUsedAt: Date,
+  lastUsedIp: String,
+  revokedAt: Date
+}, {
+  timestamps: true
+});
+
+apiKeySchema.index({ user: 1, createdAt: -1 });
+
+module.exports = mongoose.model('ApiKey', apiKeySchema);
@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+// One-time tokens sent by email. Only a SHA-256 hash of the token is stored.
+const authTokenSchema = new mongoose.Schema({
+  user: {
+    type: String,
+    required: [true, 'User is required'],
+    ref: 'User'
+  },
+  purpose: {
+    type: String,
+    required: [true, 'Token purpose is required'],
+    enum: ['password_reset', 'account_unlock']
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  usedAt: Date,
+  requestIp: String
+}, {
+  timestamps: true
+});
+
+authTokenSchema.index({ user: 1, purpose: 1 });
+// Remove tokens a day after they expire
+authTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+module.exports = mongoose.model('AuthToken', authTokenSchema);
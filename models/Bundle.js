@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+const { v4: uuidv4 } = require('uuid');
+
+const bundleSchema = new mongoose.Schema({
+  b_id: {
+    type: String,
+    default: () => uuidv4(),
+    unique: true,
+    required: true
+  },
+  title: {
+    type: String,
+    required: [true, 'Bundle title is required'],
+    trim: true,
+    maxlength: [200, 'Bundle title cannot exceed 200 characters']
+  },
+  description: {
+    type: String,
+    required: [true, 'Bundle description is required'],
+    trim: true,
+    maxlength: [2000, 'Bundle description cannot exceed 2000 characters']
+  },
+  shortDescription: {
+    type: String,
+    trim: true,
+    maxlength: [300, 'Short description cannot exceed 300 characters']
+  },
+  thumbnail: {
+    type: String,
+    required: [true, 'Bundle thumbnail is required']
+  },
+  // Course c_ids included in the bundle
+  courses: {
+    type: [{
+      type: String,
+      ref: 'Course'
+    }],
+    validate: {
+      validator: (courses) => courses.length >= 2 && new Set(courses).size === courses.length,
+      message: 'A bundle needs at least two different courses'
+    }
+  },
+  price: {
+    type: Number,
+    required: [true, 'Bundle price is required'],
+    min: [1, 'Bundle price must be at least 1']
+  },
+  currency: {
+    type: String,
+    default: 'INR',
+    enum: ['INR', 'USD', 'EUR']
+  },
+  status: {
+    type: String,
+    enum: ['draft', 'published', 'archived'],
+    default: 'draft'
+  },
+  isFeatured: {
+    type: Boolean,
+    default: false
+  },
+  createdBy: {
+    type: String,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+bundleSchema.index({ status: 1 });
+bundleSchema.index({ courses: 1 });
+bundleSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('Bundle', bundleSchema);
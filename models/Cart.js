@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+
+const cartItemSchema = new mongoose.Schema({
+  course: {
+    type: String,
+    required: [true, 'Course ID is required'],
+    ref: 'Course'
+  },
+  addedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const cartSchema = new mongoose.Schema({
+  user: {
+    type: String,
+    required: [true, 'User ID is required'],
+    unique: true,
+    ref: 'User'
+  },
+  items: [cartItemSchema]
+}, {
+  timestamps: true
+});
+
+// Method to check whether a course is already in the cart
+cartSchema.methods.hasCourse = function(courseId) {
+  return this.items.some(item => item.course === courseId);
+};
+
+module.exports = mongoose.model('Cart', cartSchema);
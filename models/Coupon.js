@@ -0,0 +1,113 @@
+const mongoose = require('mongoose');
+
+const couponSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, 'Coupon code is required'],
+    unique: true,
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z0-9_-]{3,30}$/, 'Coupon code must be 3-30 letters, numbers, dashes or underscores']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [300, 'Description cannot exceed 300 characters']
+  },
+  discountType: {
+    type: String,
+    required: [true, 'Discount type is required'],
+    enum: ['percentage', 'flat']
+  },
+  discountValue: {
+    type: Number,
+    required: [true, 'Discount value is required'],
+    min: [0, 'Discount value cannot be negative'],
+    validate: {
+      validator: function(value) {
+        return this.discountType !== 'percentage' || value <= 100;
+      },
+      message: 'Percentage discount cannot exceed 100'
+    }
+  },
+  maxDiscountAmount: {
+    type: Number,
+    min: [0, 'Maximum discount cannot be negative']
+  },
+  // Course c_ids this coupon applies to; empty means sitewide
+  applicableCourses: [{
+    type: String,
+    ref: 'Course'
+  }],
+  minimumPrice: {
+    type: Number,
+    default: 0,
+    min: [0, 'Minimum price cannot be negative']
+  },
+  usageLimit: {
+    type: Number,
+    min: [1, 'Usage limit must be at least 1']
+  },
+  perUserLimit: {
+    type: Number,
+    default: 1,
+    min: [1, 'Per-user limit must be at least 1']
+  },
+  redemptionCount: {
+    type: Number,
+    default: 0
+  },
+  validFrom: {
+    type: Date,
+    default: Date.now
+  },
+  validUntil: Date,
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: String,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+couponSchema.index({ isActive: 1, validUntil: 1 });
+couponSchema.index({ applicableCourses: 1 });
+
+// Virtual for sitewide coupons
+couponSchema.virtual('isSitewide').get(function() {
+  return !this.applicableCourses || this.applicableCourses.length === 0;
+});
+
+// Method to check active flag, validity window and total usage limit
+couponSchema.methods.isCurrentlyValid = function(now = new Date()) {
+  if (!this.isActive) return false;
+  if (this.validFrom && now < this.validFrom) return false;
+  if (this.validUntil && now > this.validUntil) return false;
+  if (this.usageLimit && this.redemptionCount >= this.usageLimit) return false;
+  return true;
+};
+
+// Method to check whether the coupon can be used for a course
+couponSchema.methods.appliesToCourse = function(courseId) {
+  return this.isSitewide || this.applicableCourses.includes(courseId);
+};
+
+// Method to calculate the discount for a price, never more than the price itself
+couponSchema.methods.calculateDiscount = function(price) {
+  let discount = this.discountType === 'percentage'
+    ? (price * this.discountValue) / 100
+    : this.discountValue;
+
+  if (this.maxDiscountAmount !== undefined && this.maxDiscountAmount !== null) {
+    discount = Math.min(discount, this.maxDiscountAmount);
+  }
+
+  return Math.round(Math.min(discount, price) * 100) / 100;
+};
+
+module.exports = mongoose.model('Coupon', couponSchema);
@@ -91,6 +91,11 @@ const courseSchema = new mongoose.Schema({
     type: Number,
     min: [0, 'Original price cannot be negative']
   },
+  // Price to extend access once it expires; falls back to price
+  renewalPrice: {
+    type: Number,
+    min: [0, 'Renewal price cannot be negative']
+  },
   currency: {
     type: String,
     default: 'INR',
@@ -98,9 +103,32 @@ const courseSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['draft', 'published', 'archived'],
+    enum: ['draft', 'pending_review', 'published', 'rejected', 'archived'],
     default: 'draft'
   },
+  // Admin review of courses submitted by instructors
+  review: {
+    submittedAt: Date,
+    reviewedAt: Date,
+    reviewedBy: {
+      type: String,
+      ref: 'User'
+    },
+    feedback: {
+      type: String,
+      trim: true,
+      maxlength: [1000, 'Review feedback cannot exceed 1000 characters']
+    }
+  },
+  // Edits an instructor made to a published course, waiting for admin review. Students keep
+  // seeing the approved content until then, so this is only loaded where it is needed.
+  pendingRevision: {
+    type: new mongoose.Schema({
+      changes: mongoose.Schema.Types.Mixed,
+      submittedAt: Date
+    }, { _id: false }),
+    select: false
+  },
   author_id: {
     type: String,
     required: [true, 'Author ID is required'],
@@ -167,6 +195,7 @@ const courseSchema = new mongoose.Schema({
 // Indexes for better query performance
 courseSchema.index({ author_id: 1 });
 courseSchema.index({ status: 1 });
+courseSchema.index({ 'pendingRevision.submittedAt': 1 }, { sparse: true });
 courseSchema.index({ price: 1 });
 courseSchema.index({ tags: 1 });
 courseSchema.index({ createdAt: -1 });
@@ -179,6 +208,11 @@ courseSchema.virtual('discountPercentage').get(function() {
   return 0;
 });
 
+// Virtual for the price charged to renew access
+courseSchema.virtual('effectiveRenewalPrice').get(function() {
+  return this.renewalPrice ?? this.price;
+});
+
 // Virtual for total topics count
 courseSchema.virtual('totalTopics').get(function() {
   return this.sections.reduce((total, section) => total + section.topics.length, 0);
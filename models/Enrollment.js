@@ -25,10 +25,23 @@ const enrollmentSchema = new mongoose.Schema({
     enum: ['active', 'expired', 'cancelled', 'suspended'],
     default: 'active'
   },
+  // Purchased enrollments point at their payment. Subscription enrollments follow
+  // the subscription's access and are kept when it lapses so progress survives.
+  source: {
+    type: String,
+    enum: ['purchase', 'subscription'],
+    default: 'purchase'
+  },
   payment: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Payment',
-    required: [true, 'Payment reference is required']
+    required: [function() {
+      return this.source !== 'subscription';
+    }, 'Payment reference is required']
+  },
+  subscription: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Subscription'
   },
   progress: {
     completedTopics: [{
@@ -54,6 +67,20 @@ const enrollmentSchema = new mongoose.Schema({
       max: 100
     }
   },
+  renewals: [{
+    payment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Payment'
+    },
+    previousExpiresAt: Date,
+    expiresAt: Date,
+    renewedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Days-before-expiry thresholds (30, 7, 1) already reminded about
+  expiryRemindersSent: [Number],
   certificateIssued: {
     type: Boolean,
     default: false
@@ -76,6 +103,8 @@ enrollmentSchema.index({ user: 1 });
 enrollmentSchema.index({ course: 1 });
 enrollmentSchema.index({ status: 1 });
 enrollmentSchema.index({ expiresAt: 1 });
+enrollmentSchema.index({ 'renewals.payment': 1 });
+enrollmentSchema.index({ user: 1, source: 1, status: 1 });
 
 // Virtual for enrollment duration in days
 enrollmentSchema.virtual('enrollmentDurationDays').get(function() {
@@ -96,6 +125,11 @@ enrollmentSchema.methods.isActive = function() {
   return this.status === 'active' && new Date() < this.expiresAt;
 };
 
+// Method to check if access has lapsed, whether or not the status was updated yet
+enrollmentSchema.methods.hasExpired = function() {
+  return this.status === 'expired' || (this.status === 'active' && new Date() >= this.expiresAt);
+};
+
 // Method to update progress
 enrollmentSchema.methods.updateProgress = function(sectionIndex, topicIndex) {
   const topicKey = `${sectionIndex}-${topicIndex}`;
@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// Letters and digits that are hard to mistake for each other when typed from an email
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+const giftSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true
+  },
+  purchaser: {
+    type: String,
+    required: [true, 'Purchaser is required'],
+    ref: 'User'
+  },
+  course: {
+    type: String,
+    required: [true, 'Course ID is required'],
+    ref: 'Course'
+  },
+  payment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment',
+    required: [true, 'Payment reference is required']
+  },
+  recipientEmail: {
+    type: String,
+    required: [true, 'Recipient email is required'],
+    lowercase: true,
+    trim: true
+  },
+  recipientName: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Recipient name cannot exceed 100 characters']
+  },
+  message: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Message cannot exceed 500 characters']
+  },
+  status: {
+    type: String,
+    enum: ['active', 'redeemed', 'expired', 'cancelled'],
+    default: 'active'
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  redeemedBy: {
+    type: String,
+    ref: 'User'
+  },
+  redeemedAt: Date,
+  emailSentAt: Date
+}, {
+  timestamps: true
+});
+
+giftSchema.index({ payment: 1 }, { unique: true });
+giftSchema.index({ purchaser: 1, createdAt: -1 });
+giftSchema.index({ status: 1, expiresAt: 1 });
+
+// Random code such as GIFT-7KQ2-M9XA-PR4T
+giftSchema.statics.generateCode = function() {
+  const bytes = crypto.randomBytes(12);
+  const chars = Array.from(bytes, byte => CODE_ALPHABET[byte % CODE_ALPHABET.length]).join('');
+  return `GIFT-${chars.slice(0, 4)}-${chars.slice(4, 8)}-${chars.slice(8, 12)}`;
+};
+
+giftSchema.methods.isRedeemable = function() {
+  return this.status === 'active' && new Date() < this.expiresAt;
+};
+
+module.exports = mongoose.model('Gift', giftSchema);
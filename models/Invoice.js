@@ -0,0 +1,107 @@
+const mongoose = require('mongoose');
+
+const taxLineSchema = {
+  taxableAmount: { type: Number, required: true },
+  cgst: { type: Number, default: 0 },
+  sgst: { type: Number, default: 0 },
+  igst: { type: Number, default: 0 },
+  total: { type: Number, required: true }
+};
+
+const invoiceSchema = new mongoose.Schema({
+  number: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  documentType: {
+    type: String,
+    required: true,
+    enum: ['invoice', 'credit_note']
+  },
+  financialYear: {
+    type: String,
+    required: true
+  },
+  sequence: {
+    type: Number,
+    required: true
+  },
+  payment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment',
+    required: true
+  },
+  user: {
+    type: String,
+    ref: 'User',
+    required: true
+  },
+  // Credit notes point at the invoice they reduce
+  originalInvoice: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Invoice'
+  },
+  refundId: String,
+  issuedAt: {
+    type: Date,
+    default: Date.now
+  },
+  currency: {
+    type: String,
+    required: true
+  },
+  // Seller and buyer details are copied so later profile changes do not alter issued documents
+  seller: {
+    legalName: String,
+    address: String,
+    gstin: String,
+    stateCode: String
+  },
+  buyer: {
+    name: String,
+    email: String,
+    legalName: String,
+    address: String,
+    gstin: String,
+    stateCode: String
+  },
+  placeOfSupply: {
+    stateCode: String,
+    stateName: String
+  },
+  supplyType: {
+    type: String,
+    enum: ['intra_state', 'inter_state', 'export'],
+    required: true
+  },
+  taxRate: {
+    type: Number,
+    required: true
+  },
+  lineItems: [{
+    _id: false,
+    description: { type: String, required: true },
+    course: String,
+    sacCode: String,
+    ...taxLineSchema
+  }],
+  totals: {
+    ...taxLineSchema,
+    totalTax: { type: Number, required: true }
+  }
+}, {
+  timestamps: true
+});
+
+// One invoice per payment and one credit note per refund
+invoiceSchema.index({ payment: 1, documentType: 1, refundId: 1 }, { unique: true });
+invoiceSchema.index({ user: 1, issuedAt: -1 });
+invoiceSchema.index({ issuedAt: 1, documentType: 1 });
+
+// File name safe version of the number, e.g. INV-25-26-00001
+invoiceSchema.virtual('fileName').get(function() {
+  return `${this.number.replace(/\//g, '-')}.pdf`;
+});
+
+module.exports = mongoose.model('Invoice', invoiceSchema);
@@ -0,0 +1,22 @@
+const mongoose = require('mongoose');
+
+// One running sequence per document series and financial year
+const invoiceCounterSchema = new mongoose.Schema({
+  series: {
+    type: String,
+    required: true,
+    enum: ['invoice', 'credit_note']
+  },
+  financialYear: {
+    type: String,
+    required: true
+  },
+  seq: {
+    type: Number,
+    default: 0
+  }
+});
+
+invoiceCounterSchema.index({ series: 1, financialYear: 1 }, { unique: true });
+
+module.exports = mongoose.model('InvoiceCounter', invoiceCounterSchema);
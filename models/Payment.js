@@ -11,7 +11,7 @@ const paymentSchema = new mongoose.Schema({
     type: String,
     ref: 'Course',
     required: function() {
-      return this.paymentType === 'course';
+      return ['course', 'renewal'].includes(this.paymentType);
     }
   },
   amount: {
@@ -33,23 +33,70 @@ const paymentSchema = new mongoose.Schema({
   paymentType: {
     type: String,
     required: [true, 'Payment type is required'],
-    enum: ['registration', 'course']
+    enum: ['registration', 'course', 'cart', 'renewal', 'subscription', 'bundle']
   },
+  bundle: {
+    type: String,
+    ref: 'Bundle',
+    required: function() {
+      return this.paymentType === 'bundle';
+    }
+  },
+  // Course bought for someone else; fulfillment creates a Gift instead of an enrollment
+  gift: {
+    recipientEmail: {
+      type: String,
+      lowercase: true,
+      trim: true
+    },
+    recipientName: String,
+    message: String
+  },
+  // Renewal charge of a plan subscription
+  subscription: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Subscription'
+  },
+  // Line items for payments that cover several courses. For bundles, price is the
+  // course's share of the bundle price, used for per-course revenue.
+  items: [{
+    _id: false,
+    course: {
+      type: String,
+      ref: 'Course',
+      required: true
+    },
+    title: String,
+    price: {
+      type: Number,
+      min: [0, 'Price cannot be negative']
+    }
+  }],
   paymentGateway: {
     provider: {
       type: String,
       default: 'razorpay',
-      enum: ['razorpay', 'stripe', 'paypal']
+      enum: ['razorpay', 'stripe', 'paypal', 'mock', 'free']
     },
     transactionId: String,
     orderId: String,
     paymentId: String,
     signature: String,
-    receipt: String
+    receipt: String,
+    paymentLinkId: String
+  },
+  coupon: {
+    couponId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Coupon'
+    },
+    code: String,
+    originalAmount: Number,
+    discountAmount: Number
   },
   paymentMethod: {
     type: String,
-    enum: ['card', 'upi', 'netbanking', 'wallet', 'emi', 'cod'],
+    enum: ['card', 'upi', 'netbanking', 'wallet', 'emi', 'cod', 'paypal', 'free'],
     default: 'card'
   },
   refund: {
@@ -68,6 +115,15 @@ const paymentSchema = new mongoose.Schema({
     deviceType: String,
     browser: String
   },
+  // Set when an admin needs to look at the payment, e.g. its coupon ran out while the order was
+  // pending, or reconciliation found a capture for a different amount
+  review: {
+    reason: {
+      type: String,
+      enum: ['coupon_limit_reached', 'amount_mismatch']
+    },
+    flaggedAt: Date
+  },
   webhookData: mongoose.Schema.Types.Mixed,
   failureReason: String,
   notes: String
@@ -78,10 +134,17 @@ const paymentSchema = new mongoose.Schema({
 // Indexes for better query performance
 paymentSchema.index({ user: 1 });
 paymentSchema.index({ course: 1 });
+paymentSchema.index({ 'items.course': 1 });
 paymentSchema.index({ status: 1 });
 paymentSchema.index({ paymentType: 1 });
 paymentSchema.index({ 'paymentGateway.transactionId': 1 });
 paymentSchema.index({ 'paymentGateway.orderId': 1 });
+paymentSchema.index({ 'paymentGateway.paymentId': 1 });
+paymentSchema.index({ 'paymentGateway.paymentLinkId': 1 });
+paymentSchema.index({ 'coupon.couponId': 1, user: 1 });
+paymentSchema.index({ subscription: 1 });
+paymentSchema.index({ bundle: 1 });
+paymentSchema.index({ 'review.reason': 1 });
 paymentSchema.index({ createdAt: -1 });
 
 // Virtual for formatted amount
@@ -122,7 +185,10 @@ paymentSchema.methods.markAsFailed = function(reason) {
 
 // Method to process refund
 paymentSchema.methods.processRefund = function(refundData) {
-  this.status = 'refunded';
+  // A partial refund keeps the payment completed
+  if (refundData.amount === undefined || refundData.amount >= this.amount) {
+    this.status = 'refunded';
+  }
   this.refund = {
     refundId: refundData.refundId,
     refundAmount: refundData.amount,
@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+const planSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Plan name is required'],
+    trim: true,
+    maxlength: [100, 'Plan name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  interval: {
+    type: String,
+    required: [true, 'Billing interval is required'],
+    enum: ['monthly', 'yearly']
+  },
+  price: {
+    type: Number,
+    required: [true, 'Price is required'],
+    min: [1, 'Price must be at least 1']
+  },
+  currency: {
+    type: String,
+    default: 'INR',
+    enum: ['INR', 'USD', 'EUR']
+  },
+  // Days of free access before the first charge, offered once per user
+  trialDays: {
+    type: Number,
+    default: 0,
+    min: [0, 'Trial days cannot be negative'],
+    max: [90, 'Trial cannot exceed 90 days']
+  },
+  features: [{
+    type: String,
+    trim: true
+  }],
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  // Razorpay plans cannot be edited, so a price or interval change creates a new one.
+  // Existing subscriptions keep billing on the plan they were created with.
+  razorpayPlanId: String,
+  createdBy: {
+    type: String,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+planSchema.index({ isActive: 1, price: 1 });
+
+module.exports = mongoose.model('Plan', planSchema);
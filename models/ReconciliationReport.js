@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+const reconciliationReportSchema = new mongoose.Schema({
+  triggeredBy: {
+    type: String,
+    default: 'system'
+  },
+  dryRun: {
+    type: Boolean,
+    default: false
+  },
+  windowStart: Date,
+  windowEnd: Date,
+  startedAt: Date,
+  finishedAt: Date,
+  summary: {
+    scanned: { type: Number, default: 0 },
+    fulfilled: { type: Number, default: 0 },
+    markedFailed: { type: Number, default: 0 },
+    amountMismatches: { type: Number, default: 0 },
+    completedWithoutCapture: { type: Number, default: 0 },
+    orphanedPayments: { type: Number, default: 0 },
+    failures: { type: Number, default: 0 }
+  },
+  // Per-payment findings; each entry carries the Payment _id and gateway details
+  fulfilled: [mongoose.Schema.Types.Mixed],
+  markedFailed: [mongoose.Schema.Types.Mixed],
+  amountMismatches: [mongoose.Schema.Types.Mixed],
+  completedWithoutCapture: [mongoose.Schema.Types.Mixed],
+  orphanedPayments: [mongoose.Schema.Types.Mixed],
+  // Payments that could not be checked, with the error message
+  failures: [mongoose.Schema.Types.Mixed]
+}, {
+  timestamps: true
+});
+
+reconciliationReportSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('ReconciliationReport', reconciliationReportSchema);
@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+const refundRequestSchema = new mongoose.Schema({
+  user: {
+    type: String,
+    required: [true, 'User ID is required'],
+    ref: 'User'
+  },
+  payment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment',
+    required: [true, 'Payment reference is required']
+  },
+  amount: {
+    type: Number,
+    min: [0, 'Amount cannot be negative']
+  },
+  reason: {
+    type: String,
+    required: [true, 'Refund reason is required'],
+    trim: true,
+    maxlength: [1000, 'Reason cannot exceed 1000 characters']
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected'],
+    default: 'pending'
+  },
+  reviewedBy: {
+    type: String,
+    ref: 'User'
+  },
+  reviewedAt: Date,
+  adminNotes: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Admin notes cannot exceed 1000 characters']
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+refundRequestSchema.index({ user: 1 });
+refundRequestSchema.index({ payment: 1 });
+refundRequestSchema.index({ status: 1, createdAt: 1 });
+
+module.exports = mongoose.model('RefundRequest', refundRequestSchema);
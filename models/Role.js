@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+const { PERMISSIONS, ALL_PERMISSIONS } = require('../config/permissions');
+
+const roleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Role name is required'],
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: [/^[a-z][a-z0-9_]{1,29}$/, 'Role name must be 2-30 lowercase letters, digits or underscores']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Description cannot exceed 200 characters']
+  },
+  permissions: {
+    type: [String],
+    validate: {
+      validator: (permissions) => permissions.every(
+        permission => permission === ALL_PERMISSIONS || PERMISSIONS[permission]
+      ),
+      message: 'Unknown permission'
+    }
+  },
+  // Built-in roles cannot be deleted
+  isSystem: {
+    type: Boolean,
+    default: false
+  },
+  updatedBy: {
+    type: String,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('Role', roleSchema);
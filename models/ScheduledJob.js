@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+const scheduledJobSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Job name is required'],
+    unique: true,
+    trim: true
+  },
+  intervalMs: {
+    type: Number,
+    required: [true, 'Job interval is required'],
+    min: [1000, 'Job interval must be at least one second']
+  },
+  nextRunAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Set while an instance is running the job so others skip it
+  lockedUntil: Date,
+  lockedBy: String,
+  lastRunAt: Date,
+  lastFinishedAt: Date,
+  lastStatus: {
+    type: String,
+    enum: ['success', 'failed']
+  },
+  lastResult: mongoose.Schema.Types.Mixed,
+  lastError: String,
+  runCount: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+scheduledJobSchema.index({ nextRunAt: 1 });
+
+module.exports = mongoose.model('ScheduledJob', scheduledJobSchema);
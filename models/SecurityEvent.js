@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+// Suspicious account activity, kept for review by admins
+const securityEventSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    required: [true, 'Event type is required'],
+    enum: ['refresh_token_reuse', 'account_locked', 'ip_blocked']
+  },
+  user: {
+    type: String,
+    ref: 'User'
+  },
+  session: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Session'
+  },
+  ip: String,
+  userAgent: String,
+  details: mongoose.Schema.Types.Mixed
+}, {
+  timestamps: true
+});
+
+securityEventSchema.index({ user: 1, createdAt: -1 });
+securityEventSchema.index({ type: 1, createdAt: -1 });
+
+module.exports = mongoose.model('SecurityEvent', securityEventSchema);
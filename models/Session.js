@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+// A signed-in device and the family of refresh tokens it has been issued.
+// Only a SHA-256 hash of the current refresh token is stored.
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: String,
+    required: [true, 'User is required'],
+    ref: 'User'
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  userAgent: {
+    type: String,
+    maxlength: 500
+  },
+  ip: String,
+  deviceLabel: String,
+  // Bumped on every rotation; refresh tokens carry the generation they were issued at
+  generation: {
+    type: Number,
+    default: 0
+  },
+  rotatedAt: Date,
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Moves forward each time the refresh token is rotated
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+sessionSchema.index({ user: 1, lastUsedAt: -1 });
+// Remove sessions once their refresh token has expired
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('Session', sessionSchema);
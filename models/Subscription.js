@@ -0,0 +1,91 @@
+const mongoose = require('mongoose');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Days a past-due subscription keeps access while Razorpay retries the charge
+const GRACE_DAYS = parseInt(process.env.SUBSCRIPTION_GRACE_DAYS || 3);
+
+const subscriptionSchema = new mongoose.Schema({
+  user: {
+    type: String,
+    required: [true, 'User ID is required'],
+    ref: 'User'
+  },
+  plan: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Plan',
+    required: [true, 'Plan is required']
+  },
+  status: {
+    type: String,
+    enum: ['created', 'trialing', 'active', 'past_due', 'halted', 'paused', 'cancelled', 'completed', 'expired'],
+    default: 'created'
+  },
+  razorpay: {
+    subscriptionId: String,
+    planId: String,
+    customerId: String,
+    shortUrl: String
+  },
+  trialEndsAt: Date,
+  currentPeriodStart: Date,
+  currentPeriodEnd: Date,
+  cancelAtPeriodEnd: {
+    type: Boolean,
+    default: false
+  },
+  cancelledAt: Date,
+  paidCount: {
+    type: Number,
+    default: 0
+  },
+  // Failed renewal charges since the last successful one
+  dunning: {
+    failedAttempts: {
+      type: Number,
+      default: 0
+    },
+    lastFailedAt: Date,
+    lastFailureReason: String,
+    // Payment ID (or charge time) of the last counted failure, so redelivered events count once
+    lastFailedCharge: String
+  },
+  // Derived from the status and periods on save; access checks only look at this
+  accessEndsAt: Date
+}, {
+  timestamps: true
+});
+
+subscriptionSchema.index({ 'razorpay.subscriptionId': 1 }, { unique: true, sparse: true });
+subscriptionSchema.index({ user: 1, accessEndsAt: -1 });
+subscriptionSchema.index({ status: 1 });
+
+// When the access this subscription grants ends, or null if it grants none
+subscriptionSchema.methods.calculateAccessEndsAt = function() {
+  const periodEnd = this.currentPeriodEnd || this.trialEndsAt;
+
+  switch (this.status) {
+    case 'trialing':
+      return this.trialEndsAt;
+    case 'active':
+    case 'completed':
+      return periodEnd;
+    case 'past_due':
+      return periodEnd ? new Date(periodEnd.getTime() + GRACE_DAYS * DAY_MS) : null;
+    case 'cancelled':
+      return this.cancelAtPeriodEnd ? periodEnd : this.cancelledAt;
+    default:
+      return null;
+  }
+};
+
+subscriptionSchema.methods.grantsAccess = function() {
+  return !!this.accessEndsAt && this.accessEndsAt > new Date();
+};
+
+subscriptionSchema.pre('save', function(next) {
+  this.accessEndsAt = this.calculateAccessEndsAt();
+  next();
+});
+
+module.exports = mongoose.model('Subscription', subscriptionSchema);
@@ -1,6 +1,7 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 const { v4: uuidv4 } = require('uuid');
+const { GSTIN_PATTERN } = require('../config/gst');
 
 const userSchema = new mongoose.Schema({
   author_id: {
@@ -34,15 +35,29 @@ const userSchema = new mongoose.Schema({
     required: [true, 'Password is required'],
     minlength: [6, 'Password must be at least 6 characters long']
   },
+  // Name of a role in the roles collection, which grants the user's permissions
   role: {
     type: String,
-    enum: ['student', 'admin', 'beta'],
-    default: 'student'
+    default: 'student',
+    trim: true
   },
   isActive: {
     type: Boolean,
     default: true
   },
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerifiedAt: Date,
+  emailVerificationSentAt: Date,
+  // New address waiting for confirmation before it replaces email
+  pendingEmail: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    match: [/^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/, 'Please enter a valid email']
+  },
   profile: {
     bio: {
       type: String,
@@ -62,14 +77,47 @@ const userSchema = new mongoose.Schema({
       github: String
     }
   },
-  refreshTokens: [{
-    token: String,
-    createdAt: {
-      type: Date,
-      default: Date.now,
-      expires: 604800 // 7 days
+  // Billing details printed on GST invoices
+  billing: {
+    gstin: {
+      type: String,
+      uppercase: true,
+      trim: true,
+      match: [GSTIN_PATTERN, 'Please enter a valid GSTIN']
+    },
+    legalName: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'Legal name cannot exceed 100 characters']
+    },
+    address: {
+      type: String,
+      trim: true,
+      maxlength: [300, 'Address cannot exceed 300 characters']
+    },
+    // Used for place of supply when there is no GSTIN
+    stateCode: {
+      type: String,
+      match: [/^\d{2}$/, 'State code must be two digits']
     }
-  }],
+  },
+  // TOTP two-factor authentication; secrets are encrypted and backup codes hashed
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: String,
+    // Secret shown during setup, moved to secret once a code from it is confirmed
+    pendingSecret: String,
+    // Last time step used to sign in, so each code works only once
+    lastUsedCounter: Number,
+    backupCodes: [{
+      codeHash: String,
+      usedAt: Date
+    }],
+    enabledAt: Date
+  },
   lastLogin: {
     type: Date
   },
@@ -106,11 +154,16 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
-// Remove password from JSON output
+// Remove password and 2FA secrets from JSON output
 userSchema.methods.toJSON = function() {
   const user = this.toObject();
   delete user.password;
-  delete user.refreshTokens;
+  if (user.twoFactor) {
+    user.twoFactor = {
+      enabled: user.twoFactor.enabled,
+      enabledAt: user.twoFactor.enabledAt
+    };
+  }
   return user;
 };
 
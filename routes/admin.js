@@ -4,18 +4,37 @@ const Course = require('../models/Course');
 const User = require('../models/User');
 const Enrollment = require('../models/Enrollment');
 const Payment = require('../models/Payment');
-const { authenticateToken, authorizeRole } = require('../middleware/auth');
+const RefundRequest = require('../models/RefundRequest');
+const Coupon = require('../models/Coupon');
+const ReconciliationReport = require('../models/ReconciliationReport');
+const Invoice = require('../models/Invoice');
+const Plan = require('../models/Plan');
+const Bundle = require('../models/Bundle');
+const Subscription = require('../models/Subscription');
+const Role = require('../models/Role');
+const SecurityEvent = require('../models/SecurityEvent');
+const { authenticateTokenOrApiKey, requirePermission } = require('../middleware/auth');
+const { issueRefund } = require('../services/refunds');
+const { reconcilePayments } = require('../services/reconciliation');
+const { buildInvoiceRegisterCsv } = require('../services/invoices');
+const { sendInvoicePdf } = require('../services/invoicePdf');
+const { syncRazorpayPlan } = require('../services/subscriptions');
+const { getCourseRevenue } = require('../services/revenue');
+const { reviewCourse } = require('../services/courseReview');
+const { revokeAllSessions } = require('../services/sessions');
+const { revokeAllApiKeys } = require('../services/apiKeys');
+const { expandPermissions, canAssignRole } = require('../services/permissions');
+const { PERMISSIONS, SUPER_ADMIN_ROLE } = require('../config/permissions');
 
 const router = express.Router();
 
-// Apply admin authentication to all routes
-router.use(authenticateToken);
-router.use(authorizeRole('admin'));
+// All routes require a session or API key; each route checks its own permission
+router.use(authenticateTokenOrApiKey);
 
 // @route   GET /api/admin/dashboard-stats
 // @desc    Get dashboard statistics
-// @access  Private (Admin only)
-router.get('/dashboard-stats', async (req, res) => {
+// @access  Private (dashboard:read)
+router.get('/dashboard-stats', requirePermission('dashboard:read'), async (req, res) => {
   try {
     const [
       totalUsers,
@@ -70,6 +89,19 @@ router.get('/dashboard-stats', async (req, res) => {
       }
     ]);
 
+    // Revenue split by payment type (registration, course, cart, renewal, bundle, subscription)
+    const revenueByType = await Payment.aggregate([
+      { $match: { status: 'completed' } },
+      {
+        $group: {
+          _id: '$paymentType',
+          revenue: { $sum: '$amount' },
+          count: { $sum: 1 }
+        }
+      },
+      { $sort: { revenue: -1 } }
+    ]);
+
     res.json({
       success: true,
       stats: {
@@ -77,7 +109,8 @@ router.get('/dashboard-stats', async (req, res) => {
         totalCourses,
         totalEnrollments,
         totalRevenue: revenue,
-        monthlyRevenue
+        monthlyRevenue,
+        revenueByType
       },
       recent: {
         enrollments: recentEnrollments,
@@ -95,8 +128,8 @@ router.get('/dashboard-stats', async (req, res) => {
 
 // @route   GET /api/admin/users
 // @desc    Get all users with pagination
-// @access  Private (Admin only)
-router.get('/users', async (req, res) => {
+// @access  Private (users:read)
+router.get('/users', requirePermission('users:read'), async (req, res) => {
   try {
     const {
       page = 1,
@@ -120,7 +153,7 @@ router.get('/users', async (req, res) => {
     const skip = (parseInt(page) - 1) * parseInt(limit);
 
     const users = await User.find(filter)
-      .select('-password -refreshTokens')
+      .select('-password')
       .sort({ createdAt: -1 })
       .skip(skip)
       .limit(parseInt(limit));
@@ -149,8 +182,8 @@ router.get('/users', async (req, res) => {
 
 // @route   PUT /api/admin/users/:userId/status
 // @desc    Update user status (activate/deactivate)
-// @access  Private (Admin only)
-router.put('/users/:userId/status', async (req, res) => {
+// @access  Private (users:deactivate)
+router.put('/users/:userId/status', requirePermission('users:deactivate'), async (req, res) => {
   try {
     const { userId } = req.params;
     const { isActive } = req.body;
@@ -159,7 +192,7 @@ router.put('/users/:userId/status', async (req, res) => {
       { author_id: userId },
       { isActive },
       { new: true }
-    ).select('-password -refreshTokens');
+    ).select('-password');
 
     if (!user) {
       return res.status(404).json({
@@ -168,6 +201,12 @@ router.put('/users/:userId/status', async (req, res) => {
       });
     }
 
+    // A deactivated account keeps no signed-in devices or API keys
+    if (!isActive) {
+      await revokeAllSessions(userId);
+      await revokeAllApiKeys(userId);
+    }
+
     res.json({
       success: true,
       message: `User ${isActive ? 'activated' : 'deactivated'} successfully`,
@@ -182,80 +221,83 @@ router.put('/users/:userId/status', async (req, res) => {
   }
 });
 
-// @route   GET /api/admin/courses
-// @desc    Get all courses (including drafts)
-// @access  Private (Admin only)
-router.get('/courses', async (req, res) => {
+// @route   DELETE /api/admin/users/:userId/sessions
+// @desc    Force-logout a user from every device and revoke their API keys
+// @access  Private (users:deactivate)
+router.delete('/users/:userId/sessions', requirePermission('users:deactivate'), async (req, res) => {
   try {
-    const {
-      page = 1,
-      limit = 20,
-      search = '',
-      status = '',
-      author = ''
-    } = req.query;
+    const { userId } = req.params;
 
-    const filter = {};
-    if (search) {
-      filter.$or = [
-        { title: { $regex: search, $options: 'i' } },
-        { description: { $regex: search, $options: 'i' } }
-      ];
+    if (!(await User.exists({ author_id: userId }))) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
     }
-    if (status) filter.status = status;
-    if (author) filter.author_id = author;
+
+    const revoked = await revokeAllSessions(userId);
+    const revokedApiKeys = await revokeAllApiKeys(userId);
+
+    res.json({
+      success: true,
+      message: `Signed the user out of ${revoked} session${revoked === 1 ? '' : 's'} and revoked ${revokedApiKeys} API key${revokedApiKeys === 1 ? '' : 's'}`,
+      revoked,
+      revokedApiKeys
+    });
+  } catch (error) {
+    console.error('Revoke user sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to sign out user'
+    });
+  }
+});
+
+// @route   GET /api/admin/security-events
+// @desc    Get security events such as refresh token reuse, newest first
+// @access  Private (users:read)
+router.get('/security-events', requirePermission('users:read'), async (req, res) => {
+  try {
+    const { page = 1, limit = 20, type, userId } = req.query;
+
+    const filter = {};
+    if (type) filter.type = type;
+    if (userId) filter.user = userId;
 
     const skip = (parseInt(page) - 1) * parseInt(limit);
 
-    const courses = await Course.find(filter)
+    const events = await SecurityEvent.find(filter)
       .sort({ createdAt: -1 })
       .skip(skip)
       .limit(parseInt(limit));
 
-    // Manually populate author information since we're using UUIDs instead of ObjectIds
-    const coursesWithAuthors = await Promise.all(
-      courses.map(async (course) => {
-        const author = await User.findOne({ author_id: course.author_id })
-          .select('firstName lastName email');
-        return {
-          ...course.toObject(),
-          author: author || { firstName: 'Unknown', lastName: 'Author', email: 'unknown@example.com' }
-        };
-      })
-    );
-
-    const totalCourses = await Course.countDocuments(filter);
+    const totalEvents = await SecurityEvent.countDocuments(filter);
 
     res.json({
       success: true,
-      courses: coursesWithAuthors,
+      events,
       pagination: {
         currentPage: parseInt(page),
-        totalPages: Math.ceil(totalCourses / parseInt(limit)),
-        totalCourses,
-        hasNext: skip + coursesWithAuthors.length < totalCourses,
+        totalPages: Math.ceil(totalEvents / parseInt(limit)),
+        totalEvents,
+        hasNext: skip + events.length < totalEvents,
         hasPrev: parseInt(page) > 1
       }
     });
   } catch (error) {
-    console.error('Get courses error:', error);
+    console.error('Get security events error:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to fetch courses'
+      message: 'Failed to fetch security events'
     });
   }
 });
 
-// @route   POST /api/admin/courses
-// @desc    Create new course
-// @access  Private (Admin only)
-router.post('/courses', [
-  body('title').trim().isLength({ min: 5, max: 200 }).withMessage('Title must be between 5 and 200 characters'),
-  body('description').trim().isLength({ min: 20, max: 2000 }).withMessage('Description must be between 20 and 2000 characters'),
-  body('price').isNumeric().withMessage('Price must be a number'),
-  body('currency').optional().isIn(['INR', 'USD', 'EUR']).withMessage('Invalid currency'),
-  body('duration').optional().trim().notEmpty().withMessage('Duration cannot be empty'),
-  body('accessDuration').optional().trim().notEmpty().withMessage('Access duration cannot be empty')
+// @route   PUT /api/admin/users/:userId/role
+// @desc    Change a user's role, e.g. make a student an instructor
+// @access  Private (users:assign_roles)
+router.put('/users/:userId/role', requirePermission('users:assign_roles'), [
+  body('role').trim().notEmpty().withMessage('Role is required')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -267,237 +309,158 @@ router.post('/courses', [
       });
     }
 
-    const courseData = {
-      ...req.body,
-      author_id: req.user.author_id,
-      currency: req.body.currency || 'INR',
-      duration: req.body.duration || 'Not specified',
-      accessDuration: req.body.accessDuration || 'lifetime',
-      status: req.body.status || 'draft',
-      level: req.body.level || 'beginner',
-      language: req.body.language || 'English',
-      tags: req.body.tags || [],
-      requirements: req.body.requirements || [],
-      whatYouWillLearn: req.body.whatYouWillLearn || [],
-      sections: req.body.sections || [],
-      enrollmentCount: 0,
-      rating: { average: 0, count: 0 },
-      isFeatured: req.body.isFeatured || false
-    };
-
-    const course = new Course(courseData);
-    await course.save();
-
-    res.status(201).json({
-      success: true,
-      message: 'Course created successfully',
-      course
-    });
-  } catch (error) {
-    console.error('Create course error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to create course'
-    });
-  }
-});
+    const { userId } = req.params;
+    const { role } = req.body;
 
-// @route   PUT /api/admin/courses/:courseId
-// @desc    Update course
-// @access  Private (Admin only)
-router.put('/courses/:courseId', [
-  body('title').optional().trim().isLength({ min: 5, max: 200 }),
-  body('description').optional().trim().isLength({ min: 20, max: 2000 }),
-  body('price').optional().isNumeric(),
-  body('currency').optional().isIn(['INR', 'USD', 'EUR'])
-], async (req, res) => {
-  try {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
+    if (userId === req.user.author_id) {
       return res.status(400).json({
         success: false,
-        message: 'Validation failed',
-        errors: errors.array()
+        message: 'You cannot change your own role'
       });
     }
 
-    const { courseId } = req.params;
-    const updateData = req.body;
+    const [targetRole, existingUser] = await Promise.all([
+      Role.findOne({ name: role }),
+      User.findOne({ author_id: userId }).select('role')
+    ]);
 
-    const course = await Course.findOneAndUpdate(
-      { c_id: courseId },
-      updateData,
-      { new: true, runValidators: true }
-    );
+    if (!targetRole) {
+      return res.status(400).json({
+        success: false,
+        message: 'Role not found'
+      });
+    }
 
-    if (!course) {
+    if (!existingUser) {
       return res.status(404).json({
         success: false,
-        message: 'Course not found'
+        message: 'User not found'
       });
     }
 
-    res.json({
-      success: true,
-      message: 'Course updated successfully',
-      course
-    });
-  } catch (error) {
-    console.error('Update course error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to update course'
-    });
-  }
-});
-
-// @route   DELETE /api/admin/courses/:courseId
-// @desc    Delete course
-// @access  Private (Admin only)
-router.delete('/courses/:courseId', async (req, res) => {
-  try {
-    const { courseId } = req.params;
-
-    const course = await Course.findOneAndDelete({ c_id: courseId });
-
-    if (!course) {
-      return res.status(404).json({
+    // Neither the new nor the current role may carry permissions the admin lacks
+    const currentRole = await Role.findOne({ name: existingUser.role });
+    if (!canAssignRole(req.permissions, targetRole) || (currentRole && !canAssignRole(req.permissions, currentRole))) {
+      return res.status(403).json({
         success: false,
-        message: 'Course not found'
+        message: 'You cannot assign a role with permissions you do not have'
       });
     }
 
-    // Also delete related enrollments and payments
-    await Promise.all([
-      Enrollment.deleteMany({ course: courseId }),
-      Payment.deleteMany({ course: courseId })
-    ]);
+    const user = await User.findOneAndUpdate(
+      { author_id: userId },
+      { role: targetRole.name },
+      { new: true }
+    ).select('-password');
 
     res.json({
       success: true,
-      message: 'Course deleted successfully'
+      message: `User role changed to ${targetRole.name}`,
+      user
     });
   } catch (error) {
-    console.error('Delete course error:', error);
+    console.error('Update user role error:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to delete course'
+      message: 'Failed to update user role'
     });
   }
 });
 
-// @route   GET /api/admin/enrollments
-// @desc    Get all enrollments
-// @access  Private (Admin only)
-router.get('/enrollments', async (req, res) => {
-  try {
-    const {
-      page = 1,
-      limit = 20,
-      status = '',
-      course = '',
-      user = ''
-    } = req.query;
-
-    const filter = {};
-    if (status) filter.status = status;
-    if (course) filter.course = course;
-    if (user) filter.user = user;
-
-    const skip = (parseInt(page) - 1) * parseInt(limit);
+const roleValidation = [
+  body('description').optional().trim().isLength({ max: 200 }).withMessage('Description cannot exceed 200 characters'),
+  body('permissions').optional().isArray().withMessage('Permissions must be an array'),
+  body('permissions.*').optional().isIn(Object.keys(PERMISSIONS)).withMessage('Unknown permission')
+];
 
-    const enrollments = await Enrollment.find(filter)
-      .populate('user', 'firstName lastName email')
-      .populate('course', 'title price')
-      .populate('payment', 'amount currency status')
-      .sort({ enrolledAt: -1 })
-      .skip(skip)
-      .limit(parseInt(limit));
+// @route   GET /api/admin/roles
+// @desc    Get roles with their permissions and user counts, and the permission catalog
+// @access  Private (users:assign_roles)
+router.get('/roles', requirePermission('users:assign_roles'), async (req, res) => {
+  try {
+    const roles = await Role.find().sort({ isSystem: -1, name: 1 }).lean();
 
-    const totalEnrollments = await Enrollment.countDocuments(filter);
+    const userCounts = await User.aggregate([
+      { $group: { _id: '$role', count: { $sum: 1 } } }
+    ]);
+    const countMap = new Map(userCounts.map(item => [item._id, item.count]));
 
     res.json({
       success: true,
-      enrollments,
-      pagination: {
-        currentPage: parseInt(page),
-        totalPages: Math.ceil(totalEnrollments / parseInt(limit)),
-        totalEnrollments,
-        hasNext: skip + enrollments.length < totalEnrollments,
-        hasPrev: parseInt(page) > 1
-      }
+      roles: roles.map(role => ({
+        ...role,
+        permissions: expandPermissions(role.permissions),
+        userCount: countMap.get(role.name) || 0
+      })),
+      permissions: PERMISSIONS
     });
   } catch (error) {
-    console.error('Get enrollments error:', error);
+    console.error('Get roles error:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to fetch enrollments'
+      message: 'Failed to fetch roles'
     });
   }
 });
 
-// @route   GET /api/admin/payments
-// @desc    Get all payments
-// @access  Private (Admin only)
-router.get('/payments', async (req, res) => {
+// @route   POST /api/admin/roles
+// @desc    Create a custom role
+// @access  Private (roles:write)
+router.post('/roles', requirePermission('roles:write'), [
+  body('name').trim().matches(/^[a-z][a-z0-9_]{1,29}$/).withMessage('Role name must be 2-30 lowercase letters, digits or underscores'),
+  ...roleValidation
+], async (req, res) => {
   try {
-    const {
-      page = 1,
-      limit = 20,
-      status = '',
-      paymentType = '',
-      startDate = '',
-      endDate = ''
-    } = req.query;
-
-    const filter = {};
-    if (status) filter.status = status;
-    if (paymentType) filter.paymentType = paymentType;
-    if (startDate || endDate) {
-      filter.createdAt = {};
-      if (startDate) filter.createdAt.$gte = new Date(startDate);
-      if (endDate) filter.createdAt.$lte = new Date(endDate);
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
     }
 
-    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const existingRole = await Role.findOne({ name: req.body.name });
+    if (existingRole) {
+      return res.status(400).json({
+        success: false,
+        message: 'A role with this name already exists'
+      });
+    }
 
-    const payments = await Payment.find(filter)
-      .populate('user', 'firstName lastName email')
-      .populate('course', 'title')
-      .sort({ createdAt: -1 })
-      .skip(skip)
-      .limit(parseInt(limit));
+    const permissions = [...new Set(req.body.permissions || [])];
+    if (!canAssignRole(req.permissions, { permissions })) {
+      return res.status(403).json({
+        success: false,
+        message: 'You cannot grant permissions you do not have'
+      });
+    }
 
-    const totalPayments = await Payment.countDocuments(filter);
+    const role = await Role.create({
+      name: req.body.name,
+      description: req.body.description,
+      permissions,
+      updatedBy: req.user.author_id
+    });
 
-    res.json({
+    res.status(201).json({
       success: true,
-      payments,
-      pagination: {
-        currentPage: parseInt(page),
-        totalPages: Math.ceil(totalPayments / parseInt(limit)),
-        totalPayments,
-        hasNext: skip + payments.length < totalPayments,
-        hasPrev: parseInt(page) > 1
-      }
+      message: 'Role created successfully',
+      role
     });
   } catch (error) {
-    console.error('Get payments error:', error);
+    console.error('Create role error:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to fetch payments'
+      message: 'Failed to create role'
     });
   }
 });
 
-// @route   POST /api/admin/courses/:courseId/sections
-// @desc    Add section to course
-// @access  Private (Admin only)
-router.post('/courses/:courseId/sections', [
-  body('title').trim().isLength({ min: 3, max: 200 }).withMessage('Section title must be between 3 and 200 characters'),
-  body('description').optional().trim().isLength({ max: 500 }),
-  body('order').isInt({ min: 0 }).withMessage('Order must be a non-negative integer')
-], async (req, res) => {
+// @route   PUT /api/admin/roles/:name
+// @desc    Update a role's description and permissions (super_admin cannot be changed)
+// @access  Private (roles:write)
+router.put('/roles/:name', requirePermission('roles:write'), roleValidation, async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -508,90 +471,1444 @@ router.post('/courses/:courseId/sections', [
       });
     }
 
-    const { courseId } = req.params;
-    const { title, description, order } = req.body;
-
-    const course = await Course.findOne({ c_id: courseId });
-    if (!course) {
-      return res.status(404).json({
+    if (req.params.name === SUPER_ADMIN_ROLE) {
+      return res.status(400).json({
         success: false,
-        message: 'Course not found'
+        message: 'The super_admin role always has every permission'
       });
     }
 
-    course.sections.push({
-      title,
-      description,
-      order,
-      topics: []
-    });
+    const update = { updatedBy: req.user.author_id };
+    if (req.body.description !== undefined) update.description = req.body.description;
+    if (req.body.permissions !== undefined) {
+      update.permissions = [...new Set(req.body.permissions)];
+      if (!canAssignRole(req.permissions, update)) {
+        return res.status(403).json({
+          success: false,
+          message: 'You cannot grant permissions you do not have'
+        });
+      }
+    }
+
+    const role = await Role.findOneAndUpdate(
+      { name: req.params.name },
+      update,
+      { new: true, runValidators: true }
+    );
 
-    await course.save();
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        message: 'Role not found'
+      });
+    }
 
     res.json({
       success: true,
-      message: 'Section added successfully',
-      section: course.sections[course.sections.length - 1]
+      message: 'Role updated successfully',
+      role
     });
   } catch (error) {
-    console.error('Add section error:', error);
+    console.error('Update role error:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to add section'
+      message: 'Failed to update role'
     });
   }
 });
 
-// @route   POST /api/admin/courses/:courseId/sections/:sectionIndex/topics
-// @desc    Add topic to section
-// @access  Private (Admin only)
-router.post('/courses/:courseId/sections/:sectionIndex/topics', [
-  body('title').trim().isLength({ min: 3, max: 200 }).withMessage('Topic title must be between 3 and 200 characters'),
-  body('type').isIn(['video', 'document', 'quiz', 'assignment']).withMessage('Invalid topic type'),
-  body('order').isInt({ min: 0 }).withMessage('Order must be a non-negative integer')
-], async (req, res) => {
+// @route   DELETE /api/admin/roles/:name
+// @desc    Delete a custom role that no user has
+// @access  Private (roles:write)
+router.delete('/roles/:name', requirePermission('roles:write'), async (req, res) => {
   try {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({
+    const role = await Role.findOne({ name: req.params.name });
+
+    if (!role) {
+      return res.status(404).json({
         success: false,
-        message: 'Validation failed',
-        errors: errors.array()
+        message: 'Role not found'
       });
     }
 
-    const { courseId, sectionIndex } = req.params;
-    const topicData = req.body;
-
-    const course = await Course.findOne({ c_id: courseId });
-    if (!course) {
-      return res.status(404).json({
+    if (role.isSystem) {
+      return res.status(400).json({
         success: false,
-        message: 'Course not found'
+        message: 'Built-in roles cannot be deleted'
       });
     }
 
-    const section = course.sections[parseInt(sectionIndex)];
-    if (!section) {
-      return res.status(404).json({
+    const userCount = await User.countDocuments({ role: role.name });
+    if (userCount > 0) {
+      return res.status(400).json({
         success: false,
-        message: 'Section not found'
+        message: `This role is assigned to ${userCount} user(s). Change their role first.`
       });
     }
 
-    section.topics.push(topicData);
-    await course.save();
+    await role.deleteOne();
 
     res.json({
       success: true,
-      message: 'Topic added successfully',
-      topic: section.topics[section.topics.length - 1]
+      message: 'Role deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete role'
+    });
+  }
+});
+
+// @route   GET /api/admin/courses
+// @desc    Get all courses (including drafts); status=pending_review lists the review queue,
+//          hasPendingRevision=true lists published courses with edits waiting for review
+// @access  Private (courses:manage_all)
+router.get('/courses', requirePermission('courses:manage_all'), async (req, res) => {
+  try {
+    const {
+      page = 1,
+      limit = 20,
+      search = '',
+      status = '',
+      author = '',
+      hasPendingRevision = ''
+    } = req.query;
+
+    const filter = {};
+    if (search) {
+      filter.$or = [
+        { title: { $regex: search, $options: 'i' } },
+        { description: { $regex: search, $options: 'i' } }
+      ];
+    }
+    if (status) filter.status = status;
+    if (author) filter.author_id = author;
+    if (hasPendingRevision === 'true') filter['pendingRevision.submittedAt'] = { $exists: true };
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const courses = await Course.find(filter)
+      .select('+pendingRevision')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    // Manually populate author information since we're using UUIDs instead of ObjectIds
+    const coursesWithAuthors = await Promise.all(
+      courses.map(async (course) => {
+        const author = await User.findOne({ author_id: course.author_id })
+          .select('firstName lastName email');
+        return {
+          ...course.toObject(),
+          author: author || { firstName: 'Unknown', lastName: 'Author', email: 'unknown@example.com' }
+        };
+      })
+    );
+
+    const totalCourses = await Course.countDocuments(filter);
+
+    res.json({
+      success: true,
+      courses: coursesWithAuthors,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(totalCourses / parseInt(limit)),
+        totalCourses,
+        hasNext: skip + coursesWithAuthors.length < totalCourses,
+        hasPrev: parseInt(page) > 1
+      }
+    });
+  } catch (error) {
+    console.error('Get courses error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch courses'
+    });
+  }
+});
+
+// @route   PUT /api/admin/courses/:courseId/review
+// @desc    Approve (publish) or reject a course submitted for review, or the pending edits of a published course
+// @access  Private (courses:review)
+router.put('/courses/:courseId/review', requirePermission('courses:review'), [
+  body('decision').isIn(['approve', 'reject']).withMessage('Decision must be approve or reject'),
+  body('feedback').optional().trim().isLength({ max: 1000 }).withMessage('Feedback cannot exceed 1000 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const course = await reviewCourse(req.params.courseId, req.user, {
+      decision: req.body.decision,
+      feedback: req.body.feedback
+    });
+
+    res.json({
+      success: true,
+      message: req.body.decision === 'approve' ? 'Course approved and published' : 'Course rejected',
+      course
+    });
+  } catch (error) {
+    if (!error.status) console.error('Review course error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Failed to review course'
+    });
+  }
+});
+
+// @route   DELETE /api/admin/courses/:courseId
+// @desc    Delete course
+// @access  Private (courses:delete)
+router.delete('/courses/:courseId', requirePermission('courses:delete'), async (req, res) => {
+  try {
+    const { courseId } = req.params;
+
+    const course = await Course.findOneAndDelete({ c_id: courseId });
+
+    if (!course) {
+      return res.status(404).json({
+        success: false,
+        message: 'Course not found'
+      });
+    }
+
+    // Also delete related enrollments and payments
+    await Promise.all([
+      Enrollment.deleteMany({ course: courseId }),
+      Payment.deleteMany({ course: courseId })
+    ]);
+
+    res.json({
+      success: true,
+      message: 'Course deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete course error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete course'
+    });
+  }
+});
+
+const bundleValidation = [
+  body('title').optional().trim().isLength({ min: 5, max: 200 }),
+  body('description').optional().trim().isLength({ min: 20, max: 2000 }),
+  body('courses').optional().isArray({ min: 2 }).withMessage('A bundle needs at least two courses'),
+  body('price').optional().isFloat({ min: 1 }).withMessage('Price must be at least 1'),
+  body('currency').optional().isIn(['INR', 'USD', 'EUR']),
+  body('status').optional().isIn(['draft', 'published', 'archived'])
+];
+
+// Fields an admin may set on a bundle
+const bundleFields = ['title', 'description', 'shortDescription', 'thumbnail', 'courses', 'price', 'currency', 'status', 'isFeatured'];
+
+const pickBundleFields = (source) => {
+  const data = {};
+  bundleFields.forEach(field => {
+    if (source[field] !== undefined) {
+      data[field] = source[field];
+    }
+  });
+  return data;
+};
+
+// Every course in a bundle must exist and be priced in the bundle's currency
+const checkBundleCourses = async (bundle) => {
+  const courses = await Course.find({ c_id: { $in: bundle.courses } }).select('c_id currency');
+  const courseMap = new Map(courses.map(course => [course.c_id, course]));
+
+  const missing = bundle.courses.filter(courseId => !courseMap.has(courseId));
+  if (missing.length > 0) {
+    return `Courses not found: ${missing.join(', ')}`;
+  }
+
+  const otherCurrency = courses.filter(course => (course.currency || 'INR') !== bundle.currency);
+  if (otherCurrency.length > 0) {
+    return `All courses must be priced in ${bundle.currency}`;
+  }
+
+  return null;
+};
+
+// @route   GET /api/admin/bundles
+// @desc    Get all bundles (admin view)
+// @access  Private (bundles:write)
+router.get('/bundles', requirePermission('bundles:write'), async (req, res) => {
+  try {
+    const {
+      page = 1,
+      limit = 20,
+      search = '',
+      status = ''
+    } = req.query;
+
+    const filter = {};
+    if (search) filter.title = { $regex: search, $options: 'i' };
+    if (status) filter.status = status;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const bundles = await Bundle.find(filter)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const totalBundles = await Bundle.countDocuments(filter);
+
+    res.json({
+      success: true,
+      bundles,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(totalBundles / parseInt(limit)),
+        totalBundles,
+        hasNext: skip + bundles.length < totalBundles,
+        hasPrev: parseInt(page) > 1
+      }
+    });
+  } catch (error) {
+    console.error('Get bundles error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch bundles'
+    });
+  }
+});
+
+// @route   POST /api/admin/bundles
+// @desc    Create new bundle
+// @access  Private (bundles:write)
+router.post('/bundles', requirePermission('bundles:write'), [
+  body('title').trim().isLength({ min: 5, max: 200 }).withMessage('Title must be between 5 and 200 characters'),
+  body('description').trim().isLength({ min: 20, max: 2000 }).withMessage('Description must be between 20 and 2000 characters'),
+  body('thumbnail').notEmpty().withMessage('Thumbnail is required'),
+  body('courses').isArray({ min: 2 }).withMessage('A bundle needs at least two courses'),
+  body('price').isFloat({ min: 1 }).withMessage('Price must be at least 1'),
+  ...bundleValidation
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const bundle = new Bundle({
+      ...pickBundleFields(req.body),
+      createdBy: req.user.author_id
+    });
+
+    const courseError = await checkBundleCourses(bundle);
+    if (courseError) {
+      return res.status(400).json({
+        success: false,
+        message: courseError
+      });
+    }
+
+    await bundle.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Bundle created successfully',
+      bundle
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Create bundle error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create bundle'
+    });
+  }
+});
+
+// @route   PUT /api/admin/bundles/:bundleId
+// @desc    Update bundle
+// @access  Private (bundles:write)
+router.put('/bundles/:bundleId', requirePermission('bundles:write'), bundleValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const bundle = await Bundle.findOne({ b_id: req.params.bundleId });
+    if (!bundle) {
+      return res.status(404).json({
+        success: false,
+        message: 'Bundle not found'
+      });
+    }
+
+    bundle.set(pickBundleFields(req.body));
+
+    const courseError = await checkBundleCourses(bundle);
+    if (courseError) {
+      return res.status(400).json({
+        success: false,
+        message: courseError
+      });
+    }
+
+    await bundle.save();
+
+    res.json({
+      success: true,
+      message: 'Bundle updated successfully',
+      bundle
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Update bundle error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update bundle'
+    });
+  }
+});
+
+// @route   DELETE /api/admin/bundles/:bundleId
+// @desc    Delete bundle, or archive it if it has been sold
+// @access  Private (bundles:write)
+router.delete('/bundles/:bundleId', requirePermission('bundles:write'), async (req, res) => {
+  try {
+    const bundle = await Bundle.findOne({ b_id: req.params.bundleId });
+    if (!bundle) {
+      return res.status(404).json({
+        success: false,
+        message: 'Bundle not found'
+      });
+    }
+
+    // Keep sold bundles so payments and invoices still point at a real bundle
+    const hasPayments = await Payment.exists({ bundle: bundle.b_id });
+    if (hasPayments) {
+      bundle.status = 'archived';
+      await bundle.save();
+
+      return res.json({
+        success: true,
+        message: 'Bundle has been sold, so it was archived instead of deleted',
+        bundle
+      });
+    }
+
+    await bundle.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Bundle deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete bundle error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete bundle'
+    });
+  }
+});
+
+// @route   GET /api/admin/enrollments
+// @desc    Get all enrollments
+// @access  Private (enrollments:read)
+router.get('/enrollments', requirePermission('enrollments:read'), async (req, res) => {
+  try {
+    const {
+      page = 1,
+      limit = 20,
+      status = '',
+      course = '',
+      user = ''
+    } = req.query;
+
+    const filter = {};
+    if (status) filter.status = status;
+    if (course) filter.course = course;
+    if (user) filter.user = user;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const enrollments = await Enrollment.find(filter)
+      .populate('user', 'firstName lastName email')
+      .populate('course', 'title price')
+      .populate('payment', 'amount currency status')
+      .sort({ enrolledAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const totalEnrollments = await Enrollment.countDocuments(filter);
+
+    res.json({
+      success: true,
+      enrollments,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(totalEnrollments / parseInt(limit)),
+        totalEnrollments,
+        hasNext: skip + enrollments.length < totalEnrollments,
+        hasPrev: parseInt(page) > 1
+      }
+    });
+  } catch (error) {
+    console.error('Get enrollments error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch enrollments'
+    });
+  }
+});
+
+// @route   GET /api/admin/payments
+// @desc    Get all payments
+// @access  Private (payments:read)
+router.get('/payments', requirePermission('payments:read'), async (req, res) => {
+  try {
+    const {
+      page = 1,
+      limit = 20,
+      status = '',
+      paymentType = '',
+      startDate = '',
+      endDate = '',
+      needsReview = ''
+    } = req.query;
+
+    const filter = {};
+    if (status) filter.status = status;
+    if (paymentType) filter.paymentType = paymentType;
+    if (needsReview === 'true') filter['review.reason'] = { $exists: true };
+    if (startDate || endDate) {
+      filter.createdAt = {};
+      if (startDate) filter.createdAt.$gte = new Date(startDate);
+      if (endDate) filter.createdAt.$lte = new Date(endDate);
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const payments = await Payment.find(filter)
+      .populate('user', 'firstName lastName email')
+      .populate('course', 'title')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const totalPayments = await Payment.countDocuments(filter);
+
+    res.json({
+      success: true,
+      payments,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(totalPayments / parseInt(limit)),
+        totalPayments,
+        hasNext: skip + payments.length < totalPayments,
+        hasPrev: parseInt(page) > 1
+      }
+    });
+  } catch (error) {
+    console.error('Get payments error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch payments'
+    });
+  }
+});
+
+// @route   GET /api/admin/revenue/courses
+// @desc    Get revenue per course, with cart and bundle payments split across their courses
+// @access  Private (reports:read)
+router.get('/revenue/courses', requirePermission('reports:read'), async (req, res) => {
+  try {
+    const { startDate = '', endDate = '' } = req.query;
+
+    res.json({
+      success: true,
+      courses: await getCourseRevenue({ startDate, endDate })
+    });
+  } catch (error) {
+    console.error('Get course revenue error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch course revenue'
+    });
+  }
+});
+
+// @route   POST /api/admin/payments/:paymentId/refund
+// @desc    Issue a full or partial refund for a payment
+// @access  Private (payments:refund)
+router.post('/payments/:paymentId/refund', requirePermission('payments:refund'), [
+  body('amount').optional().isFloat({ gt: 0 }).withMessage('Refund amount must be a positive number'),
+  body('reason').optional().trim().isLength({ max: 1000 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { paymentId } = req.params;
+    const { amount, reason } = req.body;
+
+    const payment = await Payment.findById(paymentId);
+    if (!payment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payment not found'
+      });
+    }
+
+    const result = await issueRefund(payment, { amount, reason });
+
+    res.json({
+      success: true,
+      message: result.payment.refund.refundStatus === 'processed'
+        ? 'Refund processed successfully'
+        : 'Refund initiated successfully',
+      payment: result.payment
+    });
+  } catch (error) {
+    console.error('Issue refund error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Failed to issue refund'
+    });
+  }
+});
+
+// Bulk exports render every document in one response
+const MAX_INVOICE_EXPORT = 5000;
+
+// @route   GET /api/admin/invoices
+// @desc    List invoices and credit notes, or export them as CSV or PDF for a date range
+// @access  Private (reports:read)
+router.get('/invoices', requirePermission('reports:read'), async (req, res) => {
+  try {
+    const {
+      page = 1,
+      limit = 20,
+      documentType = '',
+      startDate = '',
+      endDate = '',
+      format = 'json'
+    } = req.query;
+
+    if (!['json', 'csv', 'pdf'].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Format must be json, csv or pdf'
+      });
+    }
+
+    const filter = {};
+    if (documentType) filter.documentType = documentType;
+    if (startDate || endDate) {
+      filter.issuedAt = {};
+      if (startDate) filter.issuedAt.$gte = new Date(startDate);
+      if (endDate) filter.issuedAt.$lte = new Date(endDate);
+    }
+
+    const totalInvoices = await Invoice.countDocuments(filter);
+
+    if (format !== 'json') {
+      if (totalInvoices > MAX_INVOICE_EXPORT) {
+        return res.status(400).json({
+          success: false,
+          message: `Export is limited to ${MAX_INVOICE_EXPORT} documents, narrow the date range`
+        });
+      }
+
+      const invoices = await Invoice.find(filter)
+        .populate('originalInvoice', 'number')
+        .sort({ issuedAt: 1 });
+      const fileName = `invoices-${startDate || 'all'}-${endDate || 'now'}`;
+
+      if (format === 'pdf') {
+        return sendInvoicePdf(res, invoices, `${fileName}.pdf`);
+      }
+
+      res.setHeader('Content-Type', 'text/csv');
+      res.setHeader('Content-Disposition', `attachment; filename="${fileName}.csv"`);
+      return res.send(buildInvoiceRegisterCsv(invoices));
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const invoices = await Invoice.find(filter)
+      .populate('originalInvoice', 'number')
+      .sort({ issuedAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    res.json({
+      success: true,
+      invoices,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(totalInvoices / parseInt(limit)),
+        totalInvoices,
+        hasNext: skip + invoices.length < totalInvoices,
+        hasPrev: parseInt(page) > 1
+      }
+    });
+  } catch (error) {
+    console.error('Get invoices error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch invoices'
+    });
+  }
+});
+
+// @route   POST /api/admin/reconciliation/run
+// @desc    Reconcile recent payments against Razorpay
+// @access  Private (reconciliation:run)
+router.post('/reconciliation/run', requirePermission('reconciliation:run'), [
+  body('lookbackHours').optional().isInt({ min: 1, max: 24 * 90 }).withMessage('Lookback must be between 1 hour and 90 days'),
+  body('dryRun').optional().isBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const report = await reconcilePayments({
+      lookbackHours: parseInt(req.body.lookbackHours || 48),
+      dryRun: req.body.dryRun === true || req.body.dryRun === 'true',
+      triggeredBy: req.user.author_id
+    });
+
+    res.json({
+      success: true,
+      message: 'Reconciliation completed',
+      report
+    });
+  } catch (error) {
+    console.error('Run reconciliation error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Failed to run reconciliation'
+    });
+  }
+});
+
+// @route   GET /api/admin/reconciliation/reports
+// @desc    Get reconciliation report summaries
+// @access  Private (reports:read)
+router.get('/reconciliation/reports', requirePermission('reports:read'), async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const reports = await ReconciliationReport.find()
+      .select('triggeredBy dryRun windowStart windowEnd startedAt finishedAt summary')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const totalReports = await ReconciliationReport.countDocuments();
+
+    res.json({
+      success: true,
+      reports,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(totalReports / parseInt(limit)),
+        totalReports,
+        hasNext: skip + reports.length < totalReports,
+        hasPrev: parseInt(page) > 1
+      }
+    });
+  } catch (error) {
+    console.error('Get reconciliation reports error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch reconciliation reports'
+    });
+  }
+});
+
+// @route   GET /api/admin/reconciliation/reports/:reportId
+// @desc    Get a full reconciliation report
+// @access  Private (reports:read)
+router.get('/reconciliation/reports/:reportId', requirePermission('reports:read'), async (req, res) => {
+  try {
+    const report = await ReconciliationReport.findById(req.params.reportId);
+
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        message: 'Report not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      report
+    });
+  } catch (error) {
+    console.error('Get reconciliation report error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch reconciliation report'
+    });
+  }
+});
+
+// @route   GET /api/admin/refund-requests
+// @desc    Get refund request queue
+// @access  Private (payments:refund)
+router.get('/refund-requests', requirePermission('payments:refund'), async (req, res) => {
+  try {
+    const {
+      page = 1,
+      limit = 20,
+      status = 'pending'
+    } = req.query;
+
+    const filter = {};
+    if (status) filter.status = status;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const refundRequests = await RefundRequest.find(filter)
+      .populate('user', 'firstName lastName email')
+      .populate('payment', 'amount currency status paymentType course paymentGateway refund createdAt')
+      .sort({ createdAt: 1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const totalRequests = await RefundRequest.countDocuments(filter);
+
+    res.json({
+      success: true,
+      refundRequests,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(totalRequests / parseInt(limit)),
+        totalRequests,
+        hasNext: skip + refundRequests.length < totalRequests,
+        hasPrev: parseInt(page) > 1
+      }
+    });
+  } catch (error) {
+    console.error('Get refund requests error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch refund requests'
+    });
+  }
+});
+
+// @route   PUT /api/admin/refund-requests/:requestId/approve
+// @desc    Approve a refund request and issue the refund
+// @access  Private (payments:refund)
+router.put('/refund-requests/:requestId/approve', requirePermission('payments:refund'), [
+  body('amount').optional().isFloat({ gt: 0 }).withMessage('Refund amount must be a positive number'),
+  body('adminNotes').optional().trim().isLength({ max: 1000 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { requestId } = req.params;
+    const { amount, adminNotes } = req.body;
+
+    // Claim the request so two admins cannot refund it twice
+    const refundRequest = await RefundRequest.findOneAndUpdate(
+      { _id: requestId, status: 'pending' },
+      {
+        status: 'approved',
+        reviewedBy: req.user.author_id,
+        reviewedAt: new Date(),
+        adminNotes
+      },
+      { new: true }
+    );
+
+    if (!refundRequest) {
+      return res.status(404).json({
+        success: false,
+        message: 'Pending refund request not found'
+      });
+    }
+
+    try {
+      const payment = await Payment.findById(refundRequest.payment);
+      if (!payment) {
+        const error = new Error('Payment not found');
+        error.status = 404;
+        throw error;
+      }
+
+      const result = await issueRefund(payment, {
+        amount: amount ?? refundRequest.amount,
+        reason: refundRequest.reason
+      });
+
+      res.json({
+        success: true,
+        message: 'Refund request approved',
+        refundRequest,
+        payment: result.payment
+      });
+    } catch (error) {
+      // Put the request back in the queue if the refund could not be issued
+      await RefundRequest.updateOne(
+        { _id: refundRequest._id },
+        { status: 'pending', $unset: { reviewedBy: 1, reviewedAt: 1 } }
+      );
+      throw error;
+    }
+  } catch (error) {
+    console.error('Approve refund request error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Failed to approve refund request'
+    });
+  }
+});
+
+// @route   PUT /api/admin/refund-requests/:requestId/reject
+// @desc    Reject a refund request
+// @access  Private (payments:refund)
+router.put('/refund-requests/:requestId/reject', requirePermission('payments:refund'), [
+  body('adminNotes').optional().trim().isLength({ max: 1000 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const refundRequest = await RefundRequest.findOneAndUpdate(
+      { _id: req.params.requestId, status: 'pending' },
+      {
+        status: 'rejected',
+        reviewedBy: req.user.author_id,
+        reviewedAt: new Date(),
+        adminNotes: req.body.adminNotes
+      },
+      { new: true }
+    );
+
+    if (!refundRequest) {
+      return res.status(404).json({
+        success: false,
+        message: 'Pending refund request not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Refund request rejected',
+      refundRequest
+    });
+  } catch (error) {
+    console.error('Reject refund request error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reject refund request'
+    });
+  }
+});
+
+// Validation rules shared by coupon create and update
+const couponValidation = [
+  body('discountType').optional().isIn(['percentage', 'flat']).withMessage('Discount type must be percentage or flat'),
+  body('discountValue').optional().isFloat({ min: 0 }).withMessage('Discount value must be a non-negative number'),
+  body('maxDiscountAmount').optional({ nullable: true }).isFloat({ min: 0 }),
+  body('minimumPrice').optional().isFloat({ min: 0 }),
+  body('usageLimit').optional({ nullable: true }).isInt({ min: 1 }),
+  body('perUserLimit').optional().isInt({ min: 1 }),
+  body('applicableCourses').optional().isArray().withMessage('Applicable courses must be an array of course IDs'),
+  body('validFrom').optional().isISO8601().withMessage('Valid from must be a date'),
+  body('validUntil').optional({ nullable: true }).isISO8601().withMessage('Valid until must be a date')
+];
+
+// Fields an admin may set on a coupon
+const couponFields = [
+  'code', 'description', 'discountType', 'discountValue', 'maxDiscountAmount',
+  'applicableCourses', 'minimumPrice', 'usageLimit', 'perUserLimit',
+  'validFrom', 'validUntil', 'isActive'
+];
+
+const pickCouponFields = (source) => {
+  const data = {};
+  couponFields.forEach(field => {
+    if (source[field] !== undefined) {
+      data[field] = source[field];
+    }
+  });
+  return data;
+};
+
+// @route   GET /api/admin/coupons
+// @desc    Get all coupons
+// @access  Private (coupons:write)
+router.get('/coupons', requirePermission('coupons:write'), async (req, res) => {
+  try {
+    const {
+      page = 1,
+      limit = 20,
+      search = '',
+      status = ''
+    } = req.query;
+
+    const filter = {};
+    if (search) filter.code = { $regex: search, $options: 'i' };
+    if (status) filter.isActive = status === 'active';
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const coupons = await Coupon.find(filter)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const totalCoupons = await Coupon.countDocuments(filter);
+
+    res.json({
+      success: true,
+      coupons,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(totalCoupons / parseInt(limit)),
+        totalCoupons,
+        hasNext: skip + coupons.length < totalCoupons,
+        hasPrev: parseInt(page) > 1
+      }
+    });
+  } catch (error) {
+    console.error('Get coupons error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch coupons'
+    });
+  }
+});
+
+// @route   GET /api/admin/coupons/:couponId
+// @desc    Get coupon details with redemption totals
+// @access  Private (coupons:write)
+router.get('/coupons/:couponId', requirePermission('coupons:write'), async (req, res) => {
+  try {
+    const coupon = await Coupon.findById(req.params.couponId);
+
+    if (!coupon) {
+      return res.status(404).json({
+        success: false,
+        message: 'Coupon not found'
+      });
+    }
+
+    const redemptions = await Payment.aggregate([
+      { $match: { 'coupon.couponId': coupon._id, status: 'completed' } },
+      {
+        $group: {
+          _id: null,
+          count: { $sum: 1 },
+          totalDiscount: { $sum: '$coupon.discountAmount' },
+          totalRevenue: { $sum: '$amount' }
+        }
+      }
+    ]);
+
+    res.json({
+      success: true,
+      coupon,
+      redemptions: redemptions[0] || { count: 0, totalDiscount: 0, totalRevenue: 0 }
+    });
+  } catch (error) {
+    console.error('Get coupon error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch coupon'
+    });
+  }
+});
+
+// @route   POST /api/admin/coupons
+// @desc    Create new coupon
+// @access  Private (coupons:write)
+router.post('/coupons', requirePermission('coupons:write'), [
+  body('code').trim().notEmpty().withMessage('Coupon code is required'),
+  body('discountType').isIn(['percentage', 'flat']).withMessage('Discount type must be percentage or flat'),
+  body('discountValue').isFloat({ min: 0 }).withMessage('Discount value must be a non-negative number'),
+  ...couponValidation
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const existingCoupon = await Coupon.findOne({ code: req.body.code.toUpperCase() });
+    if (existingCoupon) {
+      return res.status(400).json({
+        success: false,
+        message: 'A coupon with this code already exists'
+      });
+    }
+
+    const coupon = new Coupon({
+      ...pickCouponFields(req.body),
+      createdBy: req.user.author_id
+    });
+    await coupon.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Coupon created successfully',
+      coupon
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Create coupon error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create coupon'
+    });
+  }
+});
+
+// @route   PUT /api/admin/coupons/:couponId
+// @desc    Update coupon
+// @access  Private (coupons:write)
+router.put('/coupons/:couponId', requirePermission('coupons:write'), couponValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const coupon = await Coupon.findById(req.params.couponId);
+    if (!coupon) {
+      return res.status(404).json({
+        success: false,
+        message: 'Coupon not found'
+      });
+    }
+
+    coupon.set(pickCouponFields(req.body));
+    await coupon.save();
+
+    res.json({
+      success: true,
+      message: 'Coupon updated successfully',
+      coupon
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Update coupon error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update coupon'
+    });
+  }
+});
+
+// @route   DELETE /api/admin/coupons/:couponId
+// @desc    Delete coupon, or deactivate it if it has been redeemed
+// @access  Private (coupons:write)
+router.delete('/coupons/:couponId', requirePermission('coupons:write'), async (req, res) => {
+  try {
+    const coupon = await Coupon.findById(req.params.couponId);
+    if (!coupon) {
+      return res.status(404).json({
+        success: false,
+        message: 'Coupon not found'
+      });
+    }
+
+    // Keep redeemed coupons so payments still point at a real discount
+    if (coupon.redemptionCount > 0) {
+      coupon.isActive = false;
+      await coupon.save();
+
+      return res.json({
+        success: true,
+        message: 'Coupon has redemptions and was deactivated instead of deleted',
+        coupon
+      });
+    }
+
+    await coupon.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Coupon deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete coupon error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete coupon'
+    });
+  }
+});
+
+const planValidation = [
+  body('name').optional().trim().notEmpty().withMessage('Plan name cannot be empty'),
+  body('interval').optional().isIn(['monthly', 'yearly']).withMessage('Interval must be monthly or yearly'),
+  body('price').optional().isFloat({ min: 1 }).withMessage('Price must be at least 1'),
+  body('currency').optional().isIn(['INR', 'USD', 'EUR']).withMessage('Currency must be INR, USD or EUR'),
+  body('trialDays').optional().isInt({ min: 0, max: 90 }).withMessage('Trial days must be between 0 and 90'),
+  body('features').optional().isArray().withMessage('Features must be an array')
+];
+
+// Fields an admin may set on a plan
+const planFields = ['name', 'description', 'interval', 'price', 'currency', 'trialDays', 'features', 'isActive'];
+
+const pickPlanFields = (source) => {
+  const data = {};
+  planFields.forEach(field => {
+    if (source[field] !== undefined) {
+      data[field] = source[field];
+    }
+  });
+  return data;
+};
+
+// @route   GET /api/admin/plans
+// @desc    Get all subscription plans with subscriber counts
+// @access  Private (plans:write)
+router.get('/plans', requirePermission('plans:write'), async (req, res) => {
+  try {
+    const [plans, counts] = await Promise.all([
+      Plan.find().sort({ createdAt: -1 }),
+      Subscription.aggregate([
+        { $match: { status: { $in: ['trialing', 'active', 'past_due'] } } },
+        { $group: { _id: '$plan', count: { $sum: 1 } } }
+      ])
+    ]);
+
+    const countMap = new Map(counts.map(item => [item._id.toString(), item.count]));
+
+    res.json({
+      success: true,
+      plans: plans.map(plan => ({
+        ...plan.toObject(),
+        activeSubscriptions: countMap.get(plan._id.toString()) || 0
+      }))
+    });
+  } catch (error) {
+    console.error('Get plans error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch plans'
+    });
+  }
+});
+
+// @route   POST /api/admin/plans
+// @desc    Create subscription plan and its Razorpay plan
+// @access  Private (plans:write)
+router.post('/plans', requirePermission('plans:write'), [
+  body('name').trim().notEmpty().withMessage('Plan name is required'),
+  body('interval').isIn(['monthly', 'yearly']).withMessage('Interval must be monthly or yearly'),
+  body('price').isFloat({ min: 1 }).withMessage('Price must be at least 1'),
+  ...planValidation
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const plan = new Plan({
+      ...pickPlanFields(req.body),
+      createdBy: req.user.author_id
+    });
+    await plan.validate();
+    await syncRazorpayPlan(plan);
+    await plan.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Plan created successfully',
+      plan
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Create plan error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Failed to create plan'
+    });
+  }
+});
+
+// @route   PUT /api/admin/plans/:planId
+// @desc    Update plan; a new price or interval applies to new subscriptions only
+// @access  Private (plans:write)
+router.put('/plans/:planId', requirePermission('plans:write'), planValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const plan = await Plan.findById(req.params.planId);
+    if (!plan) {
+      return res.status(404).json({
+        success: false,
+        message: 'Plan not found'
+      });
+    }
+
+    plan.set(pickPlanFields(req.body));
+    await plan.validate();
+    await syncRazorpayPlan(plan);
+    await plan.save();
+
+    res.json({
+      success: true,
+      message: 'Plan updated successfully',
+      plan
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Update plan error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Failed to update plan'
+    });
+  }
+});
+
+// @route   GET /api/admin/subscriptions
+// @desc    Get all subscriptions
+// @access  Private (payments:read)
+router.get('/subscriptions', requirePermission('payments:read'), async (req, res) => {
+  try {
+    const {
+      page = 1,
+      limit = 20,
+      status = '',
+      plan = ''
+    } = req.query;
+
+    const filter = {};
+    if (status) filter.status = status;
+    if (plan) filter.plan = plan;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const subscriptions = await Subscription.find(filter)
+      .populate('user', 'firstName lastName email')
+      .populate('plan', 'name interval price currency')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const totalSubscriptions = await Subscription.countDocuments(filter);
+
+    res.json({
+      success: true,
+      subscriptions,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(totalSubscriptions / parseInt(limit)),
+        totalSubscriptions,
+        hasNext: skip + subscriptions.length < totalSubscriptions,
+        hasPrev: parseInt(page) > 1
+      }
     });
   } catch (error) {
-    console.error('Add topic error:', error);
+    console.error('Get subscriptions error:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to add topic'
+      message: 'Failed to fetch subscriptions'
     });
   }
 });
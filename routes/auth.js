@@ -1,18 +1,144 @@
 const express = require('express');
-const jwt = require('jsonwebtoken');
+const rateLimit = require('express-rate-limit');
 const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
 const Payment = require('../models/Payment');
+const { GSTIN_PATTERN, STATE_CODES } = require('../config/gst');
+const { getRolePermissions } = require('../services/permissions');
+const { createApiKey, listApiKeys, revokeApiKey } = require('../services/apiKeys');
+const {
+  checkLoginAllowed,
+  recordLoginFailure,
+  clearLoginFailures,
+  unlockAccount
+} = require('../services/loginProtection');
+const { createMongoRateLimitStore } = require('../services/rateLimitStore');
+const { PERMISSIONS } = require('../config/permissions');
+const { requestPasswordReset, resetPassword, changePassword } = require('../services/passwordReset');
+const {
+  sendVerificationEmail,
+  resendVerificationEmail,
+  verifyEmail,
+  requestEmailChange,
+  confirmEmailChange
+} = require('../services/emailVerification');
+const {
+  isTwoFactorRequired,
+  getTwoFactorStatus,
+  startTwoFactorSetup,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateBackupCodes,
+  verifySecondFactor,
+  createLoginChallenge,
+  verifyLoginChallenge
+} = require('../services/twoFactor');
+const {
+  createSession,
+  refreshSession,
+  listSessions,
+  revokeSession,
+  revokeSessionByToken,
+  revokeAllSessions
+} = require('../services/sessions');
 const { 
-  generateTokens, 
   setTokenCookies, 
   clearTokenCookies,
-  authenticateToken 
+  authenticateToken,
+  optionalAuth
 } = require('../middleware/auth');
 
 const router = express.Router();
 
+// Device details recorded on the session
+const getClient = (req) => ({
+  userAgent: req.get('User-Agent'),
+  ip: req.ip
+});
+
+// Set the token cookies; clients that send includeTokens: true (mobile apps, scripts) also get them in the body
+const sendTokens = (req, res, accessToken, refreshToken) => {
+  setTokenCookies(res, accessToken, refreshToken);
+  return req.body?.includeTokens === true ? { tokens: { accessToken, refreshToken } } : {};
+};
+
+// Auth limiters keep their counts in MongoDB so they hold across server instances.
+// Failed logins are also counted per account by services/loginProtection.
+const loginLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 20, // limit each IP to 20 failed logins per windowMs
+  skipSuccessfulRequests: true,
+  store: createMongoRateLimitStore('login:'),
+  message: {
+    success: false,
+    message: 'Too many login attempts. Please try again later.'
+  }
+});
+
+const registerLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 5, // limit each IP to 5 registrations per windowMs
+  store: createMongoRateLimitStore('register:'),
+  message: {
+    success: false,
+    message: 'Too many accounts created from this network. Please try again later.'
+  }
+});
+
+// Forgot password, reset password and account unlock links
+const passwordResetLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 5, // limit each IP to 5 requests per windowMs
+  store: createMongoRateLimitStore('password-reset:'),
+  message: {
+    success: false,
+    message: 'Too many password reset requests. Please try again later.'
+  }
+});
+
+// Authenticator codes only have a million values, so guesses are limited per IP
+const twoFactorLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10, // limit each IP to 10 code attempts per windowMs
+  store: createMongoRateLimitStore('2fa:'),
+  message: {
+    success: false,
+    message: 'Too many authentication attempts. Please try again later.'
+  }
+});
+
+// Password change and email change check the current password, so a stolen session
+// could otherwise guess it at the global rate. Counted per account, failures only.
+const currentPasswordLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 5, // limit each account to 5 failed attempts per windowMs
+  skipSuccessfulRequests: true,
+  keyGenerator: (req) => req.user.author_id,
+  store: createMongoRateLimitStore('current-password:'),
+  message: {
+    success: false,
+    message: 'Too many incorrect password attempts. Please try again later.'
+  }
+});
+
+// Verification and confirmation links are emailed, so keep these endpoints well below the global limit
+const emailVerificationLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10, // limit each IP to 10 verification requests per windowMs
+  store: createMongoRateLimitStore('email-verification:'),
+  message: {
+    success: false,
+    message: 'Too many verification requests. Please try again later.'
+  }
+});
+
 // Validation rules
+const passwordStrength = (field) => body(field)
+  .isLength({ min: 6 })
+  .withMessage('Password must be at least 6 characters long')
+  .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
+  .withMessage('Password must contain at least one uppercase letter, one lowercase letter, and one number');
+
 const registerValidation = [
   body('firstName')
     .trim()
@@ -26,11 +152,7 @@ const registerValidation = [
     .isEmail()
     .normalizeEmail()
     .withMessage('Please provide a valid email address'),
-  body('password')
-    .isLength({ min: 6 })
-    .withMessage('Password must be at least 6 characters long')
-    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
-    .withMessage('Password must contain at least one uppercase letter, one lowercase letter, and one number')
+  passwordStrength('password')
 ];
 
 const loginValidation = [
@@ -46,7 +168,7 @@ const loginValidation = [
 // @route   POST /api/auth/register
 // @desc    Register a new user
 // @access  Public
-router.post('/register', registerValidation, async (req, res) => {
+router.post('/register', registerLimiter, registerValidation, async (req, res) => {
   try {
     // Check validation errors
     const errors = validationResult(req);
@@ -79,32 +201,36 @@ router.post('/register', registerValidation, async (req, res) => {
 
     await user.save();
 
-    // Generate tokens
-    const { accessToken, refreshToken } = generateTokens(user.author_id);
-
-    // Save refresh token to user
-    user.refreshTokens.push({ token: refreshToken });
-    await user.save();
+    // Start a session for this device
+    const { accessToken, refreshToken } = await createSession(user.author_id, getClient(req));
 
     // Set cookies
-    setTokenCookies(res, accessToken, refreshToken);
+    const tokens = sendTokens(req, res, accessToken, refreshToken);
 
     // Update last login
     user.lastLogin = new Date();
     await user.save();
 
+    try {
+      await sendVerificationEmail(user);
+    } catch (error) {
+      console.error('Verification email error:', error);
+    }
+
     res.status(201).json({
       success: true,
-      message: 'User registered successfully',
+      message: 'User registered successfully. Please check your email to verify your address.',
       user: {
         author_id: user.author_id,
         firstName: user.firstName,
         lastName: user.lastName,
         email: user.email,
+        emailVerified: user.emailVerified,
         role: user.role,
         hasPaidRegistrationFee: user.hasPaidRegistrationFee,
         createdAt: user.createdAt
-      }
+      },
+      ...tokens
     });
   } catch (error) {
     console.error('Registration error:', error);
@@ -115,10 +241,60 @@ router.post('/register', registerValidation, async (req, res) => {
   }
 });
 
+// Start a session for a user who passed every login step; returns the user summary (and tokens) for the response
+const completeLogin = async (user, req, res) => {
+  // Start a session for this device
+  const { accessToken, refreshToken } = await createSession(user.author_id, getClient(req));
+  console.log('Generated tokens for user:', user.email);
+  console.log('Access token length:', accessToken.length);
+  console.log('Refresh token length:', refreshToken.length);
+
+  user.lastLogin = new Date();
+  await user.save();
+
+  // Only a completed login (including any 2FA step) resets the failed login counter
+  await clearLoginFailures(user.email);
+
+  // Set cookies
+  console.log('Setting cookies...');
+  const tokens = sendTokens(req, res, accessToken, refreshToken);
+  console.log('Cookies set successfully');
+
+  return {
+    user: {
+      author_id: user.author_id,
+      firstName: user.firstName,
+      lastName: user.lastName,
+      email: user.email,
+      emailVerified: user.emailVerified,
+      role: user.role,
+      hasPaidRegistrationFee: user.hasPaidRegistrationFee,
+      lastLogin: user.lastLogin,
+      twoFactorEnabled: Boolean(user.twoFactor?.enabled),
+      // Admins without 2FA can log in, but only to set it up
+      twoFactorSetupRequired: isTwoFactorRequired(user) && !user.twoFactor?.enabled
+    },
+    ...tokens
+  };
+};
+
+// Lockouts and delays carry how long to wait, as a Retry-After header and in the body
+const sendLoginError = (res, error) => {
+  if (error.retryAfter) {
+    res.set('Retry-After', String(error.retryAfter));
+  }
+
+  res.status(error.status || 500).json({
+    success: false,
+    message: error.status ? error.message : 'Login failed. Please try again.',
+    ...(error.retryAfter ? { retryAfter: error.retryAfter } : {})
+  });
+};
+
 // @route   POST /api/auth/login
-// @desc    Login user
+// @desc    Login user; returns a challengeToken instead of cookies when 2FA is enabled
 // @access  Public
-router.post('/login', loginValidation, async (req, res) => {
+router.post('/login', loginLimiter, loginValidation, async (req, res) => {
   try {
     // Check validation errors
     const errors = validationResult(req);
@@ -131,10 +307,15 @@ router.post('/login', loginValidation, async (req, res) => {
     }
 
     const { email, password } = req.body;
+    const attempt = { email, ip: req.ip, userAgent: req.get('User-Agent') };
+
+    // Locked accounts, blocked IPs and attempts inside the progressive delay stop here
+    await checkLoginAllowed(attempt);
 
     // Find user by email
     const user = await User.findOne({ email }).select('+password');
     if (!user) {
+      await recordLoginFailure(attempt);
       return res.status(401).json({
         success: false,
         message: 'Invalid email or password. Please check your credentials and try again.'
@@ -152,47 +333,92 @@ router.post('/login', loginValidation, async (req, res) => {
     // Check password
     const isPasswordValid = await user.comparePassword(password);
     if (!isPasswordValid) {
+      await recordLoginFailure(attempt);
       return res.status(401).json({
         success: false,
         message: 'Invalid email or password. Please check your credentials and try again.'
       });
     }
 
-    // Generate tokens
-    const { accessToken, refreshToken } = generateTokens(user.author_id);
-    console.log('Generated tokens for user:', user.email);
-    console.log('Access token length:', accessToken.length);
-    console.log('Refresh token length:', refreshToken.length);
+    // With 2FA on, the cookies are only issued by /login/2fa
+    if (user.twoFactor?.enabled) {
+      return res.json({
+        success: true,
+        message: 'Enter the code from your authenticator app to finish logging in.',
+        twoFactorRequired: true,
+        challengeToken: createLoginChallenge(user)
+      });
+    }
 
-    // Save refresh token to user
-    user.refreshTokens.push({ token: refreshToken });
-    user.lastLogin = new Date();
-    await user.save();
+    res.json({
+      success: true,
+      message: 'Login successful',
+      ...(await completeLogin(user, req, res))
+    });
+  } catch (error) {
+    if (!error.status) console.error('Login error:', error);
+    sendLoginError(res, error);
+  }
+});
 
-    // Set cookies
-    console.log('Setting cookies...');
-    setTokenCookies(res, accessToken, refreshToken);
-    console.log('Cookies set successfully');
+// @route   POST /api/auth/login/2fa
+// @desc    Finish a 2FA login with the challengeToken and an authenticator code or backup code
+// @access  Public
+router.post('/login/2fa', twoFactorLimiter, [
+  body('challengeToken')
+    .isString()
+    .notEmpty()
+    .withMessage('Challenge token is required'),
+  body('code').optional().isString(),
+  body('backupCode').optional().isString(),
+  body().custom(value => Boolean(value.code || value.backupCode)).withMessage('An authentication code or backup code is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const userId = verifyLoginChallenge(req.body.challengeToken);
+    const user = await User.findOne({ author_id: userId, isActive: true });
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Your login session has expired. Please log in again.'
+      });
+    }
+
+    const attempt = { email: user.email, ip: req.ip, userAgent: req.get('User-Agent') };
+    await checkLoginAllowed(attempt);
+
+    // Wrong codes count towards the account lockout like wrong passwords
+    let method;
+    try {
+      method = await verifySecondFactor(user, {
+        code: req.body.code,
+        backupCode: req.body.backupCode
+      });
+    } catch (error) {
+      if (error.status === 400) await recordLoginFailure(attempt);
+      throw error;
+    }
+
+    const login = await completeLogin(user, req, res);
+    const backupCodesRemaining = getTwoFactorStatus(user).backupCodesRemaining - (method === 'backup_code' ? 1 : 0);
 
     res.json({
       success: true,
       message: 'Login successful',
-      user: {
-        author_id: user.author_id,
-        firstName: user.firstName,
-        lastName: user.lastName,
-        email: user.email,
-        role: user.role,
-        hasPaidRegistrationFee: user.hasPaidRegistrationFee,
-        lastLogin: user.lastLogin
-      }
+      ...login,
+      ...(method === 'backup_code' ? { backupCodesRemaining } : {})
     });
   } catch (error) {
-    console.error('Login error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Login failed. Please try again.'
-    });
+    if (!error.status) console.error('2FA login error:', error);
+    sendLoginError(res, error);
   }
 });
 
@@ -201,15 +427,8 @@ router.post('/login', loginValidation, async (req, res) => {
 // @access  Private
 router.post('/logout', authenticateToken, async (req, res) => {
   try {
-    const { refreshToken } = req.cookies;
-
-    if (refreshToken) {
-      // Remove refresh token from user's tokens array
-      await User.findByIdAndUpdate(
-        req.user._id,
-        { $pull: { refreshTokens: { token: refreshToken } } }
-      );
-    }
+    // End this device's session, which also invalidates its access token
+    await revokeSession(req.user.author_id, req.sessionId);
 
     // Clear cookies
     clearTokenCookies(res);
@@ -245,12 +464,94 @@ router.get('/me', authenticateToken, async (req, res) => {
   }
 });
 
+// @route   GET /api/auth/me/permissions
+// @desc    Get the permissions granted by the current user's role
+// @access  Private
+router.get('/me/permissions', authenticateToken, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      role: req.user.role,
+      permissions: await getRolePermissions(req.user.role)
+    });
+  } catch (error) {
+    console.error('Get permissions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get permissions'
+    });
+  }
+});
+
+// @route   GET /api/auth/sessions
+// @desc    List the devices signed in to the current account
+// @access  Private
+router.get('/sessions', authenticateToken, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      sessions: await listSessions(req.user.author_id, req.sessionId)
+    });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get sessions'
+    });
+  }
+});
+
+// @route   DELETE /api/auth/sessions
+// @desc    Log out everywhere except the current device
+// @access  Private
+router.delete('/sessions', authenticateToken, async (req, res) => {
+  try {
+    const revoked = await revokeAllSessions(req.user.author_id, { exceptSessionId: req.sessionId });
+
+    res.json({
+      success: true,
+      message: `Signed out of ${revoked} other session${revoked === 1 ? '' : 's'}`,
+      revoked
+    });
+  } catch (error) {
+    console.error('Revoke sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to sign out other sessions'
+    });
+  }
+});
+
+// @route   DELETE /api/auth/sessions/:sessionId
+// @desc    Sign out one device
+// @access  Private
+router.delete('/sessions/:sessionId', authenticateToken, async (req, res) => {
+  try {
+    await revokeSession(req.user.author_id, req.params.sessionId);
+
+    if (req.params.sessionId === req.sessionId) {
+      clearTokenCookies(res);
+    }
+
+    res.json({
+      success: true,
+      message: 'Session signed out'
+    });
+  } catch (error) {
+    if (!error.status) console.error('Revoke session error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Failed to sign out session'
+    });
+  }
+});
+
 // @route   POST /api/auth/refresh-token
-// @desc    Refresh access token
+// @desc    Refresh access token, with the refresh token from the cookie or the request body
 // @access  Private
 router.post('/refresh-token', async (req, res) => {
   try {
-    const { refreshToken } = req.cookies;
+    const refreshToken = req.cookies.refreshToken || req.body?.refreshToken;
 
     if (!refreshToken) {
       return res.status(401).json({
@@ -259,41 +560,25 @@ router.post('/refresh-token', async (req, res) => {
       });
     }
 
-    // Verify refresh token
-    const decoded = jwt.verify(refreshToken, process.env.JWT_REFRESH_SECRET);
-    
-    // Find user and check if refresh token exists
-    const user = await User.findOne({
-      author_id: decoded.userId,
-      'refreshTokens.token': refreshToken,
-      isActive: true
-    });
+    // Rotate the session's refresh token; the old one stops working
+    const { accessToken, refreshToken: newRefreshToken, userId } = await refreshSession(refreshToken, getClient(req));
 
+    const user = await User.exists({ author_id: userId, isActive: true });
     if (!user) {
+      await revokeSessionByToken(newRefreshToken);
       return res.status(401).json({
         success: false,
         message: 'Invalid refresh token'
       });
     }
 
-    // Generate new tokens
-    const { accessToken, refreshToken: newRefreshToken } = generateTokens(user.author_id);
-
-    // Update refresh token in database
-    await User.findByIdAndUpdate(
-      user._id,
-      {
-        $pull: { refreshTokens: { token: refreshToken } },
-        $push: { refreshTokens: { token: newRefreshToken } }
-      }
-    );
-
     // Set new cookies
-    setTokenCookies(res, accessToken, newRefreshToken);
+    const tokens = sendTokens(req, res, accessToken, newRefreshToken);
 
     res.json({
       success: true,
-      message: 'Token refreshed successfully'
+      message: 'Token refreshed successfully',
+      ...tokens
     });
   } catch (error) {
     console.error('Refresh token error:', error);
@@ -304,6 +589,206 @@ router.post('/refresh-token', async (req, res) => {
   }
 });
 
+// @route   POST /api/auth/verify-email
+// @desc    Verify an email address with the token from the verification link
+// @access  Public
+router.post('/verify-email', emailVerificationLimiter, [
+  body('token')
+    .isString()
+    .notEmpty()
+    .withMessage('Verification token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await verifyEmail(req.body.token);
+
+    res.json({
+      success: true,
+      message: 'Email address verified successfully',
+      email: user.email,
+      emailVerified: true
+    });
+  } catch (error) {
+    if (!error.status) console.error('Verify email error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Email verification failed. Please try again.'
+    });
+  }
+});
+
+// @route   POST /api/auth/resend-verification
+// @desc    Send a new verification link to the logged-in user, or to the email in the body
+//          (the response does not reveal whether that account exists)
+// @access  Public
+router.post('/resend-verification', emailVerificationLimiter, optionalAuth, [
+  body('email')
+    .optional()
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email address')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    if (req.user) {
+      const sent = await resendVerificationEmail(req.user);
+
+      return res.json({
+        success: true,
+        message: sent ? 'Verification email sent' : 'Your email address is already verified'
+      });
+    }
+
+    if (!req.body.email) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is required'
+      });
+    }
+
+    const user = await User.findOne({ email: req.body.email, isActive: true });
+    if (user) {
+      // Cooldowns and already-verified accounts get the same answer as unknown addresses
+      resendVerificationEmail(user).catch(error => {
+        if (!error.status) console.error('Resend verification error:', error);
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'If an unverified account exists for this email, a verification link has been sent.'
+    });
+  } catch (error) {
+    if (!error.status) console.error('Resend verification error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Failed to send verification email. Please try again.'
+    });
+  }
+});
+
+// @route   POST /api/auth/forgot-password
+// @desc    Email a password reset link; the response does not reveal whether the account exists
+// @access  Public
+router.post('/forgot-password', passwordResetLimiter, [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email address')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    await requestPasswordReset(req.body.email, { requestIp: req.ip });
+
+    res.json({
+      success: true,
+      message: 'If an account exists for this email, a password reset link has been sent.'
+    });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to process password reset request. Please try again.'
+    });
+  }
+});
+
+// @route   POST /api/auth/reset-password
+// @desc    Set a new password with a reset token and sign out all sessions
+// @access  Public
+router.post('/reset-password', passwordResetLimiter, [
+  body('token')
+    .isString()
+    .notEmpty()
+    .withMessage('Reset token is required'),
+  passwordStrength('password')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    await resetPassword(req.body.token, req.body.password);
+
+    // Sessions were revoked, including any on this device
+    clearTokenCookies(res);
+
+    res.json({
+      success: true,
+      message: 'Password reset successful. Please log in with your new password.'
+    });
+  } catch (error) {
+    if (!error.status) console.error('Reset password error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Password reset failed. Please try again.'
+    });
+  }
+});
+
+// @route   POST /api/auth/unlock-account
+// @desc    Lift a login lockout with the token from the unlock email
+// @access  Public
+router.post('/unlock-account', passwordResetLimiter, [
+  body('token')
+    .isString()
+    .notEmpty()
+    .withMessage('Unlock token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    await unlockAccount(req.body.token);
+
+    res.json({
+      success: true,
+      message: 'Your account is unlocked. You can log in again.'
+    });
+  } catch (error) {
+    if (!error.status) console.error('Unlock account error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Failed to unlock account. Please try again.'
+    });
+  }
+});
+
 // @route   PUT /api/auth/profile
 // @desc    Update user profile
 // @access  Private
@@ -312,7 +797,19 @@ router.put('/profile', authenticateToken, [
   body('lastName').optional().trim().isLength({ min: 2, max: 50 }),
   body('profile.bio').optional().trim().isLength({ max: 500 }),
   body('profile.website').optional().isURL(),
-  body('profile.location').optional().trim().isLength({ max: 100 })
+  body('profile.location').optional().trim().isLength({ max: 100 }),
+  body('billing.gstin')
+    .optional({ values: 'falsy' })
+    .trim()
+    .toUpperCase()
+    .matches(GSTIN_PATTERN)
+    .withMessage('Please provide a valid GSTIN'),
+  body('billing.legalName').optional().trim().isLength({ max: 100 }),
+  body('billing.address').optional().trim().isLength({ max: 300 }),
+  body('billing.stateCode')
+    .optional({ values: 'falsy' })
+    .isIn(Object.keys(STATE_CODES))
+    .withMessage('Please provide a valid GST state code')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -324,7 +821,7 @@ router.put('/profile', authenticateToken, [
       });
     }
 
-    const allowedUpdates = ['firstName', 'lastName', 'profile'];
+    const allowedUpdates = ['firstName', 'lastName', 'profile', 'billing'];
     const updates = {};
 
     allowedUpdates.forEach(field => {
@@ -337,7 +834,7 @@ router.put('/profile', authenticateToken, [
       req.user._id,
       updates,
       { new: true, runValidators: true }
-    ).select('-password -refreshTokens');
+    ).select('-password');
 
     res.json({
       success: true,
@@ -353,4 +850,354 @@ router.put('/profile', authenticateToken, [
   }
 });
 
+// @route   PUT /api/auth/password
+// @desc    Change password; signs out every other session
+// @access  Private
+router.put('/password', authenticateToken, currentPasswordLimiter, [
+  body('currentPassword')
+    .notEmpty()
+    .withMessage('Current password is required'),
+  passwordStrength('newPassword')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await changePassword(req.user.author_id, req.body.currentPassword, req.body.newPassword);
+
+    // All sessions were revoked; keep this device signed in with a new one
+    const { accessToken, refreshToken } = await createSession(user.author_id, getClient(req));
+    const tokens = sendTokens(req, res, accessToken, refreshToken);
+
+    res.json({
+      success: true,
+      message: 'Password changed successfully. Other devices have been signed out.',
+      ...tokens
+    });
+  } catch (error) {
+    if (!error.status) console.error('Change password error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Failed to change password. Please try again.'
+    });
+  }
+});
+
+// @route   PUT /api/auth/email
+// @desc    Request an email change; the new address must be confirmed before it is used
+// @access  Private
+router.put('/email', authenticateToken, currentPasswordLimiter, [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email address'),
+  body('currentPassword')
+    .notEmpty()
+    .withMessage('Current password is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await requestEmailChange(req.user.author_id, req.body.email, req.body.currentPassword);
+
+    res.json({
+      success: true,
+      message: `We sent a confirmation link to ${user.pendingEmail}. Your email changes once you open it.`,
+      pendingEmail: user.pendingEmail
+    });
+  } catch (error) {
+    if (!error.status) console.error('Email change request error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Failed to request email change. Please try again.'
+    });
+  }
+});
+
+// @route   POST /api/auth/email/confirm
+// @desc    Confirm an email change with the token sent to the new address
+// @access  Public
+router.post('/email/confirm', emailVerificationLimiter, [
+  body('token')
+    .isString()
+    .notEmpty()
+    .withMessage('Confirmation token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await confirmEmailChange(req.body.token);
+
+    res.json({
+      success: true,
+      message: 'Email address changed successfully',
+      email: user.email
+    });
+  } catch (error) {
+    if (!error.status) console.error('Email change confirm error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Failed to change email. Please try again.'
+    });
+  }
+});
+
+// @route   GET /api/auth/2fa
+// @desc    Get the two-factor authentication status of the current user
+// @access  Private
+router.get('/2fa', authenticateToken, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      twoFactor: getTwoFactorStatus(req.user)
+    });
+  } catch (error) {
+    console.error('Get 2FA status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get two-factor authentication status'
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/setup
+// @desc    Start 2FA enrollment; returns the secret and an otpauth:// URI to show as a QR code
+// @access  Private
+router.post('/2fa/setup', authenticateToken, async (req, res) => {
+  try {
+    const { secret, otpauthUrl } = await startTwoFactorSetup(req.user.author_id);
+
+    res.json({
+      success: true,
+      message: 'Scan the QR code with your authenticator app, then confirm with a code from it.',
+      secret,
+      otpauthUrl
+    });
+  } catch (error) {
+    if (!error.status) console.error('2FA setup error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Failed to start two-factor setup'
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/enable
+// @desc    Confirm enrollment with a code from the app; returns backup codes once
+// @access  Private
+router.post('/2fa/enable', authenticateToken, twoFactorLimiter, [
+  body('code')
+    .isString()
+    .notEmpty()
+    .withMessage('Authentication code is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const backupCodes = await enableTwoFactor(req.user.author_id, req.body.code);
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store these backup codes somewhere safe; each works once.',
+      backupCodes
+    });
+  } catch (error) {
+    if (!error.status) console.error('2FA enable error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Failed to enable two-factor authentication'
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/disable
+// @desc    Turn off 2FA with the password and a code or backup code (not allowed for required roles)
+// @access  Private
+router.post('/2fa/disable', authenticateToken, twoFactorLimiter, [
+  body('currentPassword')
+    .notEmpty()
+    .withMessage('Current password is required'),
+  body().custom(value => Boolean(value.code || value.backupCode)).withMessage('An authentication code or backup code is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    await disableTwoFactor(req.user.author_id, {
+      currentPassword: req.body.currentPassword,
+      code: req.body.code,
+      backupCode: req.body.backupCode
+    });
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    if (!error.status) console.error('2FA disable error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Failed to disable two-factor authentication'
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/backup-codes
+// @desc    Replace all backup codes after checking an authenticator code
+// @access  Private
+router.post('/2fa/backup-codes', authenticateToken, twoFactorLimiter, [
+  body('code')
+    .isString()
+    .notEmpty()
+    .withMessage('Authentication code is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const backupCodes = await regenerateBackupCodes(req.user.author_id, req.body.code);
+
+    res.json({
+      success: true,
+      message: 'New backup codes generated. The old ones no longer work.',
+      backupCodes
+    });
+  } catch (error) {
+    if (!error.status) console.error('2FA backup codes error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Failed to generate backup codes'
+    });
+  }
+});
+
+// @route   GET /api/auth/api-keys
+// @desc    List the current user's API keys (never the keys themselves)
+// @access  Private
+router.get('/api-keys', authenticateToken, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      apiKeys: await listApiKeys(req.user.author_id)
+    });
+  } catch (error) {
+    console.error('Get API keys error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get API keys'
+    });
+  }
+});
+
+// @route   POST /api/auth/api-keys
+// @desc    Create a personal API key scoped to some of the user's permissions; the key is returned once
+// @access  Private
+router.post('/api-keys', authenticateToken, [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Key name must be between 1 and 100 characters'),
+  body('scopes')
+    .isArray({ min: 1 })
+    .withMessage('At least one scope is required'),
+  body('scopes.*')
+    .isIn(Object.keys(PERMISSIONS))
+    .withMessage('Unknown scope'),
+  body('expiresInDays')
+    .optional()
+    .isInt({ min: 1, max: 365 })
+    .withMessage('Expiry must be between 1 and 365 days')
+    .toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { key, apiKey } = await createApiKey(req.user, {
+      name: req.body.name,
+      scopes: req.body.scopes,
+      expiresInDays: req.body.expiresInDays
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'API key created. Copy it now; it will not be shown again.',
+      key,
+      apiKey
+    });
+  } catch (error) {
+    if (!error.status) console.error('Create API key error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Failed to create API key'
+    });
+  }
+});
+
+// @route   DELETE /api/auth/api-keys/:keyId
+// @desc    Revoke an API key
+// @access  Private
+router.delete('/api-keys/:keyId', authenticateToken, async (req, res) => {
+  try {
+    const apiKey = await revokeApiKey(req.user.author_id, req.params.keyId);
+
+    res.json({
+      success: true,
+      message: 'API key revoked',
+      apiKey
+    });
+  } catch (error) {
+    if (!error.status) console.error('Revoke API key error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Failed to revoke API key'
+    });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,116 @@
+const express = require('express');
+const Bundle = require('../models/Bundle');
+const Course = require('../models/Course');
+const { optionalAuth } = require('../middleware/auth');
+const { findOwnedCourseIds } = require('../services/checkout');
+
+const router = express.Router();
+
+// Attach course summaries, the combined list price and the saving to bundles
+const withCourseDetails = async (bundles) => {
+  const courseIds = [...new Set(bundles.flatMap(bundle => bundle.courses))];
+  const courses = await Course.find({ c_id: { $in: courseIds }, status: 'published' })
+    .select('c_id title shortDescription thumbnail price currency duration level')
+    .lean();
+  const courseMap = new Map(courses.map(course => [course.c_id, course]));
+
+  return bundles.map(bundle => {
+    const bundleCourses = bundle.courses.map(courseId => courseMap.get(courseId)).filter(Boolean);
+    const totalValue = bundleCourses.reduce((sum, course) => sum + course.price, 0);
+
+    return {
+      ...bundle,
+      courses: bundleCourses,
+      totalValue,
+      savings: Math.max(0, totalValue - bundle.price)
+    };
+  });
+};
+
+// @route   GET /api/bundles
+// @desc    Get all published bundles with pagination
+// @access  Public
+router.get('/', optionalAuth, async (req, res) => {
+  try {
+    const {
+      page = 1,
+      limit = 12,
+      search = ''
+    } = req.query;
+
+    const filter = { status: 'published' };
+    if (search) {
+      filter.$or = [
+        { title: { $regex: search, $options: 'i' } },
+        { description: { $regex: search, $options: 'i' } }
+      ];
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const bundles = await Bundle.find(filter)
+      .sort({ isFeatured: -1, createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit))
+      .lean();
+
+    const totalBundles = await Bundle.countDocuments(filter);
+
+    res.json({
+      success: true,
+      bundles: await withCourseDetails(bundles),
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(totalBundles / parseInt(limit)),
+        totalBundles,
+        hasNext: skip + bundles.length < totalBundles,
+        hasPrev: parseInt(page) > 1
+      }
+    });
+  } catch (error) {
+    console.error('Get bundles error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch bundles'
+    });
+  }
+});
+
+// @route   GET /api/bundles/:bundleId
+// @desc    Get bundle details; buy it with order type "bundle" at /api/payments/:provider/orders
+// @access  Public
+router.get('/:bundleId', optionalAuth, async (req, res) => {
+  try {
+    const bundle = await Bundle.findOne({
+      b_id: req.params.bundleId,
+      status: 'published'
+    }).lean();
+
+    if (!bundle) {
+      return res.status(404).json({
+        success: false,
+        message: 'Bundle not found'
+      });
+    }
+
+    const [details] = await withCourseDetails([bundle]);
+
+    // Courses the user already owns are not enrolled again on purchase
+    if (req.user) {
+      details.ownedCourses = await findOwnedCourseIds(req.user.author_id, bundle.courses);
+    }
+
+    res.json({
+      success: true,
+      bundle: details
+    });
+  } catch (error) {
+    console.error('Get bundle details error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch bundle details'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,134 @@
+const express = require('express');
+const Cart = require('../models/Cart');
+const { authenticateToken, requireVerifiedEmail, requireRegistrationFee } = require('../middleware/auth');
+const { evaluateCartItems } = require('../services/checkout');
+const { loadProvider, createOrder } = require('../controllers/paymentController');
+
+const router = express.Router();
+
+router.use(authenticateToken);
+
+// Shape a cart for the response with current course details and total
+const formatCart = async (cart, userId) => {
+  const courseIds = cart ? cart.items.map(item => item.course) : [];
+  const { validItems, rejectedItems } = await evaluateCartItems(userId, courseIds);
+
+  return {
+    items: validItems.map(course => ({
+      c_id: course.c_id,
+      title: course.title,
+      thumbnail: course.thumbnail,
+      price: course.price,
+      currency: course.currency
+    })),
+    unavailableItems: rejectedItems,
+    total: validItems.reduce((sum, course) => sum + course.price, 0),
+    currency: validItems[0]?.currency || process.env.PAYMENT_CURRENCY || 'INR'
+  };
+};
+
+// @route   GET /api/cart
+// @desc    Get current user's cart
+// @access  Private
+router.get('/', async (req, res) => {
+  try {
+    const cart = await Cart.findOne({ user: req.user.author_id });
+
+    res.json({
+      success: true,
+      cart: await formatCart(cart, req.user.author_id)
+    });
+  } catch (error) {
+    console.error('Get cart error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch cart'
+    });
+  }
+});
+
+// @route   POST /api/cart/items
+// @desc    Add a course to the cart
+// @access  Private
+router.post('/items', async (req, res) => {
+  try {
+    const { courseId } = req.body;
+    const userId = req.user.author_id;
+
+    if (!courseId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Course ID is required.'
+      });
+    }
+
+    const { rejectedItems } = await evaluateCartItems(userId, [courseId]);
+    if (rejectedItems.length > 0) {
+      return res.status(rejectedItems[0].reason === 'not_found' ? 404 : 400).json({
+        success: false,
+        message: rejectedItems[0].message,
+        reason: rejectedItems[0].reason
+      });
+    }
+
+    try {
+      // $ne keeps the same course from being added twice
+      await Cart.findOneAndUpdate(
+        { user: userId, 'items.course': { $ne: courseId } },
+        { $push: { items: { course: courseId } } },
+        { upsert: true }
+      );
+    } catch (error) {
+      // The upsert collides with the existing cart when the course is already in it
+      if (error.code !== 11000) throw error;
+    }
+
+    const cart = await Cart.findOne({ user: userId });
+
+    res.json({
+      success: true,
+      message: 'Course added to cart',
+      cart: await formatCart(cart, userId)
+    });
+  } catch (error) {
+    console.error('Add to cart error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to add course to cart'
+    });
+  }
+});
+
+// @route   DELETE /api/cart/items/:courseId
+// @desc    Remove a course from the cart
+// @access  Private
+router.delete('/items/:courseId', async (req, res) => {
+  try {
+    const userId = req.user.author_id;
+
+    const cart = await Cart.findOneAndUpdate(
+      { user: userId },
+      { $pull: { items: { course: req.params.courseId } } },
+      { new: true }
+    );
+
+    res.json({
+      success: true,
+      message: 'Course removed from cart',
+      cart: await formatCart(cart, userId)
+    });
+  } catch (error) {
+    console.error('Remove from cart error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove course from cart'
+    });
+  }
+});
+
+// @route   POST /api/cart/checkout
+// @desc    Create one payment order for every course in the cart (optional provider in body)
+// @access  Private
+router.post('/checkout', requireVerifiedEmail, requireRegistrationFee, loadProvider(), createOrder('cart'));
+
+module.exports = router;
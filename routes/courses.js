@@ -1,6 +1,7 @@
 const express = require('express');
 const Course = require('../models/Course');
 const Enrollment = require('../models/Enrollment');
+const Gift = require('../models/Gift');
 const { authenticateToken, optionalAuth } = require('../middleware/auth');
 const { 
   checkCourseAccess, 
@@ -8,6 +9,7 @@ const {
   checkEnrollmentStatus,
   checkEnrollmentEligibility 
 } = require('../middleware/courseAccess');
+const { enrollInFreeCourse, renewFreeEnrollment, redeemGift } = require('../services/fulfillment');
 
 const router = express.Router();
 
@@ -352,27 +354,75 @@ router.get('/:courseId/enrollment-status',
 );
 
 // @route   POST /api/courses/:courseId/enroll
-// @desc    Enroll in a course (after payment)
+// @desc    Enroll in a free course, or get payment details for a paid one
 // @access  Private
 router.post('/:courseId/enroll', 
   authenticateToken, 
   checkEnrollmentEligibility, 
   async (req, res) => {
     try {
-      const { courseId } = req.params;
       const userId = req.user.author_id;
       const course = req.course;
 
-      // This endpoint is typically called after successful payment
-      // The actual enrollment is handled in the payment verification
-      res.json({
+      const isRenewal = !!req.expiredEnrollment;
+      const price = isRenewal ? course.effectiveRenewalPrice : course.price;
+
+      if (price > 0) {
+        // Paid enrollment and renewal are handled in the payment verification
+        return res.json({
+          success: true,
+          message: isRenewal
+            ? 'Your access has expired. Please complete payment to renew it'
+            : 'Please complete payment to enroll in this course',
+          paymentRequired: true,
+          renewal: isRenewal,
+          course: {
+            c_id: course.c_id,
+            title: course.title,
+            price: price,
+            currency: course.currency
+          }
+        });
+      }
+
+      const metadata = {
+        userAgent: req.headers['user-agent'],
+        ipAddress: req.ip
+      };
+      let enrollment;
+
+      if (isRenewal) {
+        const result = await renewFreeEnrollment(userId, course, req.expiredEnrollment, metadata);
+        if (!result.renewed) {
+          return res.status(400).json({
+            success: false,
+            message: 'Your access to this course has already been renewed.',
+            enrollment: result.enrollment
+          });
+        }
+        enrollment = result.enrollment;
+      } else {
+        const result = await enrollInFreeCourse(userId, course, metadata);
+        if (!result.enrolled) {
+          return res.status(400).json({
+            success: false,
+            message: 'You are already enrolled in this course.',
+            enrollment: result.enrollment
+          });
+        }
+        enrollment = result.enrollment;
+      }
+
+      res.status(201).json({
         success: true,
-        message: 'Please complete payment to enroll in this course',
-        course: {
-          c_id: course.c_id,
-          title: course.title,
-          price: course.price,
-          currency: course.currency
+        message: isRenewal
+          ? 'Access renewed successfully! Your progress has been kept.'
+          : 'Enrolled successfully! You now have access to the course content.',
+        paymentRequired: false,
+        enrollment: {
+          courseId: course.c_id,
+          courseTitle: course.title,
+          expiresAt: enrollment.expiresAt
         }
       });
     } catch (error) {
@@ -416,6 +466,7 @@ router.get('/user/enrolled', authenticateToken, async (req, res) => {
         course: enrollment.course,
         enrolledAt: enrollment.enrolledAt,
         expiresAt: enrollment.expiresAt,
+        source: enrollment.source,
         progress: enrollment.progress,
         daysRemaining: enrollment.daysRemaining
       })),
@@ -436,4 +487,90 @@ router.get('/user/enrolled', authenticateToken, async (req, res) => {
   }
 });
 
+// @route   POST /api/courses/redeem-gift
+// @desc    Redeem a gift code and enroll in the gifted course
+// @access  Private
+router.post('/redeem-gift', authenticateToken, async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!code || !String(code).trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Gift code is required'
+      });
+    }
+
+    const { course, enrollment } = await redeemGift(req.user, code);
+
+    res.status(201).json({
+      success: true,
+      message: 'Gift redeemed! You now have access to the course content.',
+      enrollment: {
+        courseId: course.c_id,
+        courseTitle: course.title,
+        expiresAt: enrollment.expiresAt
+      }
+    });
+  } catch (error) {
+    if (!error.status) console.error('Redeem gift error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Failed to redeem gift'
+    });
+  }
+});
+
+// @route   GET /api/courses/user/gifts
+// @desc    Get gifts the user has bought and whether they were redeemed
+// @access  Private
+router.get('/user/gifts', authenticateToken, async (req, res) => {
+  try {
+    const { page = 1, limit = 10 } = req.query;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const gifts = await Gift.find({ purchaser: req.user.author_id })
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const totalGifts = await Gift.countDocuments({ purchaser: req.user.author_id });
+
+    const courses = await Course.find({ c_id: { $in: gifts.map(gift => gift.course) } })
+      .select('c_id title thumbnail');
+    const courseMap = new Map(courses.map(course => [course.c_id, course]));
+
+    res.json({
+      success: true,
+      gifts: gifts.map(gift => ({
+        giftId: gift._id,
+        code: gift.code,
+        course: courseMap.get(gift.course) || { c_id: gift.course },
+        recipientEmail: gift.recipientEmail,
+        recipientName: gift.recipientName,
+        message: gift.message,
+        // An unredeemed gift past its expiry shows as expired before the job marks it
+        status: gift.status === 'active' && !gift.isRedeemable() ? 'expired' : gift.status,
+        redeemedAt: gift.redeemedAt,
+        expiresAt: gift.expiresAt,
+        purchasedAt: gift.createdAt
+      })),
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(totalGifts / parseInt(limit)),
+        totalGifts,
+        hasNext: skip + gifts.length < totalGifts,
+        hasPrev: parseInt(page) > 1
+      }
+    });
+  } catch (error) {
+    console.error('Get gifts error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch gifts'
+    });
+  }
+});
+
 module.exports = router;
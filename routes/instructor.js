@@ -0,0 +1,419 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Course = require('../models/Course');
+const User = require('../models/User');
+const Enrollment = require('../models/Enrollment');
+const { authenticateTokenOrApiKey, requirePermission, requireCourseOwnership } = require('../middleware/auth');
+const { getWorkingCopy, editCourse, submitForReview } = require('../services/courseReview');
+const { getCourseRevenue } = require('../services/revenue');
+
+const router = express.Router();
+
+// All routes require courses:write; courses:manage_all also opens other authors' courses
+router.use(authenticateTokenOrApiKey);
+router.use(requirePermission('courses:write'));
+
+const courseFields = [
+  'title', 'description', 'shortDescription', 'thumbnail', 'price', 'originalPrice',
+  'renewalPrice', 'currency', 'duration', 'accessDuration', 'level', 'language', 'tags',
+  'requirements', 'whatYouWillLearn', 'sections'
+];
+
+// Instructors publish through review, so only courses:manage_all sets the status or features a course
+const adminCourseFields = ['status', 'isFeatured'];
+
+const pickCourseFields = (source, permissions) => {
+  const fields = permissions.includes('courses:manage_all') ? [...courseFields, ...adminCourseFields] : courseFields;
+  const data = {};
+  fields.forEach(field => {
+    if (source[field] !== undefined) {
+      data[field] = source[field];
+    }
+  });
+  return data;
+};
+
+// Edits to published courses go through review unless the user manages all courses
+const canEditDirectly = (permissions) => permissions.includes('courses:manage_all');
+
+// Response for an edit that may have been staged as a revision of a published course
+const editResponse = (message, { course, staged }) => ({
+  success: true,
+  message: staged ? 'Changes submitted for review. Students see the current version until they are approved.' : message,
+  staged,
+  course
+});
+
+// c_ids of the courses the user authored
+const findOwnCourseIds = async (user) => {
+  const courses = await Course.find({ author_id: user.author_id }).select('c_id');
+  return courses.map(course => course.c_id);
+};
+
+// @route   GET /api/instructor/courses
+// @desc    Get the instructor's own courses (including drafts)
+// @access  Private (courses:write)
+router.get('/courses', async (req, res) => {
+  try {
+    const {
+      page = 1,
+      limit = 20,
+      search = '',
+      status = ''
+    } = req.query;
+
+    const filter = { author_id: req.user.author_id };
+    if (search) {
+      filter.$or = [
+        { title: { $regex: search, $options: 'i' } },
+        { description: { $regex: search, $options: 'i' } }
+      ];
+    }
+    if (status) filter.status = status;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const courses = await Course.find(filter)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const totalCourses = await Course.countDocuments(filter);
+
+    res.json({
+      success: true,
+      courses,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(totalCourses / parseInt(limit)),
+        totalCourses,
+        hasNext: skip + courses.length < totalCourses,
+        hasPrev: parseInt(page) > 1
+      }
+    });
+  } catch (error) {
+    console.error('Get instructor courses error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch courses'
+    });
+  }
+});
+
+// @route   GET /api/instructor/courses/:courseId
+// @desc    Get one of the instructor's courses with its review status
+// @access  Private (courses:write, course owner)
+router.get('/courses/:courseId', requireCourseOwnership, async (req, res) => {
+  res.json({
+    success: true,
+    course: req.course
+  });
+});
+
+// @route   POST /api/instructor/courses
+// @desc    Create new course as a draft (admins may set the status)
+// @access  Private (courses:write)
+router.post('/courses', [
+  body('title').trim().isLength({ min: 5, max: 200 }).withMessage('Title must be between 5 and 200 characters'),
+  body('description').trim().isLength({ min: 20, max: 2000 }).withMessage('Description must be between 20 and 2000 characters'),
+  body('price').isNumeric().withMessage('Price must be a number'),
+  body('renewalPrice').optional().isNumeric().withMessage('Renewal price must be a number'),
+  body('currency').optional().isIn(['INR', 'USD', 'EUR']).withMessage('Invalid currency'),
+  body('duration').optional().trim().notEmpty().withMessage('Duration cannot be empty'),
+  body('accessDuration').optional().trim().notEmpty().withMessage('Access duration cannot be empty')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const fields = pickCourseFields(req.body, req.permissions);
+
+    const courseData = {
+      ...fields,
+      author_id: req.user.author_id,
+      currency: fields.currency || 'INR',
+      duration: fields.duration || 'Not specified',
+      accessDuration: fields.accessDuration || 'lifetime',
+      status: fields.status || 'draft',
+      level: fields.level || 'beginner',
+      language: fields.language || 'English',
+      tags: fields.tags || [],
+      requirements: fields.requirements || [],
+      whatYouWillLearn: fields.whatYouWillLearn || [],
+      sections: fields.sections || [],
+      enrollmentCount: 0,
+      rating: { average: 0, count: 0 },
+      isFeatured: fields.isFeatured || false
+    };
+
+    const course = new Course(courseData);
+    await course.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Course created successfully',
+      course
+    });
+  } catch (error) {
+    console.error('Create course error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create course'
+    });
+  }
+});
+
+// @route   PUT /api/instructor/courses/:courseId
+// @desc    Update course; edits to a published course are staged for review, a course pending review is locked
+// @access  Private (courses:write, course owner)
+router.put('/courses/:courseId', requireCourseOwnership, [
+  body('title').optional().trim().isLength({ min: 5, max: 200 }),
+  body('description').optional().trim().isLength({ min: 20, max: 2000 }),
+  body('price').optional().isNumeric(),
+  body('renewalPrice').optional().isNumeric(),
+  body('currency').optional().isIn(['INR', 'USD', 'EUR'])
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const result = await editCourse(req.course, pickCourseFields(req.body, req.permissions), {
+      direct: canEditDirectly(req.permissions)
+    });
+
+    res.json(editResponse('Course updated successfully', result));
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    if (!error.status) console.error('Update course error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Failed to update course'
+    });
+  }
+});
+
+// @route   POST /api/instructor/courses/:courseId/submit
+// @desc    Submit a draft or rejected course for admin review
+// @access  Private (courses:write, course owner)
+router.post('/courses/:courseId/submit', requireCourseOwnership, async (req, res) => {
+  try {
+    const course = await submitForReview(req.course);
+
+    res.json({
+      success: true,
+      message: 'Course submitted for review',
+      course
+    });
+  } catch (error) {
+    if (!error.status) console.error('Submit course error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Failed to submit course for review'
+    });
+  }
+});
+
+// @route   POST /api/instructor/courses/:courseId/sections
+// @desc    Add section to course
+// @access  Private (courses:write, course owner)
+router.post('/courses/:courseId/sections', requireCourseOwnership, [
+  body('title').trim().isLength({ min: 3, max: 200 }).withMessage('Section title must be between 3 and 200 characters'),
+  body('description').optional().trim().isLength({ max: 500 }),
+  body('order').isInt({ min: 0 }).withMessage('Order must be a non-negative integer')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { title, description, order } = req.body;
+    const sections = [...getWorkingCopy(req.course).sections, { title, description, order, topics: [] }];
+
+    const result = await editCourse(req.course, { sections }, { direct: canEditDirectly(req.permissions) });
+    const updatedSections = getWorkingCopy(result.course).sections;
+
+    res.json({
+      ...editResponse('Section added successfully', result),
+      section: updatedSections[updatedSections.length - 1]
+    });
+  } catch (error) {
+    if (!error.status) console.error('Add section error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Failed to add section'
+    });
+  }
+});
+
+// @route   POST /api/instructor/courses/:courseId/sections/:sectionIndex/topics
+// @desc    Add topic to section
+// @access  Private (courses:write, course owner)
+router.post('/courses/:courseId/sections/:sectionIndex/topics', requireCourseOwnership, [
+  body('title').trim().isLength({ min: 3, max: 200 }).withMessage('Topic title must be between 3 and 200 characters'),
+  body('type').isIn(['video', 'document', 'quiz', 'assignment']).withMessage('Invalid topic type'),
+  body('order').isInt({ min: 0 }).withMessage('Order must be a non-negative integer')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const topicData = req.body;
+    const sectionIndex = parseInt(req.params.sectionIndex);
+    const sections = getWorkingCopy(req.course).sections;
+
+    const section = sections[sectionIndex];
+    if (!section) {
+      return res.status(404).json({
+        success: false,
+        message: 'Section not found'
+      });
+    }
+
+    sections[sectionIndex] = { ...section, topics: [...section.topics, topicData] };
+
+    const result = await editCourse(req.course, { sections }, { direct: canEditDirectly(req.permissions) });
+    const topics = getWorkingCopy(result.course).sections[sectionIndex].topics;
+
+    res.json({
+      ...editResponse('Topic added successfully', result),
+      topic: topics[topics.length - 1]
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    if (!error.status) console.error('Add topic error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Failed to add topic'
+    });
+  }
+});
+
+// @route   GET /api/instructor/enrollments
+// @desc    Get enrollments in the instructor's courses
+// @access  Private (courses:write)
+router.get('/enrollments', async (req, res) => {
+  try {
+    const {
+      page = 1,
+      limit = 20,
+      status = '',
+      course = ''
+    } = req.query;
+
+    const ownCourseIds = await findOwnCourseIds(req.user);
+
+    const filter = { course: { $in: ownCourseIds } };
+    if (status) filter.status = status;
+    if (course) {
+      if (!ownCourseIds.includes(course)) {
+        return res.status(403).json({
+          success: false,
+          message: 'You can only view enrollments in your own courses.'
+        });
+      }
+      filter.course = course;
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const enrollments = await Enrollment.find(filter)
+      .select('user course status source enrolledAt expiresAt progress.completionPercentage')
+      .sort({ enrolledAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit))
+      .lean();
+
+    // Manually populate students and courses since we're using UUIDs instead of ObjectIds
+    const [students, courses] = await Promise.all([
+      User.find({ author_id: { $in: enrollments.map(enrollment => enrollment.user) } })
+        .select('author_id firstName lastName email'),
+      Course.find({ c_id: { $in: enrollments.map(enrollment => enrollment.course) } })
+        .select('c_id title')
+    ]);
+    const studentMap = new Map(students.map(student => [student.author_id, student]));
+    const titleMap = new Map(courses.map(item => [item.c_id, item.title]));
+
+    const totalEnrollments = await Enrollment.countDocuments(filter);
+
+    res.json({
+      success: true,
+      enrollments: enrollments.map(enrollment => ({
+        ...enrollment,
+        student: studentMap.get(enrollment.user) || null,
+        courseTitle: titleMap.get(enrollment.course) || null
+      })),
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(totalEnrollments / parseInt(limit)),
+        totalEnrollments,
+        hasNext: skip + enrollments.length < totalEnrollments,
+        hasPrev: parseInt(page) > 1
+      }
+    });
+  } catch (error) {
+    console.error('Get instructor enrollments error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch enrollments'
+    });
+  }
+});
+
+// @route   GET /api/instructor/revenue
+// @desc    Get revenue per course for the instructor's courses
+// @access  Private (courses:write)
+router.get('/revenue', async (req, res) => {
+  try {
+    const { startDate = '', endDate = '' } = req.query;
+
+    const ownCourseIds = await findOwnCourseIds(req.user);
+
+    res.json({
+      success: true,
+      courses: await getCourseRevenue({ startDate, endDate, courseIds: ownCourseIds })
+    });
+  } catch (error) {
+    console.error('Get instructor revenue error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch course revenue'
+    });
+  }
+});
+
+module.exports = router;
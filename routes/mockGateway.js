@@ -0,0 +1,131 @@
+const express = require('express');
+const mockGateway = require('../services/payments/mockGateway');
+
+const router = express.Router();
+
+const getFrontendUrl = () => process.env.FRONTEND_URL || 'http://localhost:3000';
+
+const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, char => ({
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;'
+}[char]));
+
+const renderPage = (title, body) => `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>${escapeHtml(title)}</title>
+</head>
+<body style="font-family: sans-serif; max-width: 420px; margin: 60px auto;">
+  <p><strong>Mock payment gateway</strong> &middot; no real money moves</p>
+  ${body}
+</body>
+</html>`;
+
+// Browsers get a page that returns to the frontend; scripts and tests get JSON
+const wantsJson = (req) => req.accepts(['html', 'json']) === 'json';
+
+// The mock gateway is off unless enabled, and never available in production
+const requireMockEnabled = (req, res, next) => {
+  if (!mockGateway.isMockEnabled()) {
+    return res.status(404).json({
+      success: false,
+      message: 'Route not found'
+    });
+  }
+  next();
+};
+
+router.use(requireMockEnabled);
+
+// @route   GET /mock-gateway/checkout/:orderId
+// @desc    Hosted checkout page with pay and fail buttons
+// @access  Public (development only)
+router.get('/checkout/:orderId', (req, res) => {
+  const order = mockGateway.getOrder(req.params.orderId);
+  if (!order) {
+    return res.status(404).send(renderPage('Order not found', '<p>Mock order not found. Orders are lost when the server restarts.</p>'));
+  }
+
+  const amount = (order.amount / 100).toFixed(2);
+  const action = `/mock-gateway/checkout/${encodeURIComponent(order.id)}`;
+
+  res.send(renderPage('Mock checkout', `
+  <h2>${escapeHtml(order.description || 'Payment')}</h2>
+  <p>${escapeHtml(order.currency)} ${escapeHtml(amount)} &middot; ${escapeHtml(order.id)}</p>
+  <p>Status: ${escapeHtml(order.status)}</p>
+  <form method="post" action="${action}/pay" style="display: inline;">
+    <button type="submit">Pay</button>
+  </form>
+  <form method="post" action="${action}/fail" style="display: inline;">
+    <button type="submit">Fail</button>
+  </form>`));
+});
+
+// @route   POST /mock-gateway/checkout/:orderId/pay
+// @desc    Capture the order, send a signed payment.captured webhook and return the callback fields
+// @access  Public (development only)
+router.post('/checkout/:orderId/pay', async (req, res) => {
+  try {
+    const { callback } = await mockGateway.payOrder(req.params.orderId, { method: req.body?.method });
+
+    if (wantsJson(req)) {
+      return res.json({
+        success: true,
+        callback
+      });
+    }
+
+    const query = new URLSearchParams({ provider: 'mock', ...callback });
+    const returnUrl = `${getFrontendUrl()}/payment/success?${query}`;
+
+    // A meta refresh rather than a redirect, which the form-action CSP would block
+    res.send(renderPage('Payment successful', `
+  <meta http-equiv="refresh" content="1;url=${escapeHtml(returnUrl)}">
+  <h2>Payment successful</h2>
+  <p><a href="${escapeHtml(returnUrl)}">Return to the store</a></p>`));
+  } catch (error) {
+    if (!error.status) console.error('Mock payment error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Mock payment failed'
+    });
+  }
+});
+
+// @route   POST /mock-gateway/checkout/:orderId/fail
+// @desc    Decline the order and send a signed payment.failed webhook
+// @access  Public (development only)
+router.post('/checkout/:orderId/fail', async (req, res) => {
+  try {
+    const { order, payment } = await mockGateway.failOrder(req.params.orderId, req.body?.reason);
+
+    if (wantsJson(req)) {
+      return res.json({
+        success: true,
+        orderId: order.id,
+        failedPaymentId: payment.id,
+        reason: payment.error_description
+      });
+    }
+
+    const query = new URLSearchParams({ provider: 'mock', orderId: order.id });
+    const returnUrl = `${getFrontendUrl()}/payment/cancelled?${query}`;
+
+    res.send(renderPage('Payment failed', `
+  <meta http-equiv="refresh" content="1;url=${escapeHtml(returnUrl)}">
+  <h2>Payment failed</h2>
+  <p><a href="${escapeHtml(returnUrl)}">Return to the store</a></p>`));
+  } catch (error) {
+    if (!error.status) console.error('Mock payment failure error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Mock payment failed'
+    });
+  }
+});
+
+module.exports = router;
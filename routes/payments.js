@@ -0,0 +1,45 @@
+const express = require('express');
+const { authenticateToken, requireVerifiedEmail, requireRegistrationFee } = require('../middleware/auth');
+const {
+  loadProvider,
+  getProviders,
+  createOrder,
+  verifyPayment,
+  handleWebhook,
+  getPaymentStatus
+} = require('../controllers/paymentController');
+
+const router = express.Router();
+
+// Everything except the registration fee itself needs the fee to be paid
+const requireRegistrationFeeForPurchase = (req, res, next) => {
+  if (req.body.type === 'registration') return next();
+  requireRegistrationFee(req, res, next);
+};
+
+// @route   GET /api/payments/providers
+// @desc    List payment providers, their public config and currency routing
+// @access  Public
+router.get('/providers', getProviders);
+
+// @route   POST /api/payments/:provider/orders
+// @desc    Create a registration, course, renewal, cart or bundle order ("auto" picks the provider by currency)
+// @access  Private
+router.post('/:provider/orders', authenticateToken, requireVerifiedEmail, requireRegistrationFeeForPurchase, loadProvider(), createOrder());
+
+// @route   POST /api/payments/:provider/verify
+// @desc    Verify a payment with its provider and process enrollment
+// @access  Private
+router.post('/:provider/verify', authenticateToken, loadProvider(), verifyPayment);
+
+// @route   POST /api/payments/:provider/webhook
+// @desc    Receive provider webhook events and fulfill payments
+// @access  Public (verified by the provider's signature)
+router.post('/:provider/webhook', loadProvider(), handleWebhook);
+
+// @route   GET /api/payments/:provider/status/:paymentId
+// @desc    Get payment status
+// @access  Private
+router.get('/:provider/status/:paymentId', authenticateToken, loadProvider(), getPaymentStatus);
+
+module.exports = router;
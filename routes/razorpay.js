@@ -1,14 +1,30 @@
 const express = require('express');
-const Razorpay = require('razorpay');
-const crypto = require('crypto');
+const razorpay = require('../config/razorpay');
 const Payment = require('../models/Payment');
-const User = require('../models/User');
 const Course = require('../models/Course');
-const Enrollment = require('../models/Enrollment');
-const { authenticateToken, requireRegistrationFee } = require('../middleware/auth');
+const RefundRequest = require('../models/RefundRequest');
+const Invoice = require('../models/Invoice');
+const { authenticateToken, requireVerifiedEmail, requireRegistrationFee } = require('../middleware/auth');
+const { isWithinRefundWindow, getRefundWindowDays } = require('../services/refunds');
+const { applyCoupon } = require('../services/coupons');
+const { prepareCheckout } = require('../services/checkout');
+const { issueInvoice, issueCreditNote } = require('../services/invoices');
+const { sendInvoicePdf } = require('../services/invoicePdf');
+const {
+  loadProvider,
+  createOrder,
+  verifyPayment,
+  handleWebhook,
+  getPaymentStatus
+} = require('../controllers/paymentController');
+const { getDefaultProviderName } = require('../services/payments');
 
 const router = express.Router();
 
+// With PAYMENT_PROVIDER=mock the Checkout routes below run against the local mock gateway,
+// which speaks the same protocol, so the frontend needs no changes for offline development
+const checkoutProvider = getDefaultProviderName() === 'mock' ? 'mock' : 'razorpay';
+
 // Helper function to check if Razorpay is available
 const checkRazorpayAvailable = (req, res, next) => {
   if (!razorpay) {
@@ -20,113 +36,51 @@ const checkRazorpayAvailable = (req, res, next) => {
   next();
 };
 
-// Initialize Razorpay with fallback values
-let razorpay;
-try {
-  razorpay = new Razorpay({
-    key_id: process.env.RAZORPAY_KEY_ID || 'rzp_test_1234567890',
-    key_secret: process.env.RAZORPAY_KEY_SECRET || 'test_secret_key_1234567890'
-  });
-} catch (error) {
-  console.warn('⚠️  Razorpay initialization failed:', error.message);
-  console.warn('⚠️  Payment features will be disabled. Please set RAZORPAY_KEY_ID and RAZORPAY_KEY_SECRET in your .env file');
-  razorpay = null;
-}
-
 // @route   GET /api/razorpay/config
 // @desc    Get Razorpay configuration
 // @access  Public
-router.get('/config', checkRazorpayAvailable, (req, res) => {
+router.get('/config', loadProvider(checkoutProvider), (req, res) => {
   res.json({
     success: true,
     config: {
-      keyId: process.env.RAZORPAY_KEY_ID || 'rzp_test_1234567890',
-      currency: process.env.PAYMENT_CURRENCY || 'INR',
-      merchantName: process.env.MERCHANT_NAME || 'Learning Platform'
+      ...req.paymentProvider.getPublicConfig(),
+      currency: process.env.PAYMENT_CURRENCY || 'INR'
     }
   });
 });
 
+// The order, verify, webhook and status routes below are aliases of /api/payments/razorpay/*
+
 // @route   POST /api/razorpay/create-registration-order
 // @desc    Create registration fee payment order
 // @access  Private
-router.post('/create-registration-order', authenticateToken, checkRazorpayAvailable, async (req, res) => {
-  try {
-    const userId = req.user.author_id;
-
-    // Check if user has already paid registration fee
-    if (req.user.hasPaidRegistrationFee) {
-      return res.status(400).json({
-        success: false,
-        message: 'Registration fee has already been paid.'
-      });
-    }
-
-    const amount = parseInt(process.env.REGISTRATION_FEE_AMOUNT || 699) * 100; // Convert to paise
-    const currency = process.env.PAYMENT_CURRENCY || 'INR';
-
-    // Create Razorpay order
-    const order = await razorpay.orders.create({
-      amount: amount,
-      currency: currency,
-      receipt: `reg_${userId}_${Date.now()}`,
-      notes: {
-        paymentType: 'registration',
-        userId: userId
-      }
-    });
+router.post('/create-registration-order', authenticateToken, requireVerifiedEmail, loadProvider(checkoutProvider), createOrder('registration'));
 
-    // Create payment record
-    const payment = new Payment({
-      user: userId,
-      amount: amount / 100, // Convert back to rupees
-      currency: currency,
-      paymentType: 'registration',
-      paymentGateway: {
-        provider: 'razorpay',
-        orderId: order.id,
-        receipt: order.receipt
-      }
-    });
-
-    await payment.save();
+// @route   POST /api/razorpay/create-course-order
+// @desc    Create course payment order, or a gift order when gift.recipientEmail is given
+// @access  Private
+router.post('/create-course-order', authenticateToken, requireVerifiedEmail, requireRegistrationFee, loadProvider(checkoutProvider), createOrder('course'));
 
-    res.json({
-      success: true,
-      order: {
-        id: order.id,
-        amount: order.amount,
-        currency: order.currency,
-        receipt: order.receipt
-      },
-      paymentId: payment._id
-    });
-  } catch (error) {
-    console.error('Create registration order error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to create payment order. Please try again.'
-    });
-  }
-});
+// @route   POST /api/razorpay/create-renewal-order
+// @desc    Create payment order to renew or extend course access
+// @access  Private
+router.post('/create-renewal-order', authenticateToken, requireVerifiedEmail, requireRegistrationFee, loadProvider(checkoutProvider), createOrder('renewal'));
 
-// @route   POST /api/razorpay/create-course-order
-// @desc    Create course payment order
+// @route   POST /api/razorpay/apply-coupon
+// @desc    Preview the price of a course with a coupon code
 // @access  Private
-router.post('/create-course-order', authenticateToken, requireRegistrationFee, checkRazorpayAvailable, async (req, res) => {
+router.post('/apply-coupon', authenticateToken, async (req, res) => {
   try {
-    const { courseId } = req.body;
-    const userId = req.user.author_id;
+    const { courseId, couponCode } = req.body;
 
-    if (!courseId) {
+    if (!courseId || !couponCode) {
       return res.status(400).json({
         success: false,
-        message: 'Course ID is required.'
+        message: 'Course ID and coupon code are required.'
       });
     }
 
-    // Find the course
-    const course = await Course.findOne({ c_id: courseId });
+    const course = await Course.findOne({ c_id: courseId, status: 'published' });
     if (!course) {
       return res.status(404).json({
         success: false,
@@ -134,307 +88,315 @@ router.post('/create-course-order', authenticateToken, requireRegistrationFee, c
       });
     }
 
-    if (course.status !== 'published') {
-      return res.status(400).json({
+    const pricing = await applyCoupon({
+      code: couponCode,
+      course,
+      userId: req.user.author_id
+    });
+
+    res.json({
+      success: true,
+      coupon: {
+        code: pricing.coupon.code,
+        description: pricing.coupon.description,
+        discountType: pricing.coupon.discountType,
+        discountValue: pricing.coupon.discountValue
+      },
+      pricing: {
+        originalAmount: pricing.originalAmount,
+        discountAmount: pricing.discountAmount,
+        finalAmount: pricing.finalAmount,
+        currency: course.currency
+      }
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
         success: false,
-        message: 'Course is not available for purchase.'
+        message: error.message
       });
     }
 
-    // Check if already enrolled
-    const existingEnrollment = await Enrollment.findOne({
-      user: userId,
-      course: courseId,
-      status: { $in: ['active', 'expired'] }
+    console.error('Apply coupon error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to apply coupon. Please try again.'
     });
+  }
+});
 
-    if (existingEnrollment) {
-      return res.status(400).json({
-        success: false,
-        message: 'You are already enrolled in this course.'
-      });
-    }
+// @route   POST /api/razorpay/verify-payment
+// @desc    Verify payment and process enrollment
+// @access  Private
+router.post('/verify-payment', authenticateToken, loadProvider(checkoutProvider), verifyPayment);
+
+// @route   POST /api/razorpay/webhook
+// @desc    Receive Razorpay webhook events and fulfill payments
+// @access  Public (verified by X-Razorpay-Signature)
+router.post('/webhook', loadProvider('razorpay'), handleWebhook);
+
+// @route   POST /api/razorpay/create-payment-link
+// @desc    Create payment link for course, priced like a course order
+// @access  Private
+router.post('/create-payment-link', authenticateToken, requireVerifiedEmail, requireRegistrationFee, checkRazorpayAvailable, async (req, res) => {
+  try {
+    const { courseId, couponCode, description } = req.body;
+    const userId = req.user.author_id;
 
-    const amount = course.price * 100; // Convert to paise
-    const currency = course.currency || 'INR';
+    // The link is priced on the server from the course and coupon; a client amount is ignored
+    const prepared = await prepareCheckout('course', req.user, { courseId, couponCode });
 
-    // Create Razorpay order
-    const order = await razorpay.orders.create({
-      amount: amount,
-      currency: currency,
-      receipt: `course_${courseId}_${userId}_${Date.now()}`,
+    // Create payment link
+    const paymentLink = await razorpay.paymentLink.create({
+      amount: Math.round(prepared.amount * 100), // Convert to paise
+      currency: prepared.currency,
+      description: description || `Payment for ${prepared.description}`,
+      customer: {
+        name: `${req.user.firstName} ${req.user.lastName}`,
+        email: req.user.email
+      },
+      notify: {
+        sms: false,
+        email: true
+      },
+      reminder_enable: true,
       notes: {
-        paymentType: 'course',
         userId: userId,
-        courseId: courseId
+        paymentType: 'course',
+        ...prepared.notes
       }
     });
 
-    // Create payment record
+    // Create payment record so the payment_link.paid webhook can fulfill it
     const payment = new Payment({
       user: userId,
-      course: courseId,
-      amount: course.price,
-      currency: currency,
+      course: prepared.course,
+      amount: prepared.amount,
+      currency: prepared.currency,
       paymentType: 'course',
       paymentGateway: {
         provider: 'razorpay',
-        orderId: order.id,
-        receipt: order.receipt
-      }
+        paymentLinkId: paymentLink.id
+      },
+      coupon: prepared.coupon
     });
 
     await payment.save();
 
     res.json({
       success: true,
-      order: {
-        id: order.id,
-        amount: order.amount,
-        currency: order.currency,
-        receipt: order.receipt
-      },
-      course: {
-        c_id: course.c_id,
-        title: course.title,
-        price: course.price,
-        currency: course.currency
-      },
-      paymentId: payment._id
+      paymentId: payment._id,
+      ...prepared.details,
+      paymentLink: {
+        id: paymentLink.id,
+        short_url: paymentLink.short_url,
+        amount: paymentLink.amount,
+        currency: paymentLink.currency,
+        status: paymentLink.status
+      }
     });
   } catch (error) {
-    console.error('Create course order error:', error);
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+        ...error.details
+      });
+    }
+
+    console.error('Create payment link error:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to create payment order. Please try again.'
+      message: 'Failed to create payment link. Please try again.'
     });
   }
 });
 
-// @route   POST /api/razorpay/verify-payment
-// @desc    Verify payment and process enrollment
+// @route   GET /api/razorpay/payment-status/:paymentId
+// @desc    Get payment status
+// @access  Private
+router.get('/payment-status/:paymentId', authenticateToken, loadProvider(checkoutProvider), getPaymentStatus);
+
+// @route   POST /api/razorpay/refund-requests
+// @desc    Request a refund for a completed payment
 // @access  Private
-router.post('/verify-payment', authenticateToken, checkRazorpayAvailable, async (req, res) => {
+router.post('/refund-requests', authenticateToken, async (req, res) => {
   try {
-    const { paymentId, orderId, signature, razorpay_payment_id } = req.body;
+    const { paymentId, reason } = req.body;
+    const userId = req.user.author_id;
 
-    if (!paymentId || !orderId || !signature) {
+    if (!paymentId || !reason || !reason.trim()) {
       return res.status(400).json({
         success: false,
-        message: 'Missing required payment verification data.'
+        message: 'Payment ID and reason are required.'
       });
     }
 
-    // Verify signature
-    const generatedSignature = crypto
-      .createHmac('sha256', process.env.RAZORPAY_KEY_SECRET)
-      .update(`${orderId}|${razorpay_payment_id}`)
-      .digest('hex');
+    const payment = await Payment.findOne({
+      _id: paymentId,
+      user: userId
+    });
 
-    if (generatedSignature !== signature) {
-      return res.status(400).json({
+    if (!payment) {
+      return res.status(404).json({
         success: false,
-        message: 'Invalid payment signature.'
+        message: 'Payment not found.'
       });
     }
 
-    // Find payment record
-    const payment = await Payment.findById(paymentId);
-    if (!payment) {
-      return res.status(404).json({
+    if (payment.status !== 'completed' || payment.refund?.refundStatus) {
+      return res.status(400).json({
         success: false,
-        message: 'Payment record not found.'
+        message: 'This payment is not eligible for a refund.'
       });
     }
 
-    if (payment.status === 'completed') {
+    if (!isWithinRefundWindow(payment)) {
       return res.status(400).json({
         success: false,
-        message: 'Payment has already been processed.'
+        message: `Refunds can only be requested within ${getRefundWindowDays()} days of purchase.`
       });
     }
 
-    // Mark payment as completed
-    payment.status = 'completed';
-    payment.paymentGateway.paymentId = razorpay_payment_id;
-    payment.paymentGateway.signature = signature;
-    await payment.save();
+    const existingRequest = await RefundRequest.findOne({
+      payment: payment._id,
+      status: { $in: ['pending', 'approved'] }
+    });
 
-    // Process based on payment type
-    if (payment.paymentType === 'registration') {
-      // Update user registration fee status
-      await User.findByIdAndUpdate(
-        { author_id: payment.user },
-        {
-          hasPaidRegistrationFee: true,
-          registrationFeePayment: payment._id
-        }
-      );
-
-      res.json({
-        success: true,
-        message: 'Registration fee payment successful! You can now enroll in courses.',
-        paymentType: 'registration'
+    if (existingRequest) {
+      return res.status(400).json({
+        success: false,
+        message: 'A refund request for this payment already exists.',
+        refundRequest: existingRequest
       });
-    } else if (payment.paymentType === 'course') {
-      // Create enrollment
-      const course = await Course.findOne({ c_id: payment.course });
-      if (!course) {
-        return res.status(404).json({
-          success: false,
-          message: 'Course not found.'
-        });
-      }
+    }
 
-      // Calculate expiration date
-      const accessDuration = course.accessDuration || '1 year';
-      const expiresAt = new Date();
-      if (accessDuration.includes('year')) {
-        const years = parseInt(accessDuration.match(/\d+/)[0]);
-        expiresAt.setFullYear(expiresAt.getFullYear() + years);
-      } else if (accessDuration.includes('month')) {
-        const months = parseInt(accessDuration.match(/\d+/)[0]);
-        expiresAt.setMonth(expiresAt.getMonth() + months);
-      } else if (accessDuration.includes('day')) {
-        const days = parseInt(accessDuration.match(/\d+/)[0]);
-        expiresAt.setDate(expiresAt.getDate() + days);
-      }
+    const refundRequest = new RefundRequest({
+      user: userId,
+      payment: payment._id,
+      amount: payment.amount,
+      reason: reason.trim()
+    });
 
-      // Create enrollment
-      const enrollment = new Enrollment({
-        user: payment.user,
-        course: payment.course,
-        payment: payment._id,
-        expiresAt: expiresAt
-      });
+    await refundRequest.save();
 
-      await enrollment.save();
+    res.status(201).json({
+      success: true,
+      message: 'Refund request submitted. Our team will review it shortly.',
+      refundRequest
+    });
+  } catch (error) {
+    console.error('Create refund request error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to submit refund request.'
+    });
+  }
+});
 
-      // Update course enrollment count
-      await Course.findByIdAndUpdate(
-        course._id,
-        { $inc: { enrollmentCount: 1 } }
-      );
+// @route   GET /api/razorpay/refund-requests
+// @desc    Get current user's refund requests
+// @access  Private
+router.get('/refund-requests', authenticateToken, async (req, res) => {
+  try {
+    const refundRequests = await RefundRequest.find({ user: req.user.author_id })
+      .populate('payment', 'amount currency status paymentType course refund')
+      .sort({ createdAt: -1 });
 
-      res.json({
-        success: true,
-        message: 'Course enrollment successful! You now have access to the course content.',
-        paymentType: 'course',
-        enrollment: {
-          courseId: course.c_id,
-          courseTitle: course.title,
-          expiresAt: expiresAt
-        }
-      });
-    }
+    res.json({
+      success: true,
+      refundRequests
+    });
   } catch (error) {
-    console.error('Payment verification error:', error);
+    console.error('Get refund requests error:', error);
     res.status(500).json({
       success: false,
-      message: 'Payment verification failed. Please contact support.'
+      message: 'Failed to fetch refund requests.'
     });
   }
 });
 
-// @route   POST /api/razorpay/create-payment-link
-// @desc    Create payment link for course
+// @route   GET /api/razorpay/invoices
+// @desc    Get current user's invoices and credit notes
 // @access  Private
-router.post('/create-payment-link', authenticateToken, requireRegistrationFee, checkRazorpayAvailable, async (req, res) => {
+router.get('/invoices', authenticateToken, async (req, res) => {
   try {
-    const { courseId, amount, description } = req.body;
-    const userId = req.user.author_id;
+    const invoices = await Invoice.find({ user: req.user.author_id })
+      .select('number documentType payment issuedAt currency supplyType totals')
+      .sort({ issuedAt: -1 });
 
-    if (!courseId || !amount) {
-      return res.status(400).json({
-        success: false,
-        message: 'Course ID and amount are required.'
-      });
-    }
+    res.json({
+      success: true,
+      invoices
+    });
+  } catch (error) {
+    console.error('Get invoices error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch invoices.'
+    });
+  }
+});
 
-    const course = await Course.findOne({ c_id: courseId });
-    if (!course) {
+// @route   GET /api/razorpay/invoices/:paymentId
+// @desc    Download the GST invoice for a payment as a PDF
+// @access  Private
+router.get('/invoices/:paymentId', authenticateToken, async (req, res) => {
+  try {
+    const payment = await Payment.findOne({
+      _id: req.params.paymentId,
+      user: req.user.author_id
+    });
+
+    if (!payment) {
       return res.status(404).json({
         success: false,
-        message: 'Course not found.'
+        message: 'Payment not found.'
       });
     }
 
-    // Create payment link
-    const paymentLink = await razorpay.paymentLink.create({
-      amount: amount * 100, // Convert to paise
-      currency: 'INR',
-      description: description || `Payment for ${course.title}`,
-      customer: {
-        name: `${req.user.firstName} ${req.user.lastName}`,
-        email: req.user.email
-      },
-      notify: {
-        sms: false,
-        email: true
-      },
-      reminder_enable: true,
-      notes: {
-        courseId: courseId,
-        userId: userId,
-        paymentType: 'course'
-      }
-    });
+    // Issued on fulfillment; older payments get theirs on first download
+    const invoice = await issueInvoice(payment);
 
-    res.json({
-      success: true,
-      paymentLink: {
-        id: paymentLink.id,
-        short_url: paymentLink.short_url,
-        amount: paymentLink.amount,
-        currency: paymentLink.currency,
-        status: paymentLink.status
-      }
-    });
+    sendInvoicePdf(res, [invoice], invoice.fileName);
   } catch (error) {
-    console.error('Create payment link error:', error);
-    res.status(500).json({
+    if (!error.status) console.error('Download invoice error:', error);
+    res.status(error.status || 500).json({
       success: false,
-      message: 'Failed to create payment link. Please try again.'
+      message: error.status ? error.message : 'Failed to generate invoice.'
     });
   }
 });
 
-// @route   GET /api/razorpay/payment-status/:paymentId
-// @desc    Get payment status
+// @route   GET /api/razorpay/invoices/:paymentId/credit-note
+// @desc    Download the credit note for a refunded payment as a PDF
 // @access  Private
-router.get('/payment-status/:paymentId', authenticateToken, checkRazorpayAvailable, async (req, res) => {
+router.get('/invoices/:paymentId/credit-note', authenticateToken, async (req, res) => {
   try {
-    const { paymentId } = req.params;
-    const userId = req.user.author_id;
-
     const payment = await Payment.findOne({
-      _id: paymentId,
-      user: userId
+      _id: req.params.paymentId,
+      user: req.user.author_id
     });
 
-    if (!payment) {
+    if (!payment || payment.refund?.refundStatus !== 'processed') {
       return res.status(404).json({
         success: false,
-        message: 'Payment not found.'
+        message: 'No refund has been processed for this payment.'
       });
     }
 
-    res.json({
-      success: true,
-      payment: {
-        id: payment._id,
-        amount: payment.amount,
-        currency: payment.currency,
-        status: payment.status,
-        paymentType: payment.paymentType,
-        createdAt: payment.createdAt
-      }
+    const creditNote = await issueCreditNote(payment, {
+      refundId: payment.refund.refundId,
+      amount: payment.refund.refundAmount
     });
+    await creditNote.populate('originalInvoice', 'number');
+
+    sendInvoicePdf(res, [creditNote], creditNote.fileName);
   } catch (error) {
-    console.error('Get payment status error:', error);
-    res.status(500).json({
+    if (!error.status) console.error('Download credit note error:', error);
+    res.status(error.status || 500).json({
       success: false,
-      message: 'Failed to get payment status.'
+      message: error.status ? error.message : 'Failed to generate credit note.'
     });
   }
 });
@@ -0,0 +1,171 @@
+const express = require('express');
+const Plan = require('../models/Plan');
+const Subscription = require('../models/Subscription');
+const { authenticateToken, requireVerifiedEmail, requireRegistrationFee } = require('../middleware/auth');
+const {
+  createSubscription,
+  confirmSubscription,
+  cancelSubscription
+} = require('../services/subscriptions');
+
+const router = express.Router();
+
+// Shape a subscription for the response
+const formatSubscription = (subscription) => ({
+  id: subscription._id,
+  plan: subscription.plan,
+  status: subscription.status,
+  trialEndsAt: subscription.trialEndsAt,
+  currentPeriodStart: subscription.currentPeriodStart,
+  currentPeriodEnd: subscription.currentPeriodEnd,
+  cancelAtPeriodEnd: subscription.cancelAtPeriodEnd,
+  cancelledAt: subscription.cancelledAt,
+  accessEndsAt: subscription.accessEndsAt,
+  hasAccess: subscription.grantsAccess(),
+  paymentFailures: subscription.dunning.failedAttempts,
+  manageUrl: subscription.razorpay.shortUrl
+});
+
+// @route   GET /api/subscriptions/plans
+// @desc    Get available subscription plans
+// @access  Public
+router.get('/plans', async (req, res) => {
+  try {
+    const plans = await Plan.find({ isActive: true, razorpayPlanId: { $exists: true } })
+      .select('name description interval price currency trialDays features')
+      .sort({ price: 1 });
+
+    res.json({
+      success: true,
+      plans
+    });
+  } catch (error) {
+    console.error('Get plans error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch plans.'
+    });
+  }
+});
+
+// @route   GET /api/subscriptions/me
+// @desc    Get current user's subscription
+// @access  Private
+router.get('/me', authenticateToken, async (req, res) => {
+  try {
+    const subscription = await Subscription.findOne({
+      user: req.user.author_id,
+      status: { $ne: 'created' }
+    })
+      .sort({ createdAt: -1 })
+      .populate('plan', 'name description interval price currency');
+
+    res.json({
+      success: true,
+      subscription: subscription ? formatSubscription(subscription) : null
+    });
+  } catch (error) {
+    console.error('Get subscription error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch subscription.'
+    });
+  }
+});
+
+// @route   POST /api/subscriptions
+// @desc    Start a subscription to a plan; complete it with Razorpay Checkout
+// @access  Private
+router.post('/', authenticateToken, requireVerifiedEmail, requireRegistrationFee, async (req, res) => {
+  try {
+    const { planId } = req.body;
+
+    if (!planId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Plan ID is required.'
+      });
+    }
+
+    const { subscription, plan } = await createSubscription(req.user, planId);
+
+    res.status(201).json({
+      success: true,
+      subscriptionId: subscription.razorpay.subscriptionId,
+      keyId: process.env.RAZORPAY_KEY_ID || 'rzp_test_1234567890',
+      shortUrl: subscription.razorpay.shortUrl,
+      trialEndsAt: subscription.trialEndsAt,
+      plan: {
+        id: plan._id,
+        name: plan.name,
+        interval: plan.interval,
+        price: plan.price,
+        currency: plan.currency
+      }
+    });
+  } catch (error) {
+    if (!error.status) console.error('Create subscription error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Failed to create subscription.'
+    });
+  }
+});
+
+// @route   POST /api/subscriptions/verify
+// @desc    Verify the Razorpay Checkout callback of a subscription
+// @access  Private
+router.post('/verify', authenticateToken, async (req, res) => {
+  try {
+    if (!req.body.subscriptionId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Subscription ID is required.'
+      });
+    }
+
+    const subscription = await confirmSubscription(req.user, req.body);
+    await subscription.populate('plan', 'name description interval price currency');
+
+    res.json({
+      success: true,
+      message: subscription.status === 'trialing'
+        ? 'Your free trial has started. You now have access to every course.'
+        : 'Subscription activated. You now have access to every course.',
+      subscription: formatSubscription(subscription)
+    });
+  } catch (error) {
+    if (!error.status) console.error('Verify subscription error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Failed to verify subscription.'
+    });
+  }
+});
+
+// @route   POST /api/subscriptions/cancel
+// @desc    Cancel the current subscription, at the end of the period unless atPeriodEnd is false
+// @access  Private
+router.post('/cancel', authenticateToken, async (req, res) => {
+  try {
+    const atPeriodEnd = req.body.atPeriodEnd !== false && req.body.atPeriodEnd !== 'false';
+    const subscription = await cancelSubscription(req.user, { atPeriodEnd });
+    await subscription.populate('plan', 'name description interval price currency');
+
+    res.json({
+      success: true,
+      message: subscription.grantsAccess()
+        ? `Subscription cancelled. You keep access until ${subscription.accessEndsAt.toDateString()}.`
+        : 'Subscription cancelled.',
+      subscription: formatSubscription(subscription)
+    });
+  } catch (error) {
+    if (!error.status) console.error('Cancel subscription error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Failed to cancel subscription.'
+    });
+  }
+});
+
+module.exports = router;
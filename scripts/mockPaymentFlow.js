@@ -0,0 +1,97 @@
+#!/usr/bin/env node
+
+/**
+ * Run the registration fee and course purchase flow against the mock gateway
+ * Start the server with PAYMENT_PROVIDER=mock, then run:
+ *   node scripts/mockPaymentFlow.js --email=student@example.com --password=Secret123! [--course=<c_id>] [--fail]
+ *
+ * --fail declines the first attempt before paying, to exercise payment.failed.
+ */
+
+require('dotenv').config();
+
+const args = process.argv.slice(2);
+const getArg = (name) => args.find(arg => arg.startsWith(`--${name}=`))?.split('=').slice(1).join('=');
+
+const baseUrl = process.env.API_URL || `http://localhost:${process.env.PORT || 5000}`;
+let cookies = '';
+
+const request = async (method, path, body) => {
+  const response = await fetch(`${baseUrl}${path}`, {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+      Accept: 'application/json',
+      Cookie: cookies
+    },
+    body: body ? JSON.stringify(body) : undefined
+  });
+
+  const setCookies = response.headers.getSetCookie();
+  if (setCookies.length > 0) {
+    cookies = setCookies.map(cookie => cookie.split(';')[0]).join('; ');
+  }
+
+  const data = await response.json();
+  if (!response.ok) {
+    throw new Error(`${method} ${path} failed (${response.status}): ${data.message}`);
+  }
+  return data;
+};
+
+// Create an order, optionally decline it once, pay it and verify it like the frontend would
+const purchase = async (type, extra = {}) => {
+  const created = await request('POST', '/api/payments/mock/orders', { type, ...extra });
+  console.log(`🧾 ${type} order ${created.order.id} for ${created.order.currency} ${created.order.amount / 100}`);
+  console.log(`   Checkout page: ${created.checkout.redirectUrl}`);
+
+  if (args.includes('--fail')) {
+    const failed = await request('POST', `/mock-gateway/checkout/${created.order.id}/fail`);
+    console.log(`❌ Declined attempt ${failed.failedPaymentId}`);
+  }
+
+  const { callback } = await request('POST', `/mock-gateway/checkout/${created.order.id}/pay`);
+  console.log(`💳 Paid with ${callback.razorpay_payment_id}`);
+
+  const verified = await request('POST', '/api/payments/mock/verify', {
+    paymentId: created.paymentId,
+    ...callback
+  });
+  console.log(`✅ ${verified.message}`);
+};
+
+const run = async () => {
+  const email = getArg('email');
+  const password = getArg('password');
+  const courseId = getArg('course');
+
+  if (!email || !password) {
+    console.error('❌ Usage: node scripts/mockPaymentFlow.js --email=<email> --password=<password> [--course=<c_id>] [--fail]');
+    process.exit(1);
+  }
+
+  try {
+    await request('POST', '/api/auth/login', { email, password });
+    const { user } = await request('GET', '/api/auth/me');
+    console.log(`👤 Logged in as ${user.email}`);
+
+    if (!user.emailVerified) {
+      console.log('⚠️  Email not verified; orders are refused unless the server runs with EMAIL_VERIFICATION_POLICY=off');
+    }
+
+    if (user.hasPaidRegistrationFee) {
+      console.log('ℹ️  Registration fee already paid');
+    } else {
+      await purchase('registration');
+    }
+
+    if (courseId) {
+      await purchase('course', { courseId });
+    }
+  } catch (error) {
+    console.error('❌ Mock payment flow failed:', error.message);
+    process.exit(1);
+  }
+};
+
+run();
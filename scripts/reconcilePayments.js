@@ -0,0 +1,53 @@
+#!/usr/bin/env node
+
+/**
+ * Reconcile Payment records against Razorpay orders and payments
+ * Run with: node scripts/reconcilePayments.js [--dry-run] [--hours=48] [--output=report.json]
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const mongoose = require('mongoose');
+const { reconcilePayments } = require('../services/reconciliation');
+
+const args = process.argv.slice(2);
+const getArg = (name) => args.find(arg => arg.startsWith(`--${name}=`))?.split('=')[1];
+
+const run = async () => {
+  let exitCode = 0;
+
+  try {
+    // Connect to MongoDB
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('✅ Connected to MongoDB');
+
+    const dryRun = args.includes('--dry-run');
+    const lookbackHours = parseInt(getArg('hours') || 48);
+
+    console.log(`🔍 Reconciling payments from the last ${lookbackHours} hours${dryRun ? ' (dry run)' : ''}...`);
+    const report = await reconcilePayments({ lookbackHours, dryRun, triggeredBy: 'cli' });
+
+    console.log('\n📋 Reconciliation Summary:');
+    console.log('==========================');
+    Object.entries(report.summary.toObject()).forEach(([key, value]) => {
+      console.log(`  ${key}: ${value}`);
+    });
+    console.log(`\n  Report ID: ${report._id}`);
+
+    const output = getArg('output');
+    if (output) {
+      fs.writeFileSync(output, JSON.stringify(report.toObject(), null, 2));
+      console.log(`📝 Report written to ${output}`);
+    }
+  } catch (error) {
+    console.error('❌ Reconciliation failed:', error);
+    exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+    console.log('🔌 Disconnected from MongoDB');
+    process.exit(exitCode);
+  }
+};
+
+// Run the script
+run();
@@ -0,0 +1,117 @@
+#!/usr/bin/env node
+
+/**
+ * Send a locally signed Razorpay webhook fixture to the running server
+ * Run with: node scripts/sendWebhook.js <event> <orderId> [paymentId]
+ *
+ * Example: node scripts/sendWebhook.js payment.captured order_ABC123
+ */
+
+require('dotenv').config();
+const crypto = require('crypto');
+
+const [event = 'payment.captured', orderId, paymentId = `pay_test_${Date.now()}`] = process.argv.slice(2);
+const url = process.env.WEBHOOK_URL || `http://localhost:${process.env.PORT || 5000}/api/razorpay/webhook`;
+
+const paymentEntity = {
+  id: paymentId,
+  entity: 'payment',
+  amount: 69900,
+  currency: 'INR',
+  status: event === 'payment.failed' ? 'failed' : 'captured',
+  order_id: orderId,
+  method: 'upi',
+  captured: event !== 'payment.failed',
+  error_description: event === 'payment.failed' ? 'Payment was declined by the bank' : null,
+  created_at: Math.floor(Date.now() / 1000)
+};
+
+// Minimal payloads shaped like the ones Razorpay sends
+const fixtures = {
+  'payment.captured': { payment: { entity: paymentEntity } },
+  'payment.failed': { payment: { entity: paymentEntity } },
+  'order.paid': {
+    payment: { entity: paymentEntity },
+    order: { entity: { id: orderId, entity: 'order', status: 'paid', amount_paid: paymentEntity.amount } }
+  },
+  'refund.processed': {
+    refund: {
+      entity: {
+        id: `rfnd_test_${Date.now()}`,
+        entity: 'refund',
+        payment_id: paymentId,
+        amount: paymentEntity.amount,
+        currency: 'INR',
+        status: 'processed',
+        notes: { reason: 'Fixture refund' }
+      }
+    }
+  },
+  'refund.failed': {
+    refund: {
+      entity: {
+        id: `rfnd_test_${Date.now()}`,
+        entity: 'refund',
+        payment_id: paymentId,
+        amount: paymentEntity.amount,
+        currency: 'INR',
+        status: 'failed'
+      }
+    }
+  },
+  'payment_link.paid': {
+    payment: { entity: paymentEntity },
+    payment_link: { entity: { id: orderId, entity: 'payment_link', status: 'paid' } }
+  }
+};
+
+const sendWebhook = async () => {
+  if (!fixtures[event]) {
+    console.error(`❌ Unknown event "${event}". Supported: ${Object.keys(fixtures).join(', ')}`);
+    process.exit(1);
+  }
+
+  if (!orderId) {
+    console.error('❌ Usage: node scripts/sendWebhook.js <event> <orderId|paymentLinkId> [paymentId]');
+    process.exit(1);
+  }
+
+  if (!process.env.RAZORPAY_WEBHOOK_SECRET) {
+    console.error('❌ RAZORPAY_WEBHOOK_SECRET is not set');
+    process.exit(1);
+  }
+
+  const body = JSON.stringify({
+    entity: 'event',
+    account_id: 'acc_test',
+    event,
+    contains: Object.keys(fixtures[event]),
+    payload: fixtures[event],
+    created_at: Math.floor(Date.now() / 1000)
+  });
+
+  const signature = crypto
+    .createHmac('sha256', process.env.RAZORPAY_WEBHOOK_SECRET)
+    .update(body)
+    .digest('hex');
+
+  try {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Razorpay-Signature': signature
+      },
+      body
+    });
+
+    console.log(`📬 ${event} -> ${response.status}`);
+    console.log(await response.text());
+  } catch (error) {
+    console.error('❌ Error sending webhook:', error.message);
+    process.exit(1);
+  }
+};
+
+// Run the script
+sendWebhook();
@@ -8,6 +8,9 @@
 require('dotenv').config();
 const mongoose = require('mongoose');
 const User = require('../models/User');
+const { ensureDefaultRoles } = require('../services/permissions');
+const { verifyExistingAccounts } = require('../services/emailVerification');
+const { SUPER_ADMIN_ROLE } = require('../config/permissions');
 
 const createDefaultAccounts = async () => {
   try {
@@ -20,6 +23,15 @@ const createDefaultAccounts = async () => {
 
     console.log('🔧 Setting up default accounts...');
 
+    // Built-in roles must exist before accounts can use their permissions
+    await ensureDefaultRoles();
+
+    // Accounts from before email verification keep their ability to pay
+    const verifiedAccounts = await verifyExistingAccounts();
+    if (verifiedAccounts > 0) {
+      console.log(`✅ Marked ${verifiedAccounts} existing account(s) as email verified`);
+    }
+
     // Create admin account
     const existingAdmin = await User.findOne({ email: process.env.ADMIN_EMAIL });
     if (!existingAdmin) {
@@ -29,14 +41,20 @@ const createDefaultAccounts = async () => {
         lastName: process.env.ADMIN_LAST_NAME || 'User',
         email: process.env.ADMIN_EMAIL,
         password: process.env.ADMIN_PASSWORD,
-        role: 'admin',
+        role: SUPER_ADMIN_ROLE,
         isActive: true,
+        emailVerified: true,
         hasPaidRegistrationFee: true
       });
       await admin.save();
       console.log('✅ Admin account created successfully');
       console.log(`   Email: ${process.env.ADMIN_EMAIL}`);
       console.log(`   Password: ${process.env.ADMIN_PASSWORD}`);
+    } else if (existingAdmin.role === 'admin') {
+      // The configured admin account is the one that can manage roles
+      existingAdmin.role = SUPER_ADMIN_ROLE;
+      await existingAdmin.save();
+      console.log('✅ Admin account upgraded to super admin');
     } else {
       console.log('ℹ️  Admin account already exists');
     }
@@ -52,6 +70,7 @@ const createDefaultAccounts = async () => {
         password: process.env.BETA_PASSWORD,
         role: 'beta',
         isActive: true,
+        emailVerified: true,
         hasPaidRegistrationFee: true
       });
       await beta.save();
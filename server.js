@@ -13,15 +13,26 @@ console.log('MONGODB_URI:', process.env.MONGODB_URI ? '✅ Set' : '❌ Not set')
 console.log('JWT_SECRET:', process.env.JWT_SECRET ? '✅ Set' : '❌ Not set');
 console.log('PORT:', process.env.PORT || 'Not set');
 
+// Production must name its mail transport instead of defaulting to printing emails
+try {
+  require('./services/mailer').assertMailTransportConfigured();
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
+
 const app = express();
 
+// Number of proxies in front of the app (1 on Render), so req.ip is the client address
+app.set('trust proxy', parseInt(process.env.TRUST_PROXY || 0));
+
 // Security middleware
 app.use(helmet());
 
-// Rate limiting
+// Rate limiting; login, register and password reset have stricter limits of their own in routes/auth.js
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 100, // limit each IP to 100 requests per windowMs
+  max: 1000, // limit each IP to 1000 requests per windowMs
   message: 'Too many requests from this IP, please try again later.'
 });
 app.use(limiter);
@@ -76,7 +87,13 @@ app.options('*', (req, res) => {
 });
 
 // Body parsing middleware
-app.use(express.json({ limit: '10mb' }));
+// Keep the raw body around so webhook signatures can be verified
+app.use(express.json({
+  limit: '10mb',
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 app.use(cookieParser());
 
@@ -94,6 +111,14 @@ mongoose.connect(process.env.MONGODB_URI, {
   // Create default accounts after successful connection
   const createDefaultAccounts = require('./scripts/createDefaultAccounts');
   await createDefaultAccounts();
+
+  // Start background jobs (enrollment expiry, reminders, abandoned payments)
+  if (process.env.JOBS_ENABLED !== 'false') {
+    const registerJobs = require('./jobs');
+    const { startScheduler } = require('./services/scheduler');
+    registerJobs();
+    await startScheduler();
+  }
 })
 .catch(err => {
   console.error('❌ MongoDB connection error:', err);
@@ -103,8 +128,14 @@ mongoose.connect(process.env.MONGODB_URI, {
 // Routes
 app.use('/api/auth', require('./routes/auth'));
 app.use('/api/courses', require('./routes/courses'));
+app.use('/api/bundles', require('./routes/bundles'));
 app.use('/api/admin', require('./routes/admin'));
+app.use('/api/instructor', require('./routes/instructor'));
 app.use('/api/razorpay', require('./routes/razorpay'));
+app.use('/api/payments', require('./routes/payments'));
+app.use('/api/cart', require('./routes/cart'));
+app.use('/api/subscriptions', require('./routes/subscriptions'));
+app.use('/mock-gateway', require('./routes/mockGateway'));
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
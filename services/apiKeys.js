@@ -0,0 +1,148 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const ApiKey = require('../models/ApiKey');
+const User = require('../models/User');
+const { hashToken } = require('./authTokens');
+const { getRolePermissions } = require('./permissions');
+
+const KEY_PREFIX = 'lp_';
+const MAX_ACTIVE_KEYS = 10;
+const DAY_MS = 24 * 60 * 60 * 1000;
+// lastUsedAt is only written this often, so busy scripts do not update the key on every request
+const LAST_USED_UPDATE_MS = 60 * 1000;
+
+const createError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const isApiKey = (token) => typeof token === 'string' && token.startsWith(KEY_PREFIX);
+
+const toPublicKey = (apiKey) => ({
+  id: apiKey._id.toString(),
+  name: apiKey.name,
+  prefix: apiKey.prefix,
+  scopes: apiKey.scopes,
+  createdAt: apiKey.createdAt,
+  expiresAt: apiKey.expiresAt || null,
+  lastUsedAt: apiKey.lastUsedAt || null,
+  lastUsedIp: apiKey.lastUsedIp || null,
+  revokedAt: apiKey.revokedAt || null
+});
+
+const activeKeyFilter = () => ({
+  revokedAt: { $exists: false },
+  $or: [{ expiresAt: { $exists: false } }, { expiresAt: { $gt: new Date() } }]
+});
+
+/**
+ * Create a personal API key. Scopes are limited to the permissions the user's
+ * role grants right now.
+ *
+ * @param {Object} user - User document
+ * @param {Object} options
+ * @param {string} options.name - Label to recognise the key by
+ * @param {string[]} options.scopes - Permission names the key may use
+ * @param {number} [options.expiresInDays] - Lifetime; keys without one last until revoked
+ * @returns {Promise<Object>} The raw key, shown only this once, and the stored key details
+ */
+const createApiKey = async (user, { name, scopes, expiresInDays }) => {
+  const granted = await getRolePermissions(user.role);
+  const notGranted = scopes.filter(scope => !granted.includes(scope));
+  if (notGranted.length > 0) {
+    throw createError(`Your role does not grant: ${notGranted.join(', ')}`, 403);
+  }
+
+  const activeKeys = await ApiKey.countDocuments({ user: user.author_id, ...activeKeyFilter() });
+  if (activeKeys >= MAX_ACTIVE_KEYS) {
+    throw createError(`You can have at most ${MAX_ACTIVE_KEYS} active API keys. Revoke one first.`, 400);
+  }
+
+  const key = `${KEY_PREFIX}${crypto.randomBytes(24).toString('hex')}`;
+  const apiKey = await ApiKey.create({
+    user: user.author_id,
+    name,
+    prefix: key.slice(0, KEY_PREFIX.length + 8),
+    keyHash: hashToken(key),
+    scopes: [...new Set(scopes)],
+    expiresAt: expiresInDays ? new Date(Date.now() + expiresInDays * DAY_MS) : undefined
+  });
+
+  return { key, apiKey: toPublicKey(apiKey) };
+};
+
+const listApiKeys = async (userId) => {
+  const apiKeys = await ApiKey.find({ user: userId }).sort({ createdAt: -1 }).lean();
+  return apiKeys.map(toPublicKey);
+};
+
+/**
+ * Revoke one of a user's API keys. The key stops working immediately.
+ *
+ * @param {string} userId - User author_id
+ * @param {string} keyId - ApiKey _id
+ */
+const revokeApiKey = async (userId, keyId) => {
+  if (!mongoose.isValidObjectId(keyId)) {
+    throw createError('API key not found', 404);
+  }
+
+  const apiKey = await ApiKey.findOneAndUpdate(
+    { _id: keyId, user: userId, revokedAt: { $exists: false } },
+    { revokedAt: new Date() },
+    { new: true }
+  );
+
+  if (!apiKey) {
+    throw createError('API key not found', 404);
+  }
+
+  return toPublicKey(apiKey);
+};
+
+/**
+ * Revoke every active API key of a user, e.g. when their password is reset or an
+ * admin signs them out everywhere.
+ *
+ * @param {string} userId - User author_id
+ * @returns {Promise<number>} Number of keys revoked
+ */
+const revokeAllApiKeys = async (userId) => {
+  const result = await ApiKey.updateMany(
+    { user: userId, revokedAt: { $exists: false } },
+    { revokedAt: new Date() }
+  );
+  return result.modifiedCount;
+};
+
+/**
+ * Look up the active key and owner for a raw API key, and note when it was used.
+ *
+ * @param {string} key - Raw key from the Authorization header
+ * @param {Object} [options]
+ * @param {string} [options.ip] - Client IP address
+ * @returns {Promise<Object|null>} apiKey and user, or null when the key is unknown, revoked, expired or its owner is inactive
+ */
+const authenticateApiKey = async (key, { ip } = {}) => {
+  const apiKey = await ApiKey.findOne({ keyHash: hashToken(key), ...activeKeyFilter() });
+  if (!apiKey) return null;
+
+  const user = await User.findOne({ author_id: apiKey.user, isActive: true }).select('-password');
+  if (!user) return null;
+
+  if (!apiKey.lastUsedAt || Date.now() - apiKey.lastUsedAt.getTime() > LAST_USED_UPDATE_MS || apiKey.lastUsedIp !== ip) {
+    await ApiKey.updateOne({ _id: apiKey._id }, { lastUsedAt: new Date(), lastUsedIp: ip });
+  }
+
+  return { apiKey, user };
+};
+
+module.exports = {
+  isApiKey,
+  createApiKey,
+  listApiKeys,
+  revokeApiKey,
+  revokeAllApiKeys,
+  authenticateApiKey
+};
@@ -0,0 +1,57 @@
+const crypto = require('crypto');
+const AuthToken = require('../models/AuthToken');
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+/**
+ * Issue a one-time token for a user, replacing any unused token with the same purpose.
+ *
+ * @param {string} userId - User author_id
+ * @param {string} purpose - AuthToken purpose
+ * @param {number} ttlMs - Lifetime of the token
+ * @param {Object} [options]
+ * @param {string} [options.requestIp] - IP address that asked for the token
+ * @returns {Promise<string>} The raw token to email; it is not stored
+ */
+const issueToken = async (userId, purpose, ttlMs, { requestIp } = {}) => {
+  const token = crypto.randomBytes(32).toString('hex');
+
+  await AuthToken.deleteMany({ user: userId, purpose, usedAt: { $exists: false } });
+  await AuthToken.create({
+    user: userId,
+    purpose,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + ttlMs),
+    requestIp
+  });
+
+  return token;
+};
+
+/**
+ * Use up a token. Succeeds once, and only before it expires.
+ *
+ * @param {string} token - Raw token from the email link
+ * @param {string} purpose - AuthToken purpose it must have been issued for
+ * @returns {Promise<Object|null>} The used AuthToken, or null when invalid, expired or already used
+ */
+const consumeToken = async (token, purpose) => {
+  if (!token) return null;
+
+  return AuthToken.findOneAndUpdate(
+    {
+      tokenHash: hashToken(token),
+      purpose,
+      usedAt: { $exists: false },
+      expiresAt: { $gt: new Date() }
+    },
+    { usedAt: new Date() },
+    { new: true }
+  );
+};
+
+module.exports = {
+  hashToken,
+  issueToken,
+  consumeToken
+};
@@ -0,0 +1,448 @@
+const Cart = require('../models/Cart');
+const Course = require('../models/Course');
+const Enrollment = require('../models/Enrollment');
+const Bundle = require('../models/Bundle');
+const Payment = require('../models/Payment');
+const { applyCoupon } = require('./coupons');
+
+const RECEIPT_PREFIXES = {
+  registration: 'reg',
+  course: 'course',
+  renewal: 'renew',
+  cart: 'cart',
+  bundle: 'bundle'
+};
+
+// Errors carry extra response fields (freeCourse, renewalAvailable, rejectedItems) in details
+const createError = (message, status, details) => {
+  const error = new Error(message);
+  error.status = status;
+  error.details = details;
+  return error;
+};
+
+// Split cart courses into purchasable items and rejected items with a reason
+const evaluateCartItems = async (userId, courseIds) => {
+  const [courses, enrollments] = await Promise.all([
+    Course.find({ c_id: { $in: courseIds } })
+      .select('c_id title price currency thumbnail status accessDuration'),
+    Enrollment.find({
+      user: userId,
+      course: { $in: courseIds },
+      source: { $ne: 'subscription' },
+      status: { $in: ['active', 'expired'] }
+    }).select('course status expiresAt')
+  ]);
+
+  const courseMap = new Map(courses.map(course => [course.c_id, course]));
+  const enrollmentMap = new Map(enrollments.map(enrollment => [enrollment.course, enrollment]));
+
+  const validItems = [];
+  const rejectedItems = [];
+
+  courseIds.forEach(courseId => {
+    const course = courseMap.get(courseId);
+
+    if (!course) {
+      rejectedItems.push({ courseId, reason: 'not_found', message: 'Course not found.' });
+    } else if (course.status !== 'published') {
+      rejectedItems.push({ courseId, reason: 'not_published', message: 'Course is not available for purchase.' });
+    } else if (course.price === 0) {
+      rejectedItems.push({ courseId, reason: 'free_course', message: 'This course is free. Enroll in it directly.' });
+    } else if (enrollmentMap.get(courseId)?.hasExpired()) {
+      rejectedItems.push({ courseId, reason: 'renewal_required', message: 'Your access to this course has expired. Renew it instead.' });
+    } else if (enrollmentMap.has(courseId)) {
+      rejectedItems.push({ courseId, reason: 'already_enrolled', message: 'You are already enrolled in this course.' });
+    } else if (validItems.length > 0 && course.currency !== validItems[0].currency) {
+      rejectedItems.push({ courseId, reason: 'currency_mismatch', message: 'All courses in one order must use the same currency.' });
+    } else {
+      validItems.push(course);
+    }
+  });
+
+  return { validItems, rejectedItems };
+};
+
+// Registration fee order for a user who has not paid it yet
+const prepareRegistration = async (user) => {
+  if (user.hasPaidRegistrationFee) {
+    throw createError('Registration fee has already been paid.', 400);
+  }
+
+  return {
+    paymentType: 'registration',
+    amount: parseInt(process.env.REGISTRATION_FEE_AMOUNT || 699),
+    currency: process.env.PAYMENT_CURRENCY || 'INR',
+    description: 'Registration fee',
+    notes: {},
+    details: {}
+  };
+};
+
+const EMAIL_PATTERN = /^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/;
+
+// Validate the recipient of a gift order
+const normalizeGift = (user, gift) => {
+  const recipientEmail = String(gift.recipientEmail || '').trim().toLowerCase();
+
+  if (!EMAIL_PATTERN.test(recipientEmail)) {
+    throw createError('A valid recipient email is required for a gift.', 400);
+  }
+
+  if (recipientEmail === user.email) {
+    throw createError('Gifts must be sent to someone else. Buy the course for yourself instead.', 400);
+  }
+
+  if (gift.message && String(gift.message).length > 500) {
+    throw createError('Gift message cannot exceed 500 characters.', 400);
+  }
+
+  return {
+    recipientEmail,
+    recipientName: gift.recipientName ? String(gift.recipientName).trim().slice(0, 100) : undefined,
+    message: gift.message ? String(gift.message).trim() : undefined
+  };
+};
+
+// Course order, with an optional coupon. With a gift recipient the course is bought
+// for them, so the purchaser's own enrollment does not matter.
+const prepareCourse = async (user, { courseId, couponCode, gift }) => {
+  const userId = user.author_id;
+
+  if (!courseId) {
+    throw createError('Course ID is required.', 400);
+  }
+
+  const giftDetails = gift ? normalizeGift(user, gift) : null;
+
+  const course = await Course.findOne({ c_id: courseId });
+  if (!course) {
+    throw createError('Course not found.', 404);
+  }
+
+  if (course.status !== 'published') {
+    throw createError('Course is not available for purchase.', 400);
+  }
+
+  if (course.price === 0) {
+    throw createError('This course is free. Enroll directly without a payment order.', 400, { freeCourse: true });
+  }
+
+  // Check if already enrolled
+  const existingEnrollment = giftDetails ? null : await Enrollment.findOne({
+    user: userId,
+    course: courseId,
+    source: { $ne: 'subscription' },
+    status: { $in: ['active', 'expired'] }
+  });
+
+  if (existingEnrollment) {
+    const hasExpired = existingEnrollment.hasExpired();
+    throw createError(
+      hasExpired
+        ? 'Your access to this course has expired. Please renew your enrollment.'
+        : 'You are already enrolled in this course.',
+      400,
+      { renewalAvailable: hasExpired }
+    );
+  }
+
+  let pricing = { finalAmount: course.price, discountAmount: 0 };
+  if (couponCode) {
+    pricing = await applyCoupon({ code: couponCode, course, userId });
+  }
+
+  if (pricing.finalAmount <= 0) {
+    throw createError('This coupon covers the full course price and cannot be used for an online payment.', 400);
+  }
+
+  return {
+    paymentType: 'course',
+    course: courseId,
+    amount: pricing.finalAmount,
+    currency: course.currency || 'INR',
+    description: giftDetails ? `Gift: ${course.title}` : course.title,
+    notes: {
+      courseId,
+      ...(pricing.coupon && { couponCode: pricing.coupon.code }),
+      ...(giftDetails && { giftRecipient: giftDetails.recipientEmail })
+    },
+    ...(giftDetails && { gift: giftDetails }),
+    ...(pricing.coupon && {
+      coupon: {
+        couponId: pricing.coupon._id,
+        code: pricing.coupon.code,
+        originalAmount: pricing.originalAmount,
+        discountAmount: pricing.discountAmount
+      }
+    }),
+    details: {
+      course: {
+        c_id: course.c_id,
+        title: course.title,
+        price: course.price,
+        currency: course.currency
+      },
+      ...(pricing.coupon && {
+        coupon: {
+          code: pricing.coupon.code,
+          discountAmount: pricing.discountAmount,
+          finalAmount: pricing.finalAmount
+        }
+      }),
+      ...(giftDetails && {
+        gift: { recipientEmail: giftDetails.recipientEmail }
+      })
+    }
+  };
+};
+
+// Renewal order that extends an active or expired enrollment
+const prepareRenewal = async (user, { courseId }) => {
+  if (!courseId) {
+    throw createError('Course ID is required.', 400);
+  }
+
+  const course = await Course.findOne({ c_id: courseId });
+  if (!course) {
+    throw createError('Course not found.', 404);
+  }
+
+  if (course.status !== 'published') {
+    throw createError('Course is not available for renewal.', 400);
+  }
+
+  const enrollment = await Enrollment.findOne({
+    user: user.author_id,
+    course: courseId,
+    source: { $ne: 'subscription' },
+    status: { $in: ['active', 'expired'] }
+  });
+
+  if (!enrollment) {
+    throw createError('You are not enrolled in this course. Please purchase it instead.', 400);
+  }
+
+  const price = course.effectiveRenewalPrice;
+  if (price <= 0) {
+    throw createError('Renewal for this course is free. Renew through the enroll endpoint.', 400, { freeCourse: true });
+  }
+
+  return {
+    paymentType: 'renewal',
+    course: courseId,
+    amount: price,
+    currency: course.currency || 'INR',
+    description: `Renewal: ${course.title}`,
+    notes: { courseId },
+    details: {
+      course: {
+        c_id: course.c_id,
+        title: course.title,
+        renewalPrice: price,
+        currency: course.currency,
+        accessDuration: course.accessDuration
+      },
+      currentExpiresAt: enrollment.expiresAt
+    }
+  };
+};
+
+// One order for every course in the user's cart
+const prepareCart = async (user) => {
+  const cart = await Cart.findOne({ user: user.author_id });
+  if (!cart || cart.items.length === 0) {
+    throw createError('Your cart is empty.', 400);
+  }
+
+  const { validItems, rejectedItems } = await evaluateCartItems(
+    user.author_id,
+    cart.items.map(item => item.course)
+  );
+
+  if (rejectedItems.length > 0) {
+    throw createError(
+      'Some courses in your cart cannot be purchased. Please remove them and try again.',
+      400,
+      { rejectedItems }
+    );
+  }
+
+  const items = validItems.map(course => ({
+    course: course.c_id,
+    title: course.title,
+    price: course.price
+  }));
+
+  return {
+    paymentType: 'cart',
+    items,
+    amount: validItems.reduce((sum, course) => sum + course.price, 0),
+    currency: validItems[0].currency || 'INR',
+    description: `${items.length} course(s)`,
+    notes: { courseIds: items.map(item => item.course).join(',') },
+    details: { items }
+  };
+};
+
+// Course c_ids the user currently has purchased access to
+const findOwnedCourseIds = async (userId, courseIds) => {
+  const enrollments = await Enrollment.find({
+    user: userId,
+    course: { $in: courseIds },
+    source: { $ne: 'subscription' },
+    status: 'active',
+    expiresAt: { $gt: new Date() }
+  }).select('course');
+
+  return enrollments.map(enrollment => enrollment.course);
+};
+
+// Split a bundle price across its courses in proportion to their list prices, so
+// per-course revenue adds up to what was charged. Rounding goes to the last course.
+const allocateBundleRevenue = (amount, courses) => {
+  const listTotal = courses.reduce((sum, course) => sum + course.price, 0);
+  let allocated = 0;
+
+  return courses.map((course, index) => {
+    const share = index === courses.length - 1
+      ? Math.round((amount - allocated) * 100) / 100
+      : Math.round((listTotal > 0 ? amount * course.price / listTotal : amount / courses.length) * 100) / 100;
+    allocated += share;
+
+    return {
+      course: course.c_id,
+      title: course.title,
+      price: share
+    };
+  });
+};
+
+// Bundle order at the bundle price; courses the user already owns are left out
+const prepareBundle = async (user, { bundleId }) => {
+  if (!bundleId) {
+    throw createError('Bundle ID is required.', 400);
+  }
+
+  const bundle = await Bundle.findOne({ b_id: bundleId, status: 'published' });
+  if (!bundle) {
+    throw createError('Bundle not found.', 404);
+  }
+
+  const courses = await Course.find({ c_id: { $in: bundle.courses }, status: 'published' })
+    .select('c_id title price currency');
+  if (courses.length !== bundle.courses.length) {
+    throw createError('Some courses in this bundle are no longer available.', 400);
+  }
+
+  const ownedCourseIds = await findOwnedCourseIds(user.author_id, bundle.courses);
+  const coursesToGrant = courses.filter(course => !ownedCourseIds.includes(course.c_id));
+
+  if (coursesToGrant.length === 0) {
+    throw createError('You already own every course in this bundle.', 400);
+  }
+
+  const items = allocateBundleRevenue(bundle.price, coursesToGrant);
+
+  return {
+    paymentType: 'bundle',
+    bundle: bundle.b_id,
+    items,
+    amount: bundle.price,
+    currency: bundle.currency || 'INR',
+    description: bundle.title,
+    notes: { bundleId: bundle.b_id },
+    details: {
+      bundle: {
+        b_id: bundle.b_id,
+        title: bundle.title,
+        price: bundle.price,
+        currency: bundle.currency
+      },
+      items,
+      ownedCourses: ownedCourseIds
+    }
+  };
+};
+
+const preparers = {
+  registration: prepareRegistration,
+  course: prepareCourse,
+  renewal: prepareRenewal,
+  cart: prepareCart,
+  bundle: prepareBundle
+};
+
+/**
+ * Validate and price an order of the given type.
+ *
+ * @param {string} paymentType - registration, course, renewal, cart or bundle
+ * @param {Object} user - Authenticated user document
+ * @param {Object} [input] - courseId, couponCode, bundleId, gift ({ recipientEmail, recipientName, message })
+ * @returns {Promise<Object>} Prepared order: paymentType, amount (in rupees), currency, notes, details, ...
+ */
+const prepareCheckout = async (paymentType, user, input = {}) => {
+  const prepare = preparers[paymentType];
+  if (!prepare) {
+    throw createError('Order type must be registration, course, renewal, cart or bundle.', 400);
+  }
+
+  return await prepare(user, input);
+};
+
+/**
+ * Create the provider order and the pending Payment record for a prepared order.
+ *
+ * @param {Object} provider - Provider adapter from services/payments
+ * @param {Object} user - Authenticated user document
+ * @param {Object} prepared - Result of prepareCheckout
+ * @returns {Promise<Object>} { payment, order }
+ */
+const createCheckout = async (provider, user, prepared) => {
+  const userId = user.author_id;
+
+  const order = await provider.createOrder({
+    amount: Math.round(prepared.amount * 100), // Convert to paise
+    currency: prepared.currency,
+    receipt: `${RECEIPT_PREFIXES[prepared.paymentType]}_${Date.now()}_${userId.slice(0, 8)}`,
+    description: prepared.description,
+    customer: {
+      name: `${user.firstName} ${user.lastName}`,
+      email: user.email
+    },
+    notes: {
+      paymentType: prepared.paymentType,
+      userId,
+      ...prepared.notes
+    }
+  });
+
+  const payment = new Payment({
+    user: userId,
+    course: prepared.course,
+    bundle: prepared.bundle,
+    gift: prepared.gift,
+    items: prepared.items,
+    amount: prepared.amount,
+    currency: prepared.currency,
+    paymentType: prepared.paymentType,
+    paymentGateway: {
+      provider: provider.name,
+      orderId: order.orderId,
+      receipt: order.receipt
+    },
+    coupon: prepared.coupon
+  });
+
+  await payment.save();
+
+  return { payment, order };
+};
+
+module.exports = {
+  evaluateCartItems,
+  findOwnedCourseIds,
+  allocateBundleRevenue,
+  prepareCheckout,
+  createCheckout
+};
@@ -0,0 +1,103 @@
+const Coupon = require('../models/Coupon');
+const Payment = require('../models/Payment');
+
+const createError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+/**
+ * Validate a coupon code for a user buying a course and price it.
+ * Redemptions are only counted once a payment completes, see redeemCoupon.
+ *
+ * @param {Object} options - code, course (Course document), userId
+ * @returns {Promise<Object>} { coupon, originalAmount, discountAmount, finalAmount }
+ */
+const applyCoupon = async ({ code, course, userId }) => {
+  const coupon = await Coupon.findOne({ code: String(code).trim().toUpperCase() });
+
+  if (!coupon || !coupon.isCurrentlyValid()) {
+    throw createError('This coupon code is invalid or has expired.', 400);
+  }
+
+  if (!coupon.appliesToCourse(course.c_id)) {
+    throw createError('This coupon cannot be used for this course.', 400);
+  }
+
+  if (course.price < coupon.minimumPrice) {
+    throw createError(`This coupon requires a minimum price of ${coupon.minimumPrice}.`, 400);
+  }
+
+  const userRedemptions = await Payment.countDocuments({
+    user: userId,
+    'coupon.couponId': coupon._id,
+    status: 'completed'
+  });
+
+  if (userRedemptions >= coupon.perUserLimit) {
+    throw createError('You have already used this coupon the maximum number of times.', 400);
+  }
+
+  const discountAmount = coupon.calculateDiscount(course.price);
+
+  return {
+    coupon,
+    originalAmount: course.price,
+    discountAmount,
+    finalAmount: Math.round((course.price - discountAmount) * 100) / 100
+  };
+};
+
+/**
+ * Count a redemption for a payment that has just completed. The usage limit is
+ * checked in the same update that counts, so orders created while the coupon still
+ * had uses left cannot all redeem it. The student has already paid by now, so a
+ * coupon that ran out does not block access: the payment is flagged for an admin
+ * to refund or settle instead.
+ *
+ * @param {Object} payment - Payment document, already marked completed
+ * @param {Object} [session] - MongoDB session of the fulfillment transaction
+ * @returns {Promise<boolean>} false when the payment was flagged for review
+ */
+const redeemCoupon = async (payment, session) => {
+  if (!payment.coupon?.couponId) return true;
+
+  const userRedemptions = await Payment.countDocuments({
+    _id: { $ne: payment._id },
+    user: payment.user,
+    'coupon.couponId': payment.coupon.couponId,
+    status: 'completed'
+  }).session(session);
+
+  const coupon = await Coupon.findById(payment.coupon.couponId).select('perUserLimit').session(session);
+  const withinUserLimit = !coupon || userRedemptions < coupon.perUserLimit;
+
+  const result = withinUserLimit && await Coupon.updateOne(
+    {
+      _id: payment.coupon.couponId,
+      $or: [
+        { usageLimit: null },
+        { $expr: { $lt: ['$redemptionCount', '$usageLimit'] } }
+      ]
+    },
+    { $inc: { redemptionCount: 1 } },
+    { session }
+  );
+
+  if (coupon && !result?.modifiedCount) {
+    await Payment.updateOne(
+      { _id: payment._id },
+      { review: { reason: 'coupon_limit_reached', flaggedAt: new Date() } },
+      { session }
+    );
+    return false;
+  }
+
+  return true;
+};
+
+module.exports = {
+  applyCoupon,
+  redeemCoupon
+};
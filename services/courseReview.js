@@ -0,0 +1,236 @@
+const Course = require('../models/Course');
+const User = require('../models/User');
+const { sendMail } = require('./mailer');
+
+// Courses an instructor can (re)submit; edits to published ones are reviewed as revisions instead
+const SUBMITTABLE_STATUSES = ['draft', 'rejected'];
+
+// Courses students cannot see, which their author may change directly
+const DIRECTLY_EDITABLE_STATUSES = ['draft', 'rejected', 'archived'];
+
+const getFrontendUrl = () => process.env.FRONTEND_URL || 'http://localhost:3000';
+
+const createError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+// The course as its author is editing it: the live content with any pending revision on top
+const getWorkingCopy = (course) => ({
+  ...course.toObject(),
+  ...course.pendingRevision?.changes
+});
+
+/**
+ * Change a course from the instructor API. Draft, rejected and archived courses
+ * change directly. A course waiting for review is locked until it is approved or
+ * rejected. Edits to a published course are collected in a pending revision that
+ * goes to the review queue; students keep the approved content until it is approved.
+ *
+ * @param {Object} course - Course document loaded with +pendingRevision
+ * @param {Object} changes - Course fields to change
+ * @param {Object} [options]
+ * @param {boolean} [options.direct=false] - Apply directly whatever the status (courses:manage_all)
+ * @returns {Promise<Object>} { course, staged } where staged means the changes await review
+ */
+const editCourse = async (course, changes, { direct = false } = {}) => {
+  if (Object.keys(changes).length === 0) {
+    return { course, staged: false };
+  }
+
+  if (direct || DIRECTLY_EDITABLE_STATUSES.includes(course.status)) {
+    const updated = await Course.findOneAndUpdate(
+      { c_id: course.c_id },
+      changes,
+      { new: true, runValidators: true }
+    ).select('+pendingRevision');
+    return { course: updated, staged: false };
+  }
+
+  if (course.status === 'pending_review') {
+    throw createError('This course is waiting for review. It can be edited again once it is approved or rejected.', 409);
+  }
+
+  // Mixed paths are not validated on update, so check the revised course as a whole first
+  const revised = new Course({ ...getWorkingCopy(course), ...changes });
+  await revised.validate();
+
+  const update = { 'pendingRevision.submittedAt': new Date() };
+  Object.entries(changes).forEach(([field, value]) => {
+    update[`pendingRevision.changes.${field}`] = value;
+  });
+
+  const updated = await Course.findOneAndUpdate(
+    { c_id: course.c_id, status: 'published' },
+    { $set: update },
+    { new: true }
+  ).select('+pendingRevision');
+
+  if (!updated) {
+    throw createError('The course was changed while saving. Please try again.', 409);
+  }
+
+  return { course: updated, staged: true };
+};
+
+/**
+ * Put a draft or rejected course in the admin review queue.
+ *
+ * @param {Object} course - Course document owned by the submitting instructor
+ * @returns {Promise<Object>} Updated course
+ */
+const submitForReview = async (course) => {
+  if (!SUBMITTABLE_STATUSES.includes(course.status)) {
+    throw createError(`A ${course.status.replace('_', ' ')} course cannot be submitted for review.`, 400);
+  }
+
+  if (course.totalTopics === 0) {
+    throw createError('Add at least one topic before submitting the course for review.', 400);
+  }
+
+  const submitted = await Course.findOneAndUpdate(
+    { c_id: course.c_id, status: { $in: SUBMITTABLE_STATUSES } },
+    {
+      status: 'pending_review',
+      review: { submittedAt: new Date() }
+    },
+    { new: true }
+  );
+
+  if (!submitted) {
+    throw createError('The course was changed while submitting. Please try again.', 400);
+  }
+
+  return submitted;
+};
+
+// Tell the author how the review of their course, or of their changes to it, went
+const sendReviewEmail = async (course, { approved, revision }) => {
+  const author = await User.findOne({ author_id: course.author_id, isActive: true })
+    .select('firstName email');
+  if (!author) return;
+
+  const subjects = revision
+    ? [`Your changes to "${course.title}" are now live`, `Your changes to "${course.title}" were not approved`]
+    : [`Your course "${course.title}" is now published`, `Your course "${course.title}" needs changes`];
+  const messages = revision
+    ? [
+      `Your changes to "${course.title}" have been approved and students now see them.`,
+      `Your changes to "${course.title}" were not approved and have been discarded. Students still see the previous version.`
+    ]
+    : [
+      `"${course.title}" has been approved and is now available to students.`,
+      `"${course.title}" was not approved yet. Please update it and submit it again.`
+    ];
+
+  await sendMail({
+    to: author.email,
+    subject: approved ? subjects[0] : subjects[1],
+    text: [
+      `Hi ${author.firstName},`,
+      '',
+      approved ? messages[0] : messages[1],
+      ...(course.review.feedback ? ['', `Reviewer feedback: ${course.review.feedback}`] : []),
+      '',
+      `${getFrontendUrl()}/instructor/courses/${course.c_id}`
+    ].join('\n')
+  });
+};
+
+// Apply or discard the pending revision of a published course
+const reviewRevision = async (course, reviewer, { decision, feedback }) => {
+  const update = {
+    $unset: { pendingRevision: 1, ...(!feedback && { 'review.feedback': 1 }) },
+    'review.reviewedAt': new Date(),
+    'review.reviewedBy': reviewer.author_id,
+    ...(feedback && { 'review.feedback': feedback })
+  };
+
+  if (decision === 'approve') {
+    Object.assign(update, course.pendingRevision.changes);
+  }
+
+  // Conditional on the revision reviewed, so edits made meanwhile are not approved unseen
+  const reviewed = await Course.findOneAndUpdate(
+    {
+      c_id: course.c_id,
+      status: 'published',
+      'pendingRevision.submittedAt': course.pendingRevision.submittedAt
+    },
+    update,
+    { new: true, runValidators: true }
+  );
+
+  if (!reviewed) {
+    throw createError('The course was changed while reviewing. Please try again.', 400);
+  }
+
+  return reviewed;
+};
+
+// Publish or reject a course submitted for review
+const reviewSubmission = async (course, reviewer, { decision, feedback }) => {
+  const reviewed = await Course.findOneAndUpdate(
+    { c_id: course.c_id, status: 'pending_review' },
+    {
+      status: decision === 'approve' ? 'published' : 'rejected',
+      'review.reviewedAt': new Date(),
+      'review.reviewedBy': reviewer.author_id,
+      ...(feedback ? { 'review.feedback': feedback } : { $unset: { 'review.feedback': 1 } })
+    },
+    { new: true, runValidators: true }
+  );
+
+  if (!reviewed) {
+    throw createError('The course was changed while reviewing. Please try again.', 400);
+  }
+
+  return reviewed;
+};
+
+/**
+ * Approve (publish) or reject a course waiting for review, or the pending
+ * revision of a published course.
+ *
+ * @param {string} courseId - Course c_id
+ * @param {Object} reviewer - Admin user document
+ * @param {Object} decision
+ * @param {string} decision.decision - 'approve' or 'reject'
+ * @param {string} [decision.feedback] - Notes for the instructor, required when rejecting
+ * @returns {Promise<Object>} Updated course
+ */
+const reviewCourse = async (courseId, reviewer, { decision, feedback }) => {
+  const course = await Course.findOne({ c_id: courseId }).select('+pendingRevision');
+  if (!course) {
+    throw createError('Course not found', 404);
+  }
+
+  const revision = course.status === 'published' && Boolean(course.pendingRevision?.submittedAt);
+  if (course.status !== 'pending_review' && !revision) {
+    throw createError('Only courses or changes pending review can be approved or rejected.', 400);
+  }
+
+  if (decision === 'reject' && !feedback) {
+    throw createError('Feedback is required when rejecting a course.', 400);
+  }
+
+  const reviewed = revision
+    ? await reviewRevision(course, reviewer, { decision, feedback })
+    : await reviewSubmission(course, reviewer, { decision, feedback });
+
+  try {
+    await sendReviewEmail(reviewed, { approved: decision === 'approve', revision });
+  } catch (error) {
+    console.error('Course review email error:', error);
+  }
+
+  return reviewed;
+};
+
+module.exports = {
+  getWorkingCopy,
+  editCourse,
+  submitForReview,
+  reviewCourse
+};
@@ -0,0 +1,253 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const { sendMail } = require('./mailer');
+
+const TOKEN_PURPOSE = 'email_verification';
+const EMAIL_CHANGE_PURPOSE = 'email_change';
+
+// Derived from JWT_SECRET when not set, but never equal to it, so a link token can never pass as an access token
+const getVerificationSecret = () => process.env.EMAIL_VERIFICATION_SECRET
+  || crypto.createHmac('sha256', process.env.JWT_SECRET).update('email-verification').digest('hex');
+
+const getVerificationTokenHours = () => parseInt(process.env.EMAIL_VERIFICATION_TOKEN_HOURS || 48);
+
+const getResendCooldownSeconds = () => parseInt(process.env.EMAIL_VERIFICATION_RESEND_SECONDS || 60);
+
+// "payments" blocks paid actions until the email is verified; "off" never blocks
+const getVerificationPolicy = () => process.env.EMAIL_VERIFICATION_POLICY || 'payments';
+
+const getFrontendUrl = () => process.env.FRONTEND_URL || 'http://localhost:3000';
+
+const createError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+// Signed link token bound to the address, so it stops working if the email changes
+const createVerificationToken = (user) => jwt.sign(
+  { userId: user.author_id, email: user.email, purpose: TOKEN_PURPOSE },
+  getVerificationSecret(),
+  { expiresIn: `${getVerificationTokenHours()}h` }
+);
+
+/**
+ * Email a verification link to the user's current address.
+ *
+ * @param {Object} user - User document
+ */
+const sendVerificationEmail = async (user) => {
+  const token = createVerificationToken(user);
+
+  await sendMail({
+    to: user.email,
+    subject: 'Verify your email address',
+    text: [
+      `Hi ${user.firstName},`,
+      '',
+      'Please confirm that this is your email address:',
+      `${getFrontendUrl()}/verify-email?token=${token}`,
+      '',
+      `The link expires in ${getVerificationTokenHours()} hours.`
+    ].join('\n')
+  });
+
+  await User.updateOne({ author_id: user.author_id }, { emailVerificationSentAt: new Date() });
+};
+
+/**
+ * Send another verification link, at most once per cooldown period.
+ *
+ * @param {Object} user - User document
+ * @returns {Promise<boolean>} false when the address is already verified
+ */
+const resendVerificationEmail = async (user) => {
+  if (user.emailVerified) return false;
+
+  const cooldownMs = getResendCooldownSeconds() * 1000;
+  const sinceLastMs = user.emailVerificationSentAt ? Date.now() - user.emailVerificationSentAt.getTime() : Infinity;
+  if (sinceLastMs < cooldownMs) {
+    const waitSeconds = Math.ceil((cooldownMs - sinceLastMs) / 1000);
+    throw createError(`A verification email was sent recently. Please try again in ${waitSeconds} seconds.`, 429);
+  }
+
+  await sendVerificationEmail(user);
+  return true;
+};
+
+/**
+ * Mark the address in a verification link as verified.
+ *
+ * @param {string} token - Token from the verification link
+ * @returns {Promise<Object>} Verified user
+ */
+const verifyEmail = async (token) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, getVerificationSecret());
+  } catch (error) {
+    throw createError('This verification link is invalid or has expired. Please request a new one.', 400);
+  }
+
+  if (decoded.purpose !== TOKEN_PURPOSE) {
+    throw createError('This verification link is invalid or has expired. Please request a new one.', 400);
+  }
+
+  const user = await User.findOne({ author_id: decoded.userId, email: decoded.email, isActive: true });
+  if (!user) {
+    throw createError('This verification link is invalid or has expired. Please request a new one.', 400);
+  }
+
+  if (!user.emailVerified) {
+    user.emailVerified = true;
+    user.emailVerifiedAt = new Date();
+    await user.save();
+  }
+
+  return user;
+};
+
+/**
+ * Mark accounts registered before email verification existed as verified, so
+ * customers who already paid are not blocked from renewals and purchases. Every
+ * account created since stores emailVerified, so only those older accounts lack it.
+ * Safe to run on every start.
+ *
+ * @returns {Promise<number>} Number of accounts marked verified
+ */
+const verifyExistingAccounts = async () => {
+  const result = await User.updateMany(
+    { emailVerified: { $exists: false } },
+    { $set: { emailVerified: true } }
+  );
+  return result.modifiedCount;
+};
+
+/**
+ * Start changing a user's email: the new address gets a confirmation link and only
+ * replaces the current one once that link is used.
+ *
+ * @param {string} userId - User author_id
+ * @param {string} newEmail - Normalized new address
+ * @param {string} currentPassword - Password the user entered to confirm the change
+ * @returns {Promise<Object>} User with pendingEmail set
+ */
+const requestEmailChange = async (userId, newEmail, currentPassword) => {
+  const user = await User.findOne({ author_id: userId, isActive: true });
+  if (!user) {
+    throw createError('User not found', 404);
+  }
+
+  if (!(await user.comparePassword(currentPassword))) {
+    throw createError('Current password is incorrect', 400);
+  }
+
+  if (newEmail === user.email) {
+    throw createError('This is already your email address', 400);
+  }
+
+  if (await User.exists({ email: newEmail })) {
+    throw createError('This email is already in use by another account', 400);
+  }
+
+  user.pendingEmail = newEmail;
+  await user.save();
+
+  // A newer request replaces pendingEmail, which invalidates earlier links
+  const token = jwt.sign(
+    { userId: user.author_id, email: user.email, newEmail, purpose: EMAIL_CHANGE_PURPOSE },
+    getVerificationSecret(),
+    { expiresIn: `${getVerificationTokenHours()}h` }
+  );
+
+  await sendMail({
+    to: newEmail,
+    subject: 'Confirm your new email address',
+    text: [
+      `Hi ${user.firstName},`,
+      '',
+      'Confirm this address to make it the email for your account:',
+      `${getFrontendUrl()}/confirm-email-change?token=${token}`,
+      '',
+      `The link expires in ${getVerificationTokenHours()} hours. Until then you keep signing in with ${user.email}.`
+    ].join('\n')
+  });
+
+  return user;
+};
+
+/**
+ * Swap in the new address from an email change link and tell the old address.
+ *
+ * @param {string} token - Token from the confirmation link
+ * @returns {Promise<Object>} Updated user
+ */
+const confirmEmailChange = async (token) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, getVerificationSecret());
+  } catch (error) {
+    throw createError('This confirmation link is invalid or has expired. Please request the change again.', 400);
+  }
+
+  if (decoded.purpose !== EMAIL_CHANGE_PURPOSE) {
+    throw createError('This confirmation link is invalid or has expired. Please request the change again.', 400);
+  }
+
+  if (await User.exists({ email: decoded.newEmail })) {
+    throw createError('This email is already in use by another account', 400);
+  }
+
+  let user;
+  try {
+    user = await User.findOneAndUpdate(
+      {
+        author_id: decoded.userId,
+        email: decoded.email,
+        pendingEmail: decoded.newEmail,
+        isActive: true
+      },
+      {
+        email: decoded.newEmail,
+        emailVerified: true,
+        emailVerifiedAt: new Date(),
+        $unset: { pendingEmail: 1 }
+      },
+      { new: true }
+    );
+  } catch (error) {
+    // Another account took the address between the check and the update
+    if (error.code === 11000) {
+      throw createError('This email is already in use by another account', 400);
+    }
+    throw error;
+  }
+
+  if (!user) {
+    throw createError('This confirmation link is invalid or has expired. Please request the change again.', 400);
+  }
+
+  sendMail({
+    to: decoded.email,
+    subject: 'Your email address was changed',
+    text: [
+      `Hi ${user.firstName},`,
+      '',
+      `The email address for your account was changed from ${decoded.email} to ${decoded.newEmail}.`,
+      'If you did not make this change, contact support right away.'
+    ].join('\n')
+  }).catch(error => console.error('Email changed notice error:', error));
+
+  return user;
+};
+
+module.exports = {
+  getVerificationPolicy,
+  sendVerificationEmail,
+  resendVerificationEmail,
+  verifyEmail,
+  verifyExistingAccounts,
+  requestEmailChange,
+  confirmEmailChange
+};
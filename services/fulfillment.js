@@ -0,0 +1,522 @@
+const mongoose = require('mongoose');
+const Payment = require('../models/Payment');
+const User = require('../models/User');
+const Course = require('../models/Course');
+const Enrollment = require('../models/Enrollment');
+const Cart = require('../models/Cart');
+const Gift = require('../models/Gift');
+const { redeemCoupon } = require('./coupons');
+const { issueInvoice } = require('./invoices');
+const { createGift, sendGiftEmail, sendRedeemedEmail } = require('./gifts');
+
+// Outcomes returned by fulfillPayment
+const FULFILLMENT_OUTCOMES = {
+  FULFILLED: 'fulfilled',
+  ALREADY_FULFILLED: 'already_fulfilled',
+  NOT_FULFILLABLE: 'not_fulfillable'
+};
+
+// Payment statuses that may still move to completed. Razorpay lets a student retry
+// on the same order, so a failed attempt can be followed by a captured one, and a
+// capture can still arrive after the abandoned-order job cancelled the payment.
+const FULFILLABLE_STATUSES = ['pending', 'failed', 'cancelled'];
+
+const createError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+// Calculate enrollment expiry from a course access duration such as "1 year"
+const calculateExpiryDate = (accessDuration = '1 year', from = new Date()) => {
+  const expiresAt = new Date(from);
+  const match = accessDuration.match(/\d+/);
+  const count = match ? parseInt(match[0]) : 1;
+
+  if (accessDuration.includes('lifetime')) {
+    expiresAt.setFullYear(expiresAt.getFullYear() + 100);
+  } else if (accessDuration.includes('year')) {
+    expiresAt.setFullYear(expiresAt.getFullYear() + count);
+  } else if (accessDuration.includes('month')) {
+    expiresAt.setMonth(expiresAt.getMonth() + count);
+  } else if (accessDuration.includes('day')) {
+    expiresAt.setDate(expiresAt.getDate() + count);
+  }
+
+  return expiresAt;
+};
+
+// Transactions need a replica set or mongos; a standalone server rejects them
+const supportsTransactions = () => {
+  try {
+    const type = mongoose.connection.getClient().topology?.description?.type;
+    return ['ReplicaSetWithPrimary', 'Sharded', 'LoadBalanced'].includes(type);
+  } catch (error) {
+    return false;
+  }
+};
+
+// Build the $set for the gateway details we learned while confirming the payment.
+// Updates skip enum validation, so a method outside Payment.paymentMethod is stored as card.
+const buildGatewayUpdate = (gatewayData) => {
+  const paymentMethods = Payment.schema.path('paymentMethod').enumValues;
+  const update = { status: 'completed' };
+  if (gatewayData.paymentId) update['paymentGateway.paymentId'] = gatewayData.paymentId;
+  if (gatewayData.orderId) update['paymentGateway.orderId'] = gatewayData.orderId;
+  if (gatewayData.signature) update['paymentGateway.signature'] = gatewayData.signature;
+  if (gatewayData.method) update.paymentMethod = paymentMethods.includes(gatewayData.method) ? gatewayData.method : 'card';
+  if (gatewayData.webhookData) update.webhookData = gatewayData.webhookData;
+  return update;
+};
+
+const grantRegistrationFee = async (payment, session) => {
+  await User.updateOne(
+    { author_id: payment.user },
+    {
+      hasPaidRegistrationFee: true,
+      registrationFeePayment: payment._id
+    },
+    { session }
+  );
+
+  return {};
+};
+
+// Enroll a user in one course for a payment, creating or reactivating the enrollment
+const enrollInCourse = async (userId, courseId, payment, session) => {
+  const course = await Course.findOne({ c_id: courseId }).session(session);
+  if (!course) {
+    const error = new Error('Course not found.');
+    error.status = 404;
+    throw error;
+  }
+
+  const expiresAt = calculateExpiryDate(course.accessDuration);
+
+  // Upsert on the unique (user, course) index so concurrent callers end up with one enrollment
+  const result = await Enrollment.findOneAndUpdate(
+    { user: userId, course: courseId },
+    {
+      $setOnInsert: {
+        user: userId,
+        course: courseId,
+        payment: payment._id,
+        expiresAt
+      }
+    },
+    { upsert: true, new: true, session, includeResultMetadata: true, setDefaultsOnInsert: true }
+  );
+
+  let enrollment = result.value;
+  const enrollmentCreated = !result.lastErrorObject?.updatedExisting;
+
+  if (enrollmentCreated) {
+    await Course.updateOne(
+      { _id: course._id },
+      { $inc: { enrollmentCount: 1 } },
+      { session }
+    );
+  } else if (enrollment.hasExpired() || enrollment.status !== 'active' || enrollment.source === 'subscription') {
+    // Re-purchase after expiry or a cancellation, or buying a course first opened through
+    // a plan: the enrollment becomes a purchase and keeps the existing progress
+    enrollment = await Enrollment.findByIdAndUpdate(
+      enrollment._id,
+      {
+        status: 'active',
+        source: 'purchase',
+        payment: payment._id,
+        expiresAt,
+        $unset: { subscription: 1 }
+      },
+      { new: true, session }
+    );
+  }
+
+  return { course, enrollment, enrollmentCreated };
+};
+
+// Gift orders create a redeemable gift instead of enrolling the purchaser
+const grantCourseEnrollment = async (payment, session) => {
+  if (payment.gift?.recipientEmail) {
+    const course = await Course.findOne({ c_id: payment.course }).session(session);
+    const gift = await createGift(payment, session);
+    return { course, gift };
+  }
+
+  return await enrollInCourse(payment.user, payment.course, payment, session);
+};
+
+// Extend an existing enrollment by the course access duration, keeping its progress.
+// Access that is still running is extended from its current end, lapsed access from now.
+const grantRenewal = async (payment, session) => {
+  const course = await Course.findOne({ c_id: payment.course }).session(session);
+  if (!course) {
+    const error = new Error('Course not found.');
+    error.status = 404;
+    throw error;
+  }
+
+  const existing = await Enrollment.findOne({
+    user: payment.user,
+    course: payment.course
+  }).session(session);
+
+  if (!existing) {
+    return await enrollInCourse(payment.user, payment.course, payment, session);
+  }
+
+  const now = new Date();
+  const previousExpiresAt = existing.expiresAt;
+  const base = previousExpiresAt > now ? previousExpiresAt : now;
+  const expiresAt = calculateExpiryDate(course.accessDuration, base);
+
+  const enrollment = await Enrollment.findByIdAndUpdate(
+    existing._id,
+    {
+      status: 'active',
+      expiresAt,
+      expiryRemindersSent: [],
+      $push: {
+        renewals: {
+          payment: payment._id,
+          previousExpiresAt,
+          expiresAt,
+          renewedAt: now
+        }
+      }
+    },
+    { new: true, session }
+  );
+
+  return { course, enrollment, enrollmentCreated: false };
+};
+
+const grantCartEnrollments = async (payment, session) => {
+  const enrollments = [];
+  for (const item of payment.items) {
+    enrollments.push(await enrollInCourse(payment.user, item.course, payment, session));
+  }
+
+  // Purchased courses leave the cart
+  await Cart.updateOne(
+    { user: payment.user },
+    { $pull: { items: { course: { $in: payment.items.map(item => item.course) } } } },
+    { session }
+  );
+
+  return { enrollments };
+};
+
+// Enroll in every course of a bundle, skipping courses the buyer owns by now
+const grantBundleEnrollments = async (payment, session) => {
+  const owned = await Enrollment.find({
+    user: payment.user,
+    course: { $in: payment.items.map(item => item.course) },
+    source: { $ne: 'subscription' },
+    status: 'active',
+    expiresAt: { $gt: new Date() }
+  }).session(session).select('course');
+  const ownedCourseIds = owned.map(enrollment => enrollment.course);
+
+  const enrollments = [];
+  for (const item of payment.items) {
+    if (ownedCourseIds.includes(item.course)) continue;
+    enrollments.push(await enrollInCourse(payment.user, item.course, payment, session));
+  }
+
+  await Cart.updateOne(
+    { user: payment.user },
+    { $pull: { items: { course: { $in: payment.items.map(item => item.course) } } } },
+    { session }
+  );
+
+  return { enrollments, skippedCourses: ownedCourseIds };
+};
+
+const grantHandlers = {
+  registration: grantRegistrationFee,
+  course: grantCourseEnrollment,
+  cart: grantCartEnrollments,
+  renewal: grantRenewal,
+  bundle: grantBundleEnrollments
+};
+
+// Transition the payment to completed and grant what it paid for
+const runFulfillment = async (paymentId, gatewayData, session) => {
+  // Compare-and-set: only one caller can move the payment out of a fulfillable status
+  const previous = await Payment.findOneAndUpdate(
+    { _id: paymentId, status: { $in: FULFILLABLE_STATUSES } },
+    { $set: buildGatewayUpdate(gatewayData) },
+    { new: false, session }
+  );
+
+  if (!previous) {
+    const current = await Payment.findById(paymentId).session(session);
+    if (!current) {
+      const error = new Error('Payment record not found.');
+      error.status = 404;
+      throw error;
+    }
+
+    return {
+      outcome: current.status === 'completed'
+        ? FULFILLMENT_OUTCOMES.ALREADY_FULFILLED
+        : FULFILLMENT_OUTCOMES.NOT_FULFILLABLE,
+      payment: current
+    };
+  }
+
+  const payment = await Payment.findById(paymentId).session(session);
+
+  try {
+    const grant = grantHandlers[payment.paymentType];
+    if (!grant) {
+      throw new Error(`No fulfillment defined for payment type "${payment.paymentType}"`);
+    }
+
+    const granted = await grant(payment, session);
+    await redeemCoupon(payment, session);
+
+    return {
+      outcome: FULFILLMENT_OUTCOMES.FULFILLED,
+      payment,
+      ...granted
+    };
+  } catch (error) {
+    // Without a transaction, put the payment back so fulfillment can be retried
+    if (!session) {
+      await Payment.updateOne(
+        { _id: paymentId, status: 'completed' },
+        { status: previous.status }
+      );
+    }
+    throw error;
+  }
+};
+
+/**
+ * Complete a payment and grant its registration fee, enrollments or gift.
+ *
+ * Safe to call any number of times, concurrently, from verify-payment, webhooks,
+ * admin tools or reconciliation jobs: only the caller that moves the payment out
+ * of a fulfillable status grants anything. Runs inside a transaction when the
+ * deployment supports one. Paid payments get their GST invoice once fulfilled.
+ *
+ * @param {Object|string} paymentOrId - Payment document or its _id
+ * @param {Object} [gatewayData] - paymentId, orderId, signature, method, webhookData
+ * @returns {Promise<Object>} { outcome, payment, course?, enrollment?, enrollmentCreated?, enrollments?, skippedCourses?, gift? }
+ */
+const fulfillPayment = async (paymentOrId, gatewayData = {}) => {
+  const paymentId = paymentOrId?._id || paymentOrId;
+  let result;
+
+  if (supportsTransactions()) {
+    const session = await mongoose.startSession();
+    try {
+      await session.withTransaction(async () => {
+        result = await runFulfillment(paymentId, gatewayData, session);
+      });
+    } finally {
+      await session.endSession();
+    }
+  } else {
+    result = await runFulfillment(paymentId, gatewayData, null);
+  }
+
+  if (result.outcome === FULFILLMENT_OUTCOMES.FULFILLED && result.payment.amount > 0) {
+    try {
+      await issueInvoice(result.payment);
+    } catch (error) {
+      // Access is already granted; the invoice is issued on first download instead
+      console.error('Issue invoice error:', error);
+    }
+  }
+
+  if (result.outcome === FULFILLMENT_OUTCOMES.FULFILLED && result.gift) {
+    try {
+      await sendGiftEmail(result.gift);
+    } catch (error) {
+      // The purchaser can still see and share the code from their gifts list
+      console.error('Send gift email error:', error);
+    }
+  }
+
+  return result;
+};
+
+/**
+ * Enroll a user in a free course with a zero-amount payment, so the enrollment has a
+ * payment reference and shows up in admin reports like any other. The enrollment
+ * upsert runs first and the payment is only saved when this call granted access,
+ * so concurrent requests leave one enrollment and one payment.
+ *
+ * @param {string} userId - User author_id
+ * @param {Object} course - Course document
+ * @param {Object} [metadata] - userAgent and ipAddress of the request
+ * @returns {Promise<Object>} { enrollment, enrolled } where enrolled is false when another request enrolled first
+ */
+const enrollInFreeCourse = async (userId, course, metadata) => {
+  const payment = new Payment({
+    user: userId,
+    course: course.c_id,
+    amount: 0,
+    currency: course.currency || 'INR',
+    status: 'completed',
+    paymentType: 'course',
+    paymentMethod: 'free',
+    paymentGateway: {
+      provider: 'free',
+      receipt: `free_${Date.now()}_${userId.slice(0, 8)}`
+    },
+    metadata
+  });
+
+  const { enrollment } = await enrollInCourse(userId, course.c_id, payment, null);
+  const enrolled = Boolean(enrollment.payment?.equals(payment._id));
+
+  if (enrolled) {
+    await payment.save();
+  }
+
+  return { enrollment, enrolled };
+};
+
+/**
+ * Renew lapsed access to a free course with a zero-amount renewal payment. The
+ * enrollment is extended with a compare-and-set on the expiry that was checked, and
+ * the payment is only saved when this call won, so concurrent requests renew once.
+ *
+ * @param {string} userId - User author_id
+ * @param {Object} course - Course document
+ * @param {Object} expiredEnrollment - Lapsed Enrollment document
+ * @param {Object} [metadata] - userAgent and ipAddress of the request
+ * @returns {Promise<Object>} { enrollment, renewed } where renewed is false when another request renewed first
+ */
+const renewFreeEnrollment = async (userId, course, expiredEnrollment, metadata) => {
+  const payment = new Payment({
+    user: userId,
+    course: course.c_id,
+    amount: 0,
+    currency: course.currency || 'INR',
+    status: 'completed',
+    paymentType: 'renewal',
+    paymentMethod: 'free',
+    paymentGateway: {
+      provider: 'free',
+      receipt: `free_${Date.now()}_${userId.slice(0, 8)}`
+    },
+    metadata
+  });
+
+  const now = new Date();
+  const previousExpiresAt = expiredEnrollment.expiresAt;
+  const base = previousExpiresAt > now ? previousExpiresAt : now;
+  const expiresAt = calculateExpiryDate(course.accessDuration, base);
+
+  const enrollment = await Enrollment.findOneAndUpdate(
+    {
+      _id: expiredEnrollment._id,
+      status: expiredEnrollment.status,
+      expiresAt: previousExpiresAt
+    },
+    {
+      status: 'active',
+      expiresAt,
+      expiryRemindersSent: [],
+      $push: {
+        renewals: {
+          payment: payment._id,
+          previousExpiresAt,
+          expiresAt,
+          renewedAt: now
+        }
+      }
+    },
+    { new: true }
+  );
+
+  if (!enrollment) {
+    return { enrollment: await Enrollment.findById(expiredEnrollment._id), renewed: false };
+  }
+
+  await payment.save();
+  return { enrollment, renewed: true };
+};
+
+/**
+ * Redeem a gift code and enroll the signed-in user in the gifted course.
+ * The enrollment references the purchaser's payment.
+ *
+ * @param {Object} user - User document of the recipient
+ * @param {string} code - Gift code
+ * @returns {Promise<Object>} { gift, course, enrollment }
+ */
+const redeemGift = async (user, code) => {
+  const gift = await Gift.findOne({ code: String(code).trim().toUpperCase() });
+  if (!gift) {
+    throw createError('Gift code not found.', 404);
+  }
+
+  if (gift.status === 'redeemed') {
+    throw createError('This gift has already been redeemed.', 400);
+  }
+
+  if (!gift.isRedeemable()) {
+    throw createError(gift.status === 'cancelled' ? 'This gift is no longer valid.' : 'This gift code has expired.', 400);
+  }
+
+  if (gift.purchaser === user.author_id) {
+    throw createError('You cannot redeem a gift you bought. Share the code with the recipient instead.', 400);
+  }
+
+  const existing = await Enrollment.findOne({
+    user: user.author_id,
+    course: gift.course,
+    source: { $ne: 'subscription' },
+    status: 'active',
+    expiresAt: { $gt: new Date() }
+  });
+  if (existing) {
+    throw createError('You already have access to this course.', 400);
+  }
+
+  // Compare-and-set: only one account can claim the code
+  const claimed = await Gift.findOneAndUpdate(
+    { _id: gift._id, status: 'active', expiresAt: { $gt: new Date() } },
+    { status: 'redeemed', redeemedBy: user.author_id, redeemedAt: new Date() },
+    { new: true }
+  );
+  if (!claimed) {
+    throw createError('This gift has already been redeemed.', 400);
+  }
+
+  try {
+    const payment = await Payment.findById(gift.payment);
+    const { course, enrollment } = await enrollInCourse(user.author_id, gift.course, payment, null);
+
+    try {
+      await sendRedeemedEmail(claimed);
+    } catch (error) {
+      console.error('Send gift redeemed email error:', error);
+    }
+
+    return { gift: claimed, course, enrollment };
+  } catch (error) {
+    // Put the gift back so it can be redeemed again
+    await Gift.updateOne(
+      { _id: gift._id, status: 'redeemed', redeemedBy: user.author_id },
+      { status: 'active', $unset: { redeemedBy: 1, redeemedAt: 1 } }
+    );
+    throw error;
+  }
+};
+
+module.exports = {
+  FULFILLMENT_OUTCOMES,
+  buildGatewayUpdate,
+  calculateExpiryDate,
+  fulfillPayment,
+  enrollInFreeCourse,
+  renewFreeEnrollment,
+  redeemGift
+};
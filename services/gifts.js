@@ -0,0 +1,118 @@
+const Gift = require('../models/Gift');
+const Course = require('../models/Course');
+const User = require('../models/User');
+const Enrollment = require('../models/Enrollment');
+const { sendMail } = require('./mailer');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const getGiftExpiryDays = () => parseInt(process.env.GIFT_EXPIRY_DAYS || 365);
+
+const getFrontendUrl = () => process.env.FRONTEND_URL || 'http://localhost:3000';
+
+/**
+ * Create the redeemable gift for a paid gift order.
+ *
+ * @param {Object} payment - Course Payment document with gift details
+ * @param {Object} [session] - Mongoose session when fulfilling inside a transaction
+ * @returns {Promise<Object>} Gift document
+ */
+const createGift = async (payment, session) => {
+  const [gift] = await Gift.create([{
+    code: Gift.generateCode(),
+    purchaser: payment.user,
+    course: payment.course,
+    payment: payment._id,
+    recipientEmail: payment.gift.recipientEmail,
+    recipientName: payment.gift.recipientName,
+    message: payment.gift.message,
+    expiresAt: new Date(Date.now() + getGiftExpiryDays() * DAY_MS)
+  }], { session });
+
+  return gift;
+};
+
+// Email the gift code to its recipient
+const sendGiftEmail = async (gift) => {
+  const [purchaser, course] = await Promise.all([
+    User.findOne({ author_id: gift.purchaser }).select('firstName lastName'),
+    Course.findOne({ c_id: gift.course }).select('title')
+  ]);
+  const senderName = purchaser ? `${purchaser.firstName} ${purchaser.lastName}` : 'Someone';
+
+  await sendMail({
+    to: gift.recipientEmail,
+    subject: `${senderName} sent you a course: ${course?.title || 'a course'}`,
+    text: [
+      `Hi${gift.recipientName ? ` ${gift.recipientName}` : ''},`,
+      '',
+      `${senderName} has gifted you access to "${course?.title}".`,
+      ...(gift.message ? ['', `"${gift.message}"`] : []),
+      '',
+      `Your gift code: ${gift.code}`,
+      'Sign in or create an account, then redeem it here:',
+      `${getFrontendUrl()}/redeem-gift?code=${encodeURIComponent(gift.code)}`,
+      '',
+      `The code can be redeemed until ${gift.expiresAt.toDateString()}.`
+    ].join('\n')
+  });
+
+  await Gift.updateOne({ _id: gift._id }, { emailSentAt: new Date() });
+};
+
+// Let the purchaser know their gift was claimed
+const sendRedeemedEmail = async (gift) => {
+  const [purchaser, course] = await Promise.all([
+    User.findOne({ author_id: gift.purchaser, isActive: true }).select('firstName email'),
+    Course.findOne({ c_id: gift.course }).select('title')
+  ]);
+  if (!purchaser) return;
+
+  await sendMail({
+    to: purchaser.email,
+    subject: `Your gift of ${course?.title || 'a course'} was redeemed`,
+    text: [
+      `Hi ${purchaser.firstName},`,
+      '',
+      `${gift.recipientEmail} has redeemed the gift of "${course?.title}" you sent.`
+    ].join('\n')
+  });
+};
+
+/**
+ * Undo a gift after its payment is fully refunded: an unredeemed gift is cancelled,
+ * a redeemed one loses the recipient's enrollment.
+ *
+ * @param {Object} payment - Refunded gift Payment document
+ */
+const revokeGift = async (payment) => {
+  const gift = await Gift.findOne({ payment: payment._id });
+  if (!gift) return;
+
+  if (gift.status === 'active') {
+    await Gift.updateOne({ _id: gift._id, status: 'active' }, { status: 'cancelled' });
+    return;
+  }
+
+  if (gift.status === 'redeemed') {
+    const result = await Enrollment.updateOne(
+      { user: gift.redeemedBy, course: gift.course, payment: payment._id, status: 'active' },
+      { status: 'cancelled' }
+    );
+
+    if (result.modifiedCount > 0) {
+      await Course.updateOne(
+        { c_id: gift.course, enrollmentCount: { $gt: 0 } },
+        { $inc: { enrollmentCount: -1 } }
+      );
+    }
+  }
+};
+
+module.exports = {
+  getGiftExpiryDays,
+  createGift,
+  sendGiftEmail,
+  sendRedeemedEmail,
+  revokeGift
+};
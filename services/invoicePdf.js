@@ -0,0 +1,159 @@
+const PDFDocument = require('pdfkit');
+
+const PAGE_MARGIN = 50;
+
+// Column x positions and widths of the line item table
+const COLUMNS = [
+  { key: 'index', label: '#', x: 50, width: 20 },
+  { key: 'description', label: 'Description', x: 72, width: 168 },
+  { key: 'sacCode', label: 'SAC', x: 242, width: 48 },
+  { key: 'taxableAmount', label: 'Taxable', x: 292, width: 60, align: 'right' },
+  { key: 'cgst', label: 'CGST', x: 354, width: 50, align: 'right' },
+  { key: 'sgst', label: 'SGST', x: 406, width: 50, align: 'right' },
+  { key: 'igst', label: 'IGST', x: 458, width: 40, align: 'right' },
+  { key: 'total', label: 'Total', x: 500, width: 45, align: 'right' }
+];
+
+// Standard PDF fonts have no rupee sign, so amounts are printed with the currency code
+const formatAmount = (value) => Number(value || 0).toFixed(2);
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-IN', {
+  day: '2-digit',
+  month: 'short',
+  year: 'numeric'
+});
+
+const getTitle = (invoice) => {
+  if (invoice.documentType === 'credit_note') return 'CREDIT NOTE';
+  return invoice.supplyType === 'export' ? 'TAX INVOICE (EXPORT OF SERVICES)' : 'TAX INVOICE';
+};
+
+const renderTableRow = (doc, values, y, font = 'Helvetica') => {
+  doc.font(font).fontSize(8);
+  const heights = COLUMNS.map(column => {
+    const text = String(values[column.key] ?? '');
+    doc.text(text, column.x, y, { width: column.width, align: column.align || 'left' });
+    return doc.heightOfString(text, { width: column.width });
+  });
+  return y + Math.max(...heights) + 6;
+};
+
+// Draw one invoice or credit note starting at the top of the current page
+const renderDocument = (doc, invoice) => {
+  const { seller, buyer } = invoice;
+
+  doc.font('Helvetica-Bold').fontSize(16).text(getTitle(invoice), PAGE_MARGIN, PAGE_MARGIN);
+  doc.moveDown(0.5);
+
+  // Seller on the left, document details on the right
+  const top = doc.y;
+  doc.font('Helvetica-Bold').fontSize(10).text(seller.legalName, PAGE_MARGIN, top, { width: 260 });
+  doc.font('Helvetica').fontSize(9);
+  if (seller.address) doc.text(seller.address, { width: 260 });
+  if (seller.gstin) doc.text(`GSTIN: ${seller.gstin}`, { width: 260 });
+  const sellerBottom = doc.y;
+
+  doc.fontSize(9)
+    .text(`${invoice.documentType === 'credit_note' ? 'Credit note' : 'Invoice'} no: ${invoice.number}`, 330, top, { width: 215, align: 'right' })
+    .text(`Date: ${formatDate(invoice.issuedAt)}`, { width: 215, align: 'right' })
+    .text(`Place of supply: ${invoice.placeOfSupply.stateCode}-${invoice.placeOfSupply.stateName || ''}`, { width: 215, align: 'right' });
+  if (invoice.originalInvoice?.number) {
+    doc.text(`Against invoice: ${invoice.originalInvoice.number}`, { width: 215, align: 'right' });
+  }
+
+  doc.y = Math.max(sellerBottom, doc.y) + 15;
+
+  // Buyer
+  doc.font('Helvetica-Bold').fontSize(10).text('Bill to', PAGE_MARGIN, doc.y);
+  doc.font('Helvetica').fontSize(9).text(buyer.legalName || buyer.name, { width: 300 });
+  if (buyer.address) doc.text(buyer.address, { width: 300 });
+  doc.text(buyer.email, { width: 300 });
+  if (buyer.gstin) doc.text(`GSTIN: ${buyer.gstin}`, { width: 300 });
+  doc.moveDown(1);
+
+  // Line items
+  let y = renderTableRow(doc, Object.fromEntries(COLUMNS.map(column => [column.key, column.label])), doc.y, 'Helvetica-Bold');
+  doc.moveTo(PAGE_MARGIN, y - 3).lineTo(545, y - 3).stroke();
+
+  invoice.lineItems.forEach((line, index) => {
+    // Leave room for the totals below the last row
+    if (y > doc.page.height - 200) {
+      doc.addPage();
+      y = PAGE_MARGIN;
+    }
+
+    y = renderTableRow(doc, {
+      index: index + 1,
+      description: line.description,
+      sacCode: line.sacCode,
+      taxableAmount: formatAmount(line.taxableAmount),
+      cgst: formatAmount(line.cgst),
+      sgst: formatAmount(line.sgst),
+      igst: formatAmount(line.igst),
+      total: formatAmount(line.total)
+    }, y);
+  });
+
+  doc.moveTo(PAGE_MARGIN, y - 3).lineTo(545, y - 3).stroke();
+
+  // Totals
+  const { totals } = invoice;
+  const halfRate = invoice.taxRate / 2;
+  const totalRows = [
+    ['Taxable value', totals.taxableAmount],
+    ...(invoice.supplyType === 'intra_state'
+      ? [[`CGST @ ${halfRate}%`, totals.cgst], [`SGST @ ${halfRate}%`, totals.sgst]]
+      : []),
+    ...(invoice.supplyType === 'inter_state' ? [[`IGST @ ${invoice.taxRate}%`, totals.igst]] : []),
+    [`Total (${invoice.currency})`, totals.total]
+  ];
+
+  y += 6;
+  totalRows.forEach(([label, value], index) => {
+    const font = index === totalRows.length - 1 ? 'Helvetica-Bold' : 'Helvetica';
+    doc.font(font).fontSize(9)
+      .text(label, 330, y, { width: 140, align: 'right' })
+      .text(formatAmount(value), 475, y, { width: 70, align: 'right' });
+    y += 14;
+  });
+
+  doc.font('Helvetica').fontSize(8).text('', PAGE_MARGIN, y + 20);
+  if (invoice.supplyType === 'export') {
+    doc.text('Supply meant for export under LUT without payment of integrated tax.', { width: 495 });
+  }
+  if (invoice.documentType === 'credit_note') {
+    doc.text('Issued for a refund. Tax shown is reversed against the original invoice.', { width: 495 });
+  }
+  doc.text('This is a computer generated document and does not require a signature.', { width: 495 });
+};
+
+/**
+ * Render invoices and credit notes into one PDF, one document per page.
+ * Credit notes should have originalInvoice populated with its number.
+ *
+ * @param {Array<Object>} invoices - Invoice documents
+ * @returns {PDFDocument} Readable stream, already ended; pipe it to the response
+ */
+const createInvoicePdf = (invoices) => {
+  const doc = new PDFDocument({ size: 'A4', margin: PAGE_MARGIN });
+
+  invoices.forEach((invoice, index) => {
+    if (index > 0) doc.addPage();
+    renderDocument(doc, invoice);
+  });
+
+  doc.end();
+  return doc;
+};
+
+// Stream invoices to the response as a PDF download
+const sendInvoicePdf = (res, invoices, fileName) => {
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+  createInvoicePdf(invoices).pipe(res);
+};
+
+module.exports = {
+  createInvoicePdf,
+  sendInvoicePdf
+};
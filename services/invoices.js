@@ -0,0 +1,308 @@
+const Invoice = require('../models/Invoice');
+const InvoiceCounter = require('../models/InvoiceCounter');
+const Course = require('../models/Course');
+const User = require('../models/User');
+const Subscription = require('../models/Subscription');
+const Bundle = require('../models/Bundle');
+const gst = require('../config/gst');
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const createError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+// Indian financial year (April to March) of a date, e.g. 2025-26
+const getFinancialYear = (date = new Date()) => {
+  const startYear = date.getMonth() >= 3 ? date.getFullYear() : date.getFullYear() - 1;
+  return `${startYear}-${String((startYear + 1) % 100).padStart(2, '0')}`;
+};
+
+// Atomically take the next number in a series. GST invoice numbers may be at most
+// 16 characters, so the year is shortened: INV/25-26/00001
+const nextDocumentNumber = async (series, issuedAt) => {
+  const financialYear = getFinancialYear(issuedAt);
+  const counter = await InvoiceCounter.findOneAndUpdate(
+    { series, financialYear },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true }
+  );
+
+  const prefix = series === 'credit_note' ? gst.creditNotePrefix : gst.invoicePrefix;
+  return {
+    financialYear,
+    sequence: counter.seq,
+    number: `${prefix}/${financialYear.slice(2)}/${String(counter.seq).padStart(5, '0')}`
+  };
+};
+
+/**
+ * Split an amount into taxable value and CGST/SGST or IGST.
+ * Exports (non-INR payments) are zero-rated.
+ *
+ * @param {number} amount - Amount charged; prices are GST-inclusive
+ * @param {string} supplyType - intra_state, inter_state or export
+ * @param {number} rate - GST rate in percent
+ * @returns {Object} { taxableAmount, cgst, sgst, igst, total }
+ */
+const calculateTax = (amount, supplyType, rate) => {
+  if (supplyType === 'export' || rate === 0) {
+    return { taxableAmount: round2(amount), cgst: 0, sgst: 0, igst: 0, total: round2(amount) };
+  }
+
+  const total = round2(amount);
+  const taxableAmount = round2(total / (1 + rate / 100));
+  const tax = round2(total - taxableAmount);
+
+  if (supplyType === 'inter_state') {
+    return { taxableAmount, cgst: 0, sgst: 0, igst: tax, total };
+  }
+
+  // CGST and SGST must be equal; any rounding paisa goes to the taxable value
+  const cgst = round2(tax / 2);
+  return { taxableAmount: round2(total - cgst * 2), cgst, sgst: cgst, igst: 0, total };
+};
+
+const sumTaxLines = (lines) => {
+  const totals = lines.reduce((sum, line) => ({
+    taxableAmount: sum.taxableAmount + line.taxableAmount,
+    cgst: sum.cgst + line.cgst,
+    sgst: sum.sgst + line.sgst,
+    igst: sum.igst + line.igst,
+    total: sum.total + line.total
+  }), { taxableAmount: 0, cgst: 0, sgst: 0, igst: 0, total: 0 });
+
+  Object.keys(totals).forEach(key => {
+    totals[key] = round2(totals[key]);
+  });
+  totals.totalTax = round2(totals.cgst + totals.sgst + totals.igst);
+  return totals;
+};
+
+// Buyer details from the user's billing profile
+const buildBuyer = (user) => {
+  const billing = user.billing || {};
+  const gstin = billing.gstin || undefined;
+
+  return {
+    name: `${user.firstName} ${user.lastName}`,
+    email: user.email,
+    legalName: billing.legalName,
+    address: billing.address,
+    gstin,
+    stateCode: gstin ? gstin.slice(0, 2) : billing.stateCode
+  };
+};
+
+// Place of supply is the buyer's state when known, otherwise the seller's
+const getSupplyDetails = (payment, buyer) => {
+  // Payments in foreign currency are exports of services, zero-rated under LUT
+  if (payment.currency !== 'INR') {
+    return { supplyType: 'export', taxRate: 0, placeOfSupply: { stateCode: '96', stateName: 'Other Country' } };
+  }
+
+  const stateCode = buyer.stateCode || gst.seller.stateCode;
+  return {
+    supplyType: stateCode === gst.seller.stateCode ? 'intra_state' : 'inter_state',
+    taxRate: gst.rate,
+    placeOfSupply: { stateCode, stateName: gst.STATE_CODES[stateCode] }
+  };
+};
+
+// What the payment paid for, one line per course
+const buildLineDescriptions = async (payment) => {
+  if (payment.paymentType === 'registration') {
+    return [{ description: 'Platform registration fee', amount: payment.amount }];
+  }
+
+  if (payment.paymentType === 'subscription') {
+    const subscription = await Subscription.findById(payment.subscription).populate('plan', 'name interval');
+    const plan = subscription?.plan;
+    return [{
+      description: plan ? `${plan.name} subscription (${plan.interval})` : 'All-access subscription',
+      amount: payment.amount
+    }];
+  }
+
+  if (payment.paymentType === 'bundle') {
+    const bundle = await Bundle.findOne({ b_id: payment.bundle }).select('title');
+    return payment.items.map(item => ({
+      description: `${item.title || item.course}${bundle ? ` (${bundle.title})` : ''}`,
+      course: item.course,
+      amount: item.price
+    }));
+  }
+
+  if (payment.paymentType === 'cart') {
+    return payment.items.map(item => ({
+      description: item.title || item.course,
+      course: item.course,
+      amount: item.price
+    }));
+  }
+
+  const course = await Course.findOne({ c_id: payment.course }).select('title');
+  const title = course?.title || payment.course;
+  let description = title;
+  if (payment.paymentType === 'renewal') description = `Access renewal: ${title}`;
+  if (payment.gift?.recipientEmail) description = `Gift for ${payment.gift.recipientEmail}: ${title}`;
+
+  return [{
+    description: payment.coupon?.code ? `${description} (coupon ${payment.coupon.code})` : description,
+    course: payment.course,
+    amount: payment.amount
+  }];
+};
+
+const findExisting = (paymentId, documentType, refundId) => {
+  const filter = { payment: paymentId, documentType };
+  if (refundId) filter.refundId = refundId;
+  return Invoice.findOne(filter);
+};
+
+// Save a new document; a concurrent caller that already saved one wins
+const saveDocument = async (data) => {
+  try {
+    return await Invoice.create(data);
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+    return await findExisting(data.payment, data.documentType, data.refundId);
+  }
+};
+
+/**
+ * Issue the tax invoice for a paid payment, or return the one already issued.
+ *
+ * @param {Object} payment - Payment document (completed or refunded)
+ * @returns {Promise<Object>} Invoice document
+ */
+const issueInvoice = async (payment) => {
+  const existing = await findExisting(payment._id, 'invoice');
+  if (existing) return existing;
+
+  if (!['completed', 'refunded'].includes(payment.status)) {
+    throw createError('Invoices are only available for completed payments.', 400);
+  }
+
+  if (!(payment.amount > 0)) {
+    throw createError('No invoice is issued for free enrollments.', 400);
+  }
+
+  const user = await User.findOne({ author_id: payment.user });
+  if (!user) {
+    throw createError('User not found.', 404);
+  }
+
+  const buyer = buildBuyer(user);
+  const supply = getSupplyDetails(payment, buyer);
+  const lines = await buildLineDescriptions(payment);
+  const lineItems = lines.map(line => ({
+    description: line.description,
+    course: line.course,
+    sacCode: gst.sacCode,
+    ...calculateTax(line.amount, supply.supplyType, supply.taxRate)
+  }));
+
+  const issuedAt = new Date();
+  const numbering = await nextDocumentNumber('invoice', issuedAt);
+
+  return await saveDocument({
+    ...numbering,
+    documentType: 'invoice',
+    payment: payment._id,
+    user: payment.user,
+    issuedAt,
+    currency: payment.currency,
+    seller: gst.seller,
+    buyer,
+    ...supply,
+    lineItems,
+    totals: sumTaxLines(lineItems)
+  });
+};
+
+/**
+ * Issue a credit note for a processed refund, reversing tax in proportion to
+ * the refunded amount. Issues the original invoice first if it is missing.
+ *
+ * @param {Object} payment - Refunded Payment document
+ * @param {Object} refund - refundId, amount (in rupees)
+ * @returns {Promise<Object>} Credit note (Invoice document with documentType credit_note)
+ */
+const issueCreditNote = async (payment, { refundId, amount }) => {
+  const existing = await findExisting(payment._id, 'credit_note', refundId);
+  if (existing) return existing;
+
+  const invoice = await issueInvoice(payment);
+  const refundAmount = Math.min(amount ?? payment.amount, invoice.totals.total);
+  const isFullRefund = refundAmount >= invoice.totals.total;
+
+  const lineItems = isFullRefund
+    ? invoice.lineItems.map(line => line.toObject())
+    : [{
+      description: `Partial refund against invoice ${invoice.number}`,
+      sacCode: gst.sacCode,
+      ...calculateTax(refundAmount, invoice.supplyType, invoice.taxRate)
+    }];
+
+  const issuedAt = new Date();
+  const numbering = await nextDocumentNumber('credit_note', issuedAt);
+
+  return await saveDocument({
+    ...numbering,
+    documentType: 'credit_note',
+    payment: payment._id,
+    user: payment.user,
+    originalInvoice: invoice._id,
+    refundId,
+    issuedAt,
+    currency: invoice.currency,
+    seller: invoice.seller,
+    buyer: invoice.buyer,
+    placeOfSupply: invoice.placeOfSupply,
+    supplyType: invoice.supplyType,
+    taxRate: invoice.taxRate,
+    lineItems,
+    totals: sumTaxLines(lineItems)
+  });
+};
+
+const CSV_COLUMNS = [
+  ['Number', invoice => invoice.number],
+  ['Type', invoice => invoice.documentType],
+  ['Date', invoice => invoice.issuedAt.toISOString().slice(0, 10)],
+  ['Original invoice', invoice => invoice.originalInvoice?.number],
+  ['Buyer', invoice => invoice.buyer.legalName || invoice.buyer.name],
+  ['Email', invoice => invoice.buyer.email],
+  ['Buyer GSTIN', invoice => invoice.buyer.gstin],
+  ['Place of supply', invoice => invoice.placeOfSupply.stateCode],
+  ['Supply type', invoice => invoice.supplyType],
+  ['Currency', invoice => invoice.currency],
+  ['Taxable value', invoice => invoice.totals.taxableAmount],
+  ['CGST', invoice => invoice.totals.cgst],
+  ['SGST', invoice => invoice.totals.sgst],
+  ['IGST', invoice => invoice.totals.igst],
+  ['Total', invoice => invoice.totals.total]
+];
+
+const escapeCsv = (value) => {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Invoice register for finance, one row per invoice or credit note
+const buildInvoiceRegisterCsv = (invoices) => {
+  const rows = [CSV_COLUMNS.map(([label]) => label)]
+    .concat(invoices.map(invoice => CSV_COLUMNS.map(([, getValue]) => getValue(invoice))));
+  return rows.map(row => row.map(escapeCsv).join(',')).join('\n');
+};
+
+module.exports = {
+  getFinancialYear,
+  buildInvoiceRegisterCsv,
+  calculateTax,
+  issueInvoice,
+  issueCreditNote
+};
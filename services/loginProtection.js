@@ -0,0 +1,208 @@
+const LoginAttempt = require('../models/LoginAttempt');
+const User = require('../models/User');
+const { issueToken, consumeToken } = require('./authTokens');
+const { sendMail } = require('./mailer');
+const { recordSecurityEvent } = require('./securityEvents');
+
+const MINUTE_MS = 60 * 1000;
+const UNLOCK_TOKEN_MS = 24 * 60 * MINUTE_MS;
+// Failures allowed before attempts are spaced out, and the longest wait between attempts
+const FREE_FAILURES = 2;
+const MAX_DELAY_SECONDS = 30;
+const NEVER = new Date(8640000000000000);
+
+const getMaxAccountFailures = () => parseInt(process.env.LOGIN_MAX_ACCOUNT_FAILURES || 10);
+
+const getMaxIpFailures = () => parseInt(process.env.LOGIN_MAX_IP_FAILURES || 50);
+
+const getFailureWindowMinutes = () => parseInt(process.env.LOGIN_FAILURE_WINDOW_MINUTES || 15);
+
+const getLockoutMinutes = () => parseInt(process.env.LOGIN_LOCKOUT_MINUTES || 15);
+
+const getFrontendUrl = () => process.env.FRONTEND_URL || 'http://localhost:3000';
+
+const createError = (message, status, retryAfter) => {
+  const error = new Error(message);
+  error.status = status;
+  error.retryAfter = retryAfter;
+  return error;
+};
+
+const accountKey = (email) => `account:${String(email).toLowerCase()}`;
+
+const ipKey = (ip) => `ip:${ip}`;
+
+const secondsUntil = (date) => Math.max(1, Math.ceil((date.getTime() - Date.now()) / 1000));
+
+// No wait for the first failures, then 1, 2, 4 ... seconds between attempts
+const getDelaySeconds = (failures) => (
+  failures <= FREE_FAILURES ? 0 : Math.min(2 ** (failures - FREE_FAILURES - 1), MAX_DELAY_SECONDS)
+);
+
+// A counter only counts while its window is open and no lockout has run out since
+const isCounting = (attempt) => Boolean(attempt)
+  && attempt.lastFailureAt > new Date(Date.now() - getFailureWindowMinutes() * MINUTE_MS)
+  && !(attempt.lockedUntil && attempt.lockedUntil <= new Date());
+
+/**
+ * Refuse a login attempt while the IP is blocked, the account is locked, or the
+ * account's progressive delay has not passed. Counters are kept per email, so
+ * unknown addresses behave like real ones.
+ *
+ * @param {Object} attempt
+ * @param {string} attempt.email - Normalized email address
+ * @param {string} attempt.ip - Client IP address
+ */
+const checkLoginAllowed = async ({ email, ip }) => {
+  const [account, client] = await Promise.all([
+    LoginAttempt.findOne({ key: accountKey(email) }).lean(),
+    LoginAttempt.findOne({ key: ipKey(ip) }).lean()
+  ]);
+  const now = new Date();
+
+  if (client?.lockedUntil > now) {
+    throw createError('Too many failed logins from your network. Please try again later.', 429, secondsUntil(client.lockedUntil));
+  }
+
+  if (account?.lockedUntil > now) {
+    throw createError(
+      'This account is temporarily locked after too many failed logins. Use the link we emailed you to unlock it, or try again later.',
+      423,
+      secondsUntil(account.lockedUntil)
+    );
+  }
+
+  if (isCounting(account)) {
+    const nextAttemptAt = new Date(account.lastFailureAt.getTime() + getDelaySeconds(account.failures) * 1000);
+    if (nextAttemptAt > now) {
+      const wait = secondsUntil(nextAttemptAt);
+      throw createError(`Please wait ${wait} second${wait === 1 ? '' : 's'} before trying again.`, 429, wait);
+    }
+  }
+};
+
+// Add a failure, starting over when the window has passed or a lockout has run out
+const incrementFailures = (key, scope) => {
+  const now = new Date();
+  const windowStart = new Date(now.getTime() - getFailureWindowMinutes() * MINUTE_MS);
+  const startOver = {
+    $or: [
+      { $lt: [{ $ifNull: ['$lastFailureAt', new Date(0)] }, windowStart] },
+      { $lte: [{ $ifNull: ['$lockedUntil', NEVER] }, now] }
+    ]
+  };
+
+  return LoginAttempt.findOneAndUpdate(
+    { key },
+    [{
+      $set: {
+        scope,
+        failures: { $cond: [startOver, 1, { $add: ['$failures', 1] }] },
+        lockedUntil: { $cond: [startOver, '$$REMOVE', '$lockedUntil'] },
+        lastFailureAt: now,
+        expiresAt: new Date(now.getTime() + (getFailureWindowMinutes() + getLockoutMinutes()) * MINUTE_MS),
+        createdAt: { $ifNull: ['$createdAt', now] }
+      }
+    }],
+    { upsert: true, new: true }
+  ).lean();
+};
+
+// Set lockedUntil once; resolves true only for the request that locked it
+const lock = async (attempt) => {
+  const result = await LoginAttempt.updateOne(
+    { _id: attempt._id, lockedUntil: { $exists: false } },
+    { lockedUntil: new Date(Date.now() + getLockoutMinutes() * MINUTE_MS) }
+  );
+  return result.modifiedCount > 0;
+};
+
+const sendUnlockEmail = async (user) => {
+  const token = await issueToken(user.author_id, 'account_unlock', UNLOCK_TOKEN_MS);
+
+  await sendMail({
+    to: user.email,
+    subject: 'Your account was locked',
+    text: [
+      `Hi ${user.firstName},`,
+      '',
+      `After several failed login attempts, logins to your account are paused for ${getLockoutMinutes()} minutes.`,
+      'If this was you, unlock your account now:',
+      `${getFrontendUrl()}/unlock-account?token=${token}`,
+      '',
+      'If it was not you, someone may be guessing your password. Consider resetting it.'
+    ].join('\n')
+  });
+};
+
+/**
+ * Count a failed login against the account and the IP, locking either once it
+ * reaches its limit. The account owner gets an unlock link by email.
+ *
+ * @param {Object} attempt
+ * @param {string} attempt.email - Normalized email address that was tried
+ * @param {string} attempt.ip - Client IP address
+ * @param {string} [attempt.userAgent] - User-Agent header
+ */
+const recordLoginFailure = async ({ email, ip, userAgent }) => {
+  const [account, client] = await Promise.all([
+    incrementFailures(accountKey(email), 'account'),
+    incrementFailures(ipKey(ip), 'ip')
+  ]);
+
+  if (account.failures >= getMaxAccountFailures() && await lock(account)) {
+    const user = await User.findOne({ email, isActive: true }).select('author_id firstName email');
+
+    await recordSecurityEvent('account_locked', {
+      user: user?.author_id,
+      ip,
+      userAgent,
+      details: { email, failures: account.failures }
+    });
+
+    if (user) {
+      sendUnlockEmail(user).catch(error => console.error('Unlock email error:', error));
+    }
+  }
+
+  if (client.failures >= getMaxIpFailures() && await lock(client)) {
+    await recordSecurityEvent('ip_blocked', {
+      ip,
+      userAgent,
+      details: { failures: client.failures }
+    });
+  }
+};
+
+// A successful login clears the account's counter; the IP counter keeps running
+const clearLoginFailures = async (email) => {
+  await LoginAttempt.deleteOne({ key: accountKey(email) });
+};
+
+/**
+ * Lift a lockout with the token from the unlock email.
+ *
+ * @param {string} token - Raw token from the unlock link
+ * @returns {Promise<Object>} Unlocked user
+ */
+const unlockAccount = async (token) => {
+  const authToken = await consumeToken(token, 'account_unlock');
+  if (!authToken) {
+    throw createError('This unlock link is invalid or has expired.', 400);
+  }
+
+  const user = await User.findOne({ author_id: authToken.user, isActive: true });
+  if (!user) {
+    throw createError('This unlock link is invalid or has expired.', 400);
+  }
+
+  await clearLoginFailures(user.email);
+  return user;
+};
+
+module.exports = {
+  checkLoginAllowed,
+  recordLoginFailure,
+  clearLoginFailures,
+  unlockAccount
+};
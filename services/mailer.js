@@ -0,0 +1,131 @@
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+const getMailFrom = () => process.env.MAIL_FROM || 'Learning Platform <no-reply@learningplatform.com>';
+
+// Prints messages to the server log
+const consoleTransport = {
+  send: async (message) => {
+    console.log('📧 Email');
+    console.log(`   To: ${message.to}`);
+    console.log(`   Subject: ${message.subject}`);
+    console.log(`   ${String(message.text).split('\n').join('\n   ')}`);
+  }
+};
+
+// Writes each message to its own .eml file so links can be opened during local development
+const fileTransport = {
+  send: async (message) => {
+    const directory = process.env.MAIL_FILE_DIR || path.join(os.tmpdir(), 'learning-platform-mail');
+    await fs.mkdir(directory, { recursive: true });
+
+    const fileName = `${message.date.toISOString().replace(/[:.]/g, '-')}-${crypto.randomBytes(4).toString('hex')}.eml`;
+    const filePath = path.join(directory, fileName);
+
+    await fs.writeFile(filePath, [
+      `From: ${message.from}`,
+      `To: ${message.to}`,
+      `Subject: ${message.subject}`,
+      `Date: ${message.date.toUTCString()}`,
+      'Content-Type: text/plain; charset=utf-8',
+      '',
+      String(message.text)
+    ].join('\n'));
+
+    console.log(`📧 Email to ${message.to} written to ${filePath}`);
+  }
+};
+
+// Sends through the Postmark email API with the server token in POSTMARK_SERVER_TOKEN
+const postmarkTransport = {
+  assertConfigured: () => {
+    if (!process.env.POSTMARK_SERVER_TOKEN) {
+      throw new Error('POSTMARK_SERVER_TOKEN must be set when MAIL_TRANSPORT=postmark');
+    }
+  },
+  send: async (message) => {
+    const response = await fetch('https://api.postmarkapp.com/email', {
+      method: 'POST',
+      headers: {
+        Accept: 'application/json',
+        'Content-Type': 'application/json',
+        'X-Postmark-Server-Token': process.env.POSTMARK_SERVER_TOKEN
+      },
+      body: JSON.stringify({
+        From: message.from,
+        To: message.to,
+        Subject: message.subject,
+        TextBody: String(message.text),
+        MessageStream: process.env.POSTMARK_MESSAGE_STREAM || 'outbound'
+      })
+    });
+
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      throw new Error(`Postmark request failed: ${data.Message || response.status}`);
+    }
+  }
+};
+
+const transports = {
+  console: consoleTransport,
+  file: fileTransport,
+  postmark: postmarkTransport
+};
+
+/**
+ * Add a transport that MAIL_TRANSPORT can select, e.g. an SMTP or email API client.
+ *
+ * @param {string} name - Value of MAIL_TRANSPORT that selects it
+ * @param {Object} transport - Object with an async send({ from, to, subject, text, date }) method
+ *   and an optional assertConfigured() that throws when its settings are missing
+ */
+const registerTransport = (name, transport) => {
+  transports[name] = transport;
+};
+
+/**
+ * Refuse to run in production without an explicit MAIL_TRANSPORT, so a forgotten
+ * variable cannot fall back to printing reset, unlock and email-change links to the log,
+ * and refuse a transport name or transport settings that would fail on the first email.
+ */
+const assertMailTransportConfigured = () => {
+  if (process.env.NODE_ENV === 'production' && !process.env.MAIL_TRANSPORT) {
+    throw new Error('MAIL_TRANSPORT must be set when NODE_ENV=production');
+  }
+
+  const name = process.env.MAIL_TRANSPORT || 'console';
+  const transport = transports[name];
+  if (!transport) {
+    throw new Error(`Unknown mail transport "${name}". Available: ${Object.keys(transports).join(', ')}`);
+  }
+
+  if (transport.assertConfigured) {
+    transport.assertConfigured();
+  }
+};
+
+const getTransport = () => {
+  assertMailTransportConfigured();
+  return transports[process.env.MAIL_TRANSPORT || 'console'];
+};
+
+// Outgoing email, delivered by the transport selected with MAIL_TRANSPORT (console by default outside production)
+const sendMail = async ({ to, subject, text }) => {
+  await getTransport().send({
+    from: getMailFrom(),
+    to,
+    subject,
+    text,
+    date: new Date()
+  });
+  return { accepted: [to] };
+};
+
+module.exports = {
+  sendMail,
+  registerTransport,
+  assertMailTransportConfigured
+};
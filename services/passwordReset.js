@@ -0,0 +1,144 @@
+const User = require('../models/User');
+const AuthToken = require('../models/AuthToken');
+const { issueToken, consumeToken } = require('./authTokens');
+const { sendMail } = require('./mailer');
+const { revokeAllSessions } = require('./sessions');
+const { revokeAllApiKeys } = require('./apiKeys');
+const { clearLoginFailures } = require('./loginProtection');
+
+const MINUTE_MS = 60 * 1000;
+
+const getResetTokenMinutes = () => parseInt(process.env.PASSWORD_RESET_TOKEN_MINUTES || 60);
+
+const getFrontendUrl = () => process.env.FRONTEND_URL || 'http://localhost:3000';
+
+const createError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+// Let the owner know, in case someone else changed it
+const sendPasswordChangedEmail = (user, detail) => {
+  sendMail({
+    to: user.email,
+    subject: 'Your password was changed',
+    text: [
+      `Hi ${user.firstName},`,
+      '',
+      detail,
+      'If this was not you, reset your password right away and contact support.'
+    ].join('\n')
+  }).catch(error => console.error('Password changed email error:', error));
+};
+
+// Look up the account, issue a token and email the link
+const sendPasswordReset = async (email, requestIp) => {
+  const user = await User.findOne({ email, isActive: true }).select('author_id firstName email');
+  if (!user) return;
+
+  const minutes = getResetTokenMinutes();
+  const token = await issueToken(user.author_id, 'password_reset', minutes * MINUTE_MS, { requestIp });
+
+  await sendMail({
+    to: user.email,
+    subject: 'Reset your password',
+    text: [
+      `Hi ${user.firstName},`,
+      '',
+      'We received a request to reset your password. Choose a new one here:',
+      `${getFrontendUrl()}/reset-password?token=${token}`,
+      '',
+      `The link works once and expires in ${minutes} minutes.`,
+      'If you did not ask for this, you can ignore this email; your password stays the same.'
+    ].join('\n')
+  });
+};
+
+/**
+ * Email a reset link if the address belongs to an active account. The lookup, token
+ * and email all happen after the caller has responded, so neither the response nor
+ * its timing tells accounts apart.
+ *
+ * @param {string} email - Normalized email address
+ * @param {Object} [options]
+ * @param {string} [options.requestIp] - IP address that asked for the reset
+ */
+const requestPasswordReset = async (email, { requestIp } = {}) => {
+  setImmediate(() => {
+    sendPasswordReset(email, requestIp).catch(error => console.error('Password reset email error:', error));
+  });
+};
+
+/**
+ * Set a new password with a reset token and sign the user out everywhere.
+ *
+ * @param {string} token - Raw token from the reset link
+ * @param {string} password - New password, already validated
+ * @returns {Promise<Object>} Updated user
+ */
+const resetPassword = async (token, password) => {
+  const authToken = await consumeToken(token, 'password_reset');
+  if (!authToken) {
+    throw createError('This reset link is invalid or has expired. Please request a new one.', 400);
+  }
+
+  const user = await User.findOne({ author_id: authToken.user, isActive: true });
+  if (!user) {
+    throw createError('This reset link is invalid or has expired. Please request a new one.', 400);
+  }
+
+  user.password = password;
+  await user.save();
+
+  // Every existing session and API key ends; the user signs in again with the new password
+  await revokeAllSessions(user.author_id);
+  await revokeAllApiKeys(user.author_id);
+  // A lockout caused by guessing the old password no longer applies
+  await clearLoginFailures(user.email);
+
+  await AuthToken.deleteMany({ user: user.author_id, purpose: 'password_reset', usedAt: { $exists: false } });
+
+  sendPasswordChangedEmail(user, 'The password for your account was just reset, all devices were signed out and your API keys were revoked.');
+
+  return user;
+};
+
+/**
+ * Change the password of a signed-in user. Every session and API key is revoked;
+ * the caller starts a new session for the current device.
+ *
+ * @param {string} userId - User author_id
+ * @param {string} currentPassword - Password the user entered to confirm the change
+ * @param {string} newPassword - New password, already validated
+ * @returns {Promise<Object>} Updated user
+ */
+const changePassword = async (userId, currentPassword, newPassword) => {
+  const user = await User.findOne({ author_id: userId, isActive: true });
+  if (!user) {
+    throw createError('User not found', 404);
+  }
+
+  if (!(await user.comparePassword(currentPassword))) {
+    throw createError('Current password is incorrect', 400);
+  }
+
+  if (await user.comparePassword(newPassword)) {
+    throw createError('New password must be different from the current password', 400);
+  }
+
+  user.password = newPassword;
+  await user.save();
+  await revokeAllSessions(user.author_id);
+  await revokeAllApiKeys(user.author_id);
+
+  sendPasswordChangedEmail(user, 'The password for your account was just changed, your other devices were signed out and your API keys were revoked.');
+
+  return user;
+};
+
+module.exports = {
+  requestPasswordReset,
+  resetPassword,
+  changePassword
+};
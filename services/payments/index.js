@@ -0,0 +1,69 @@
+const providers = {
+  razorpay: require('./providers/razorpay'),
+  stripe: require('./providers/stripe'),
+  paypal: require('./providers/paypal'),
+  mock: require('./providers/mock')
+};
+
+const createError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const getDefaultProviderName = () => process.env.PAYMENT_PROVIDER || 'razorpay';
+
+// PAYMENT_PROVIDERS_BY_CURRENCY="INR:razorpay,USD:stripe" routes each currency to a provider
+const getCurrencyRoutes = () => {
+  const routes = {};
+  (process.env.PAYMENT_PROVIDERS_BY_CURRENCY || '').split(',').forEach(entry => {
+    const [currency, name] = entry.split(':').map(part => part && part.trim());
+    if (currency && name) routes[currency.toUpperCase()] = name.toLowerCase();
+  });
+  return routes;
+};
+
+const getProvider = (name) => providers[name] || null;
+
+/**
+ * Pick the provider for a payment. "auto" (or no name) routes by currency and
+ * falls back to PAYMENT_PROVIDER.
+ *
+ * @param {string} [name] - Provider name from the request, or "auto"
+ * @param {string} [currency] - Currency of the order
+ * @returns {Object} Provider adapter
+ */
+const resolveProvider = (name, currency) => {
+  const resolvedName = !name || name === 'auto'
+    ? getCurrencyRoutes()[String(currency).toUpperCase()] || getDefaultProviderName()
+    : name;
+
+  const provider = getProvider(resolvedName);
+  if (!provider) {
+    throw createError(`Unknown payment provider "${resolvedName}".`, 404);
+  }
+
+  if (!provider.isAvailable()) {
+    throw createError('Payment service is not available. Please contact administrator.', 503);
+  }
+
+  return provider;
+};
+
+// Public details of every provider for the frontend
+const listProviders = () => {
+  return Object.values(providers).map(provider => ({
+    name: provider.name,
+    available: provider.isAvailable(),
+    currencies: provider.currencies,
+    config: provider.isAvailable() ? provider.getPublicConfig() : undefined
+  }));
+};
+
+module.exports = {
+  getProvider,
+  resolveProvider,
+  listProviders,
+  getDefaultProviderName,
+  getCurrencyRoutes
+};
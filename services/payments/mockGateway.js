@@ -0,0 +1,189 @@
+const crypto = require('crypto');
+const { sign, signCheckout } = require('./razorpayProtocol');
+
+// Orders live in memory: the mock gateway is for local development and CI only
+const orders = new Map();
+
+const getKeySecret = () => process.env.MOCK_PAYMENT_KEY_SECRET || 'mock_key_secret';
+const getWebhookSecret = () => process.env.MOCK_PAYMENT_WEBHOOK_SECRET || 'mock_webhook_secret';
+const getBaseUrl = () => process.env.MOCK_GATEWAY_URL || `http://localhost:${process.env.PORT || 5000}`;
+
+// Never take fake payments in production
+const isMockEnabled = () => {
+  if (process.env.NODE_ENV === 'production') return false;
+  return process.env.PAYMENT_PROVIDER === 'mock' || process.env.MOCK_PAYMENTS_ENABLED === 'true';
+};
+
+const createError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const generateId = (prefix) => `${prefix}_mock${crypto.randomBytes(7).toString('hex')}`;
+
+const nowInSeconds = () => Math.floor(Date.now() / 1000);
+
+const createOrder = ({ amount, currency, receipt, notes, description }) => {
+  const order = {
+    id: generateId('order'),
+    entity: 'order',
+    amount,
+    currency,
+    receipt,
+    notes,
+    description,
+    status: 'created',
+    attempts: [],
+    refunds: [],
+    created_at: nowInSeconds()
+  };
+
+  orders.set(order.id, order);
+  return order;
+};
+
+const getOrder = (orderId) => orders.get(orderId) || null;
+
+const findAttempt = (paymentId) => {
+  for (const order of orders.values()) {
+    const attempt = order.attempts.find(item => item.id === paymentId);
+    if (attempt) return { order, attempt };
+  }
+  return null;
+};
+
+// Post a webhook signed exactly the way Razorpay signs them
+const deliverWebhook = async (event, payload) => {
+  const body = JSON.stringify({
+    entity: 'event',
+    event,
+    payload,
+    created_at: nowInSeconds()
+  });
+  const url = `${getBaseUrl()}/api/payments/mock/webhook`;
+
+  try {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Razorpay-Signature': sign(body, getWebhookSecret())
+      },
+      body
+    });
+    console.log(`🧪 Mock webhook ${event}: ${response.status}`);
+  } catch (error) {
+    console.error(`Mock webhook ${event} delivery failed:`, error.message);
+  }
+};
+
+const requireOpenOrder = (orderId) => {
+  const order = getOrder(orderId);
+  if (!order) {
+    throw createError('Mock order not found.', 404);
+  }
+  if (order.status === 'paid') {
+    throw createError('This order has already been paid.', 400);
+  }
+  return order;
+};
+
+/**
+ * Capture a mock order as if the student paid, send the payment.captured
+ * webhook and return the fields Checkout would hand the browser.
+ *
+ * @param {string} orderId - Mock order ID
+ * @returns {Promise<Object>} { order, payment, callback } where callback holds orderId, razorpay_payment_id, signature
+ */
+const payOrder = async (orderId, { method = 'upi' } = {}) => {
+  const order = requireOpenOrder(orderId);
+
+  const payment = {
+    id: generateId('pay'),
+    entity: 'payment',
+    amount: order.amount,
+    currency: order.currency,
+    status: 'captured',
+    order_id: order.id,
+    method,
+    captured: true,
+    notes: order.notes,
+    created_at: nowInSeconds()
+  };
+
+  order.attempts.push(payment);
+  order.status = 'paid';
+
+  await deliverWebhook('payment.captured', { payment: { entity: payment } });
+
+  return {
+    order,
+    payment,
+    callback: {
+      orderId: order.id,
+      razorpay_payment_id: payment.id,
+      signature: signCheckout(order.id, payment.id, getKeySecret())
+    }
+  };
+};
+
+// Record a declined attempt and send the payment.failed webhook; the order can still be paid
+const failOrder = async (orderId, reason = 'Payment was declined by the mock gateway') => {
+  const order = requireOpenOrder(orderId);
+
+  const payment = {
+    id: generateId('pay'),
+    entity: 'payment',
+    amount: order.amount,
+    currency: order.currency,
+    status: 'failed',
+    order_id: order.id,
+    method: 'card',
+    captured: false,
+    error_description: reason,
+    notes: order.notes,
+    created_at: nowInSeconds()
+  };
+
+  order.attempts.push(payment);
+  order.status = 'attempted';
+
+  await deliverWebhook('payment.failed', { payment: { entity: payment } });
+
+  return { order, payment };
+};
+
+// Refunds settle immediately
+const refundPayment = (paymentId, amount, notes) => {
+  const found = findAttempt(paymentId);
+  if (!found || found.attempt.status !== 'captured') {
+    throw createError('Mock payment not found or not captured.', 400);
+  }
+
+  const refund = {
+    id: generateId('rfnd'),
+    entity: 'refund',
+    payment_id: paymentId,
+    amount,
+    currency: found.attempt.currency,
+    status: 'processed',
+    notes,
+    created_at: nowInSeconds()
+  };
+
+  found.order.refunds.push(refund);
+  return refund;
+};
+
+module.exports = {
+  isMockEnabled,
+  getKeySecret,
+  getWebhookSecret,
+  getBaseUrl,
+  createOrder,
+  getOrder,
+  payOrder,
+  failOrder,
+  refundPayment
+};
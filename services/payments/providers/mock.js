@@ -0,0 +1,60 @@
+const mockGateway = require('../mockGateway');
+const { verifyCheckout, parseSignedWebhook, toPaymentMethod } = require('../razorpayProtocol');
+
+// Speaks the Razorpay protocol (order IDs, Checkout signature, signed webhooks)
+// against an in-process gateway, so the full flow runs without network access
+module.exports = {
+  name: 'mock',
+  currencies: ['INR', 'USD', 'EUR'],
+
+  isAvailable: () => mockGateway.isMockEnabled(),
+
+  getPublicConfig: () => ({
+    keyId: 'rzp_mock',
+    merchantName: process.env.MERCHANT_NAME || 'Learning Platform',
+    checkoutUrl: `${mockGateway.getBaseUrl()}/mock-gateway/checkout`
+  }),
+
+  createOrder: async ({ amount, currency, receipt, notes, description }) => {
+    const order = mockGateway.createOrder({ amount, currency, receipt, notes, description });
+
+    return {
+      orderId: order.id,
+      amount: order.amount,
+      currency: order.currency,
+      receipt: order.receipt,
+      checkout: {
+        keyId: 'rzp_mock',
+        redirectUrl: `${mockGateway.getBaseUrl()}/mock-gateway/checkout/${order.id}`
+      }
+    };
+  },
+
+  verifyPayment: async ({ payment, body }) => {
+    return verifyCheckout(payment, body, mockGateway.getKeySecret());
+  },
+
+  refund: async ({ paymentId, amount, notes }) => {
+    const refund = mockGateway.refundPayment(paymentId, amount, notes);
+    return { refundId: refund.id, status: 'processed', raw: refund };
+  },
+
+  fetchStatus: async ({ orderId }) => {
+    const order = orderId && mockGateway.getOrder(orderId);
+    if (!order) return { payments: [], paid: false };
+
+    const payments = order.attempts.map(item => ({
+      id: item.id,
+      orderId: order.id,
+      amount: item.amount,
+      currency: item.currency,
+      status: item.status,
+      method: toPaymentMethod(item.method),
+      failureReason: item.error_description
+    }));
+
+    return { payments, paid: order.status === 'paid' };
+  },
+
+  parseWebhook: async (req) => parseSignedWebhook(req, mockGateway.getWebhookSecret())
+};
@@ -0,0 +1,248 @@
+const paypal = require('../../../config/paypal');
+
+const getFrontendUrl = () => process.env.FRONTEND_URL || 'http://localhost:3000';
+
+let cachedToken = null;
+
+// Client-credentials token, reused until shortly before it expires
+const getAccessToken = async () => {
+  if (cachedToken && cachedToken.expiresAt > Date.now()) {
+    return cachedToken.value;
+  }
+
+  const credentials = Buffer.from(`${paypal.clientId}:${paypal.clientSecret}`).toString('base64');
+  const response = await fetch(`${paypal.baseUrl}/v1/oauth2/token`, {
+    method: 'POST',
+    headers: {
+      Authorization: `Basic ${credentials}`,
+      'Content-Type': 'application/x-www-form-urlencoded'
+    },
+    body: 'grant_type=client_credentials'
+  });
+
+  const data = await response.json();
+  if (!response.ok) {
+    throw new Error(`PayPal authentication failed: ${data.error_description || response.status}`);
+  }
+
+  cachedToken = {
+    value: data.access_token,
+    expiresAt: Date.now() + (data.expires_in - 60) * 1000
+  };
+  return cachedToken.value;
+};
+
+const request = async (method, path, body) => {
+  const response = await fetch(`${paypal.baseUrl}${path}`, {
+    method,
+    headers: {
+      Authorization: `Bearer ${await getAccessToken()}`,
+      'Content-Type': 'application/json'
+    },
+    body: body ? JSON.stringify(body) : undefined
+  });
+
+  const data = response.status === 204 ? {} : await response.json();
+  if (!response.ok) {
+    const error = new Error(`PayPal request failed: ${data.message || response.status}`);
+    error.paypalStatus = response.status;
+    error.paypalIssue = data.details?.[0]?.issue;
+    throw error;
+  }
+  return data;
+};
+
+// PayPal amounts are decimal strings in major units
+const toPayPalAmount = (amount, currency) => ({
+  currency_code: currency,
+  value: (amount / 100).toFixed(2)
+});
+
+const getCapture = (order) => order.purchase_units?.[0]?.payments?.captures?.[0];
+
+const mapRefundStatus = (status) => {
+  if (status === 'COMPLETED') return 'processed';
+  if (status === 'FAILED' || status === 'CANCELLED') return 'failed';
+  return 'pending';
+};
+
+// Capture an approved order; a second capture returns the existing one. Orders PayPal
+// will not capture (not approved yet, declined) come back uncaptured with the issue.
+const captureOrder = async (orderId) => {
+  let order;
+  try {
+    order = await request('POST', `/v2/checkout/orders/${orderId}/capture`, {});
+  } catch (error) {
+    if (error.paypalIssue === 'ORDER_ALREADY_CAPTURED') {
+      order = await request('GET', `/v2/checkout/orders/${orderId}`);
+    } else if (error.paypalStatus === 422) {
+      return { captured: false, issue: error.paypalIssue };
+    } else {
+      throw error;
+    }
+  }
+
+  const capture = getCapture(order);
+  return {
+    captured: order.status === 'COMPLETED' && capture?.status === 'COMPLETED',
+    paymentId: capture?.id,
+    status: order.status
+  };
+};
+
+// The capture a refund belongs to is only linked from the refund resource
+const getCaptureIdFromRefund = (refund) => {
+  const link = (refund.links || []).find(item => item.rel === 'up');
+  return link ? link.href.split('/').pop() : undefined;
+};
+
+// Map a PayPal webhook event to a normalized event
+const normalizeEvent = (event) => {
+  const resource = event.resource || {};
+
+  switch (event.event_type) {
+    case 'CHECKOUT.ORDER.APPROVED':
+      return { type: 'payment.approved', orderId: resource.id };
+    case 'PAYMENT.CAPTURE.COMPLETED':
+      return {
+        type: 'payment.captured',
+        orderId: resource.supplementary_data?.related_ids?.order_id,
+        paymentId: resource.id,
+        method: 'paypal'
+      };
+    case 'PAYMENT.CAPTURE.DENIED':
+      return {
+        type: 'payment.failed',
+        orderId: resource.supplementary_data?.related_ids?.order_id,
+        paymentId: resource.id,
+        failureReason: 'Payment denied by PayPal'
+      };
+    case 'PAYMENT.CAPTURE.REFUNDED':
+      return {
+        type: 'refund.processed',
+        paymentId: getCaptureIdFromRefund(resource),
+        refund: {
+          refundId: resource.id,
+          amount: resource.amount ? Number(resource.amount.value) : undefined,
+          reason: resource.note_to_payer
+        }
+      };
+    default:
+      return null;
+  }
+};
+
+module.exports = {
+  name: 'paypal',
+  currencies: ['USD', 'EUR', 'GBP', 'AUD', 'CAD'],
+
+  isAvailable: () => paypal.isConfigured,
+
+  getPublicConfig: () => ({
+    clientId: paypal.clientId,
+    mode: paypal.mode
+  }),
+
+  // PayPal Orders v2: the student approves on PayPal and is sent back to the frontend
+  createOrder: async ({ amount, currency, receipt, description }) => {
+    const frontendUrl = getFrontendUrl();
+    const order = await request('POST', '/v2/checkout/orders', {
+      intent: 'CAPTURE',
+      purchase_units: [{
+        reference_id: receipt,
+        custom_id: receipt,
+        description,
+        amount: toPayPalAmount(amount, currency)
+      }],
+      application_context: {
+        brand_name: process.env.MERCHANT_NAME || 'Learning Platform',
+        user_action: 'PAY_NOW',
+        return_url: `${frontendUrl}/payment/success?provider=paypal`,
+        cancel_url: `${frontendUrl}/payment/cancelled?provider=paypal`
+      }
+    });
+
+    const approveLink = (order.links || []).find(link => ['approve', 'payer-action'].includes(link.rel));
+
+    return {
+      orderId: order.id,
+      amount,
+      currency,
+      receipt,
+      checkout: {
+        redirectUrl: approveLink?.href
+      }
+    };
+  },
+
+  // The order is only approved when the student returns; capturing it takes the money
+  verifyPayment: async ({ payment }) => {
+    const result = await captureOrder(payment.paymentGateway.orderId);
+
+    if (!result.captured) {
+      const reason = result.issue === 'INSTRUMENT_DECLINED'
+        ? 'PayPal declined the payment method. Please try again with another one.'
+        : 'Payment has not been approved yet.';
+      return { verified: false, status: 400, reason };
+    }
+
+    return { verified: true, paymentId: result.paymentId, method: 'paypal' };
+  },
+
+  captureOrder,
+
+  refund: async ({ paymentId, amount, currency, notes }) => {
+    const refund = await request('POST', `/v2/payments/captures/${paymentId}/refund`, {
+      amount: toPayPalAmount(amount, currency),
+      note_to_payer: notes?.reason
+    });
+    return { refundId: refund.id, status: mapRefundStatus(refund.status), raw: refund };
+  },
+
+  fetchStatus: async ({ orderId }) => {
+    if (!orderId) return { payments: [], paid: false };
+
+    const order = await request('GET', `/v2/checkout/orders/${orderId}`);
+    const capture = getCapture(order);
+    const payments = capture
+      ? [{
+        id: capture.id,
+        orderId: order.id,
+        amount: Math.round(Number(capture.amount.value) * 100),
+        currency: capture.amount.currency_code,
+        status: capture.status === 'COMPLETED' ? 'captured' : capture.status.toLowerCase(),
+        method: 'paypal'
+      }]
+      : [];
+
+    return { payments, paid: capture?.status === 'COMPLETED' };
+  },
+
+  // PayPal verifies its own transmission signature for the configured webhook
+  parseWebhook: async (req) => {
+    if (!paypal.webhookId) {
+      return { configured: false };
+    }
+
+    const result = await request('POST', '/v1/notifications/verify-webhook-signature', {
+      auth_algo: req.headers['paypal-auth-algo'],
+      cert_url: req.headers['paypal-cert-url'],
+      transmission_id: req.headers['paypal-transmission-id'],
+      transmission_sig: req.headers['paypal-transmission-sig'],
+      transmission_time: req.headers['paypal-transmission-time'],
+      webhook_id: paypal.webhookId,
+      webhook_event: req.body
+    });
+
+    if (result.verification_status !== 'SUCCESS') {
+      return { configured: true, verified: false };
+    }
+
+    return {
+      configured: true,
+      verified: true,
+      eventName: req.body.event_type,
+      event: normalizeEvent(req.body)
+    };
+  }
+};
@@ -0,0 +1,188 @@
+const stripe = require('../../../config/stripe');
+
+const getFrontendUrl = () => process.env.FRONTEND_URL || 'http://localhost:3000';
+
+// Stripe reports refunds as succeeded; the rest of the app calls that processed
+const mapRefundStatus = (status) => {
+  if (status === 'succeeded') return 'processed';
+  if (status === 'failed' || status === 'canceled') return 'failed';
+  return 'pending';
+};
+
+// Stripe payment method types grouped into the Payment.paymentMethod values
+const PAYMENT_METHOD_GROUPS = {
+  paypal: ['paypal'],
+  upi: ['upi'],
+  wallet: ['link', 'alipay', 'wechat_pay', 'cashapp', 'amazon_pay', 'revolut_pay', 'grabpay', 'paynow'],
+  netbanking: [
+    'us_bank_account', 'sepa_debit', 'bacs_debit', 'acss_debit', 'au_becs_debit', 'customer_balance',
+    'ideal', 'sofort', 'bancontact', 'eps', 'giropay', 'p24', 'fpx'
+  ],
+  emi: ['klarna', 'afterpay_clearpay', 'affirm']
+};
+
+// Types Stripe adds later fall back to card, so the Payment always validates
+const toPaymentMethod = (types) => {
+  if (!types || types.length === 0 || types.includes('card')) return 'card';
+  const group = Object.keys(PAYMENT_METHOD_GROUPS).find(name => PAYMENT_METHOD_GROUPS[name].includes(types[0]));
+  return group || 'card';
+};
+
+// Map a Stripe event to a normalized event
+const normalizeEvent = (event) => {
+  const object = event.data.object;
+
+  switch (event.type) {
+    case 'checkout.session.completed':
+      // Delayed methods complete the session unpaid and settle in async_payment_succeeded
+      if (object.payment_status !== 'paid') return null;
+      return {
+        type: 'payment.captured',
+        orderId: object.id,
+        paymentId: object.payment_intent,
+        method: toPaymentMethod(object.payment_method_types)
+      };
+    case 'checkout.session.async_payment_succeeded':
+      return {
+        type: 'payment.captured',
+        orderId: object.id,
+        paymentId: object.payment_intent,
+        method: toPaymentMethod(object.payment_method_types)
+      };
+    case 'checkout.session.async_payment_failed':
+    case 'checkout.session.expired':
+      return {
+        type: 'payment.failed',
+        orderId: object.id,
+        paymentId: object.payment_intent,
+        failureReason: event.type === 'checkout.session.expired'
+          ? 'Checkout session expired'
+          : 'Payment failed'
+      };
+    case 'refund.updated':
+    case 'charge.refund.updated': {
+      const status = mapRefundStatus(object.status);
+      if (status === 'pending') return null;
+      return {
+        type: status === 'processed' ? 'refund.processed' : 'refund.failed',
+        paymentId: object.payment_intent,
+        refund: {
+          refundId: object.id,
+          amount: object.amount / 100,
+          reason: object.metadata?.reason
+        }
+      };
+    }
+    default:
+      return null;
+  }
+};
+
+module.exports = {
+  name: 'stripe',
+  currencies: ['USD', 'EUR', 'GBP', 'INR'],
+
+  isAvailable: () => !!stripe,
+
+  getPublicConfig: () => ({
+    publishableKey: process.env.STRIPE_PUBLISHABLE_KEY
+  }),
+
+  // Stripe Checkout: the student is redirected to a hosted page and back to the frontend
+  createOrder: async ({ amount, currency, receipt, notes, description, customer }) => {
+    const frontendUrl = getFrontendUrl();
+    const session = await stripe.checkout.sessions.create({
+      mode: 'payment',
+      client_reference_id: receipt,
+      customer_email: customer?.email,
+      line_items: [{
+        quantity: 1,
+        price_data: {
+          currency: currency.toLowerCase(),
+          unit_amount: amount,
+          product_data: { name: description }
+        }
+      }],
+      metadata: { receipt, ...notes },
+      payment_intent_data: { metadata: { receipt, ...notes } },
+      success_url: `${frontendUrl}/payment/success?provider=stripe&session_id={CHECKOUT_SESSION_ID}`,
+      cancel_url: `${frontendUrl}/payment/cancelled?provider=stripe`
+    });
+
+    return {
+      orderId: session.id,
+      amount: session.amount_total,
+      currency: session.currency.toUpperCase(),
+      receipt,
+      checkout: {
+        sessionId: session.id,
+        redirectUrl: session.url
+      }
+    };
+  },
+
+  // Nothing is signed client-side, so ask Stripe whether the session was paid
+  verifyPayment: async ({ payment }) => {
+    const session = await stripe.checkout.sessions.retrieve(payment.paymentGateway.orderId);
+
+    if (session.payment_status !== 'paid') {
+      return { verified: false, status: 400, reason: 'Payment has not been completed yet.' };
+    }
+
+    return {
+      verified: true,
+      paymentId: session.payment_intent,
+      method: toPaymentMethod(session.payment_method_types)
+    };
+  },
+
+  refund: async ({ paymentId, amount, notes }) => {
+    const refund = await stripe.refunds.create({
+      payment_intent: paymentId,
+      amount,
+      metadata: notes
+    });
+    return { refundId: refund.id, status: mapRefundStatus(refund.status), raw: refund };
+  },
+
+  fetchStatus: async ({ orderId }) => {
+    if (!orderId) return { payments: [], paid: false };
+
+    const session = await stripe.checkout.sessions.retrieve(orderId);
+    const paid = session.payment_status === 'paid';
+    const payments = session.payment_intent
+      ? [{
+        id: session.payment_intent,
+        orderId: session.id,
+        amount: session.amount_total,
+        currency: session.currency.toUpperCase(),
+        status: paid ? 'captured' : (session.status === 'expired' ? 'failed' : 'pending'),
+        method: toPaymentMethod(session.payment_method_types)
+      }]
+      : [];
+
+    return { payments, paid };
+  },
+
+  // Verify the Stripe-Signature header and normalize the event
+  parseWebhook: async (req) => {
+    const secret = process.env.STRIPE_WEBHOOK_SECRET;
+    if (!secret) {
+      return { configured: false };
+    }
+
+    let event;
+    try {
+      event = stripe.webhooks.constructEvent(req.rawBody, req.headers['stripe-signature'], secret);
+    } catch (error) {
+      return { configured: true, verified: false };
+    }
+
+    return {
+      configured: true,
+      verified: true,
+      eventName: event.type,
+      event: normalizeEvent(event)
+    };
+  }
+};
@@ -0,0 +1,183 @@
+const crypto = require('crypto');
+
+// Signing and payload formats of Razorpay Checkout and webhooks, shared by the
+// Razorpay adapter and the mock gateway that imitates it
+
+const sign = (payload, secret) => {
+  return crypto
+    .createHmac('sha256', secret)
+    .update(payload)
+    .digest('hex');
+};
+
+// Compare two hex signatures without leaking timing information
+const signaturesMatch = (expected, actual) => {
+  const expectedBuffer = Buffer.from(expected);
+  const actualBuffer = Buffer.from(String(actual || ''));
+  return expectedBuffer.length === actualBuffer.length &&
+    crypto.timingSafeEqual(expectedBuffer, actualBuffer);
+};
+
+// Signature Checkout hands the browser after a successful payment
+const signCheckout = (orderId, paymentId, secret) => sign(`${orderId}|${paymentId}`, secret);
+
+// Check the callback fields of a Checkout payment against its Payment record
+const verifyCheckout = (payment, body, secret) => {
+  const { orderId, signature, razorpay_payment_id } = body;
+
+  if (!orderId || !signature) {
+    return { verified: false, status: 400, reason: 'Missing required payment verification data.' };
+  }
+
+  if (payment.paymentGateway.orderId !== orderId) {
+    return { verified: false, status: 400, reason: 'Payment does not match this order.' };
+  }
+
+  if (!signaturesMatch(signCheckout(orderId, razorpay_payment_id, secret), signature)) {
+    return { verified: false, status: 400, reason: 'Invalid payment signature.' };
+  }
+
+  return { verified: true, paymentId: razorpay_payment_id, signature };
+};
+
+// Subscription Checkout signs the payment ID first, the reverse of order checkout
+const verifySubscriptionCheckout = (subscriptionId, body, secret) => {
+  const { signature, razorpay_payment_id } = body;
+
+  if (!razorpay_payment_id || !signature) {
+    return { verified: false, status: 400, reason: 'Missing required payment verification data.' };
+  }
+
+  if (!signaturesMatch(sign(`${razorpay_payment_id}|${subscriptionId}`, secret), signature)) {
+    return { verified: false, status: 400, reason: 'Invalid payment signature.' };
+  }
+
+  return { verified: true, paymentId: razorpay_payment_id, signature };
+};
+
+// Razorpay payment methods grouped into the Payment.paymentMethod values; Razorpay
+// adds methods over time, so anything else is recorded as card
+const PAYMENT_METHODS = {
+  card: 'card',
+  upi: 'upi',
+  netbanking: 'netbanking',
+  bank_transfer: 'netbanking',
+  emandate: 'netbanking',
+  nach: 'netbanking',
+  wallet: 'wallet',
+  emi: 'emi',
+  cardless_emi: 'emi',
+  paylater: 'emi'
+};
+
+const toPaymentMethod = (method) => (method ? PAYMENT_METHODS[method] || 'card' : undefined);
+
+const fromUnixTime = (seconds) => (seconds ? new Date(seconds * 1000) : undefined);
+
+// The parts of a Razorpay subscription entity we keep, with dates instead of Unix times
+const normalizeSubscription = (entity) => ({
+  subscriptionId: entity.id,
+  planId: entity.plan_id,
+  customerId: entity.customer_id,
+  status: entity.status,
+  currentStart: fromUnixTime(entity.current_start),
+  currentEnd: fromUnixTime(entity.current_end),
+  chargeAt: fromUnixTime(entity.charge_at),
+  paidCount: entity.paid_count,
+  shortUrl: entity.short_url
+});
+
+// Map a Razorpay webhook payload to a normalized event
+const normalizeEvent = (event) => {
+  const paymentEntity = event.payload?.payment?.entity;
+  const refundEntity = event.payload?.refund?.entity;
+
+  switch (event.event) {
+    case 'payment.captured':
+    case 'order.paid':
+      return {
+        type: 'payment.captured',
+        orderId: event.payload.order?.entity?.id || paymentEntity?.order_id,
+        paymentId: paymentEntity?.id,
+        method: toPaymentMethod(paymentEntity?.method)
+      };
+    case 'payment_link.paid':
+      return {
+        type: 'payment.captured',
+        orderId: paymentEntity?.order_id,
+        paymentId: paymentEntity?.id,
+        paymentLinkId: event.payload.payment_link?.entity?.id,
+        method: toPaymentMethod(paymentEntity?.method)
+      };
+    case 'payment.failed':
+      return {
+        type: 'payment.failed',
+        orderId: paymentEntity?.order_id,
+        paymentId: paymentEntity?.id,
+        failureReason: paymentEntity?.error_description || 'Payment failed'
+      };
+    case 'refund.processed':
+    case 'refund.failed':
+      return {
+        type: event.event,
+        paymentId: refundEntity?.payment_id,
+        refund: {
+          refundId: refundEntity?.id,
+          amount: refundEntity ? refundEntity.amount / 100 : undefined, // Convert from paise
+          reason: refundEntity?.notes?.reason
+        }
+      };
+    case 'subscription.authenticated':
+    case 'subscription.activated':
+    case 'subscription.charged':
+    case 'subscription.pending':
+    case 'subscription.halted':
+    case 'subscription.paused':
+    case 'subscription.resumed':
+    case 'subscription.cancelled':
+    case 'subscription.completed':
+    case 'subscription.updated':
+      return {
+        type: event.event,
+        subscription: normalizeSubscription(event.payload.subscription.entity),
+        payment: paymentEntity && {
+          paymentId: paymentEntity.id,
+          amount: paymentEntity.amount / 100, // Convert from paise
+          currency: paymentEntity.currency,
+          method: toPaymentMethod(paymentEntity.method),
+          failureReason: paymentEntity.error_description
+        }
+      };
+    default:
+      return null;
+  }
+};
+
+// Verify X-Razorpay-Signature against the raw body and normalize the event
+const parseSignedWebhook = (req, secret) => {
+  if (!secret) {
+    return { configured: false };
+  }
+
+  const signature = req.headers['x-razorpay-signature'];
+  if (!req.rawBody || !signature || !signaturesMatch(sign(req.rawBody, secret), signature)) {
+    return { configured: true, verified: false };
+  }
+
+  return {
+    configured: true,
+    verified: true,
+    eventName: req.body.event,
+    event: normalizeEvent(req.body)
+  };
+};
+
+module.exports = {
+  sign,
+  toPaymentMethod,
+  signCheckout,
+  verifyCheckout,
+  verifySubscriptionCheckout,
+  normalizeSubscription,
+  parseSignedWebhook
+};
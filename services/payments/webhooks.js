@@ -0,0 +1,109 @@
+const Payment = require('../../models/Payment');
+const { fulfillPayment } = require('../fulfillment');
+const { completeRefund, failRefund } = require('../refunds');
+const { applySubscriptionEvent } = require('../subscriptions');
+
+// Find the Payment record a normalized webhook event belongs to
+const findPaymentForEvent = async (providerName, { orderId, paymentId, paymentLinkId }) => {
+  const lookups = [
+    orderId && { 'paymentGateway.orderId': orderId },
+    paymentId && { 'paymentGateway.paymentId': paymentId },
+    paymentLinkId && { 'paymentGateway.paymentLinkId': paymentLinkId }
+  ].filter(Boolean);
+
+  for (const lookup of lookups) {
+    const payment = await Payment.findOne({ 'paymentGateway.provider': providerName, ...lookup });
+    if (payment) return payment;
+  }
+
+  return null;
+};
+
+// Handlers for each normalized event type. Each returns a short outcome string.
+const eventHandlers = {
+  'payment.captured': async (provider, event, rawEvent) => {
+    const payment = await findPaymentForEvent(provider.name, event);
+    if (!payment) return 'payment_not_found';
+
+    const { outcome } = await fulfillPayment(payment, {
+      paymentId: event.paymentId,
+      orderId: event.orderId,
+      method: event.method,
+      webhookData: rawEvent
+    });
+    return outcome;
+  },
+
+  // Approved but not yet captured (PayPal): capture it here in case the student never came back
+  'payment.approved': async (provider, event, rawEvent) => {
+    const payment = await findPaymentForEvent(provider.name, event);
+    if (!payment) return 'payment_not_found';
+    if (payment.status === 'completed') return 'already_fulfilled';
+
+    const capture = await provider.captureOrder(event.orderId);
+    if (!capture.captured) return 'not_captured';
+
+    const { outcome } = await fulfillPayment(payment, {
+      paymentId: capture.paymentId,
+      method: 'paypal',
+      webhookData: rawEvent
+    });
+    return outcome;
+  },
+
+  'payment.failed': async (provider, event, rawEvent) => {
+    const payment = await findPaymentForEvent(provider.name, event);
+    if (!payment) return 'payment_not_found';
+
+    // A later successful attempt on the same order must not be overwritten
+    if (payment.status !== 'pending') return 'ignored';
+
+    if (event.paymentId) payment.paymentGateway.paymentId = event.paymentId;
+    payment.webhookData = rawEvent;
+    await payment.markAsFailed(event.failureReason || 'Payment failed');
+    return 'marked_failed';
+  },
+
+  'refund.processed': async (provider, event, rawEvent) => {
+    const payment = await findPaymentForEvent(provider.name, { paymentId: event.paymentId });
+    if (!payment) return 'payment_not_found';
+
+    payment.webhookData = rawEvent;
+    await payment.save();
+
+    const { alreadyProcessed } = await completeRefund(payment, event.refund);
+    return alreadyProcessed ? 'already_processed' : 'refunded';
+  },
+
+  'refund.failed': async (provider, event) => {
+    const payment = await findPaymentForEvent(provider.name, { paymentId: event.paymentId });
+    if (!payment) return 'payment_not_found';
+
+    await failRefund(payment, { refundId: event.refund.refundId });
+    return 'refund_failed';
+  }
+};
+
+/**
+ * Apply a verified, normalized webhook event from any provider.
+ *
+ * @param {Object} provider - Provider adapter the event came from
+ * @param {Object} event - Normalized event from provider.parseWebhook
+ * @param {Object} rawEvent - Original payload, stored on the payment
+ * @returns {Promise<string>} Outcome, e.g. fulfilled, marked_failed, refunded
+ */
+const processWebhookEvent = async (provider, event, rawEvent) => {
+  // Razorpay subscription lifecycle events (authenticated, charged, pending, halted, ...)
+  if (event.type.startsWith('subscription.')) {
+    return await applySubscriptionEvent(event, rawEvent);
+  }
+
+  const handler = eventHandlers[event.type];
+  if (!handler) return 'ignored';
+
+  return await handler(provider, event, rawEvent);
+};
+
+module.exports = {
+  processWebhookEvent
+};
@@ -0,0 +1,48 @@
+const Role = require('../models/Role');
+const { PERMISSIONS, ALL_PERMISSIONS, DEFAULT_ROLES } = require('../config/permissions');
+
+// Replace the wildcard with every named permission
+const expandPermissions = (permissions = []) => (
+  permissions.includes(ALL_PERMISSIONS) ? Object.keys(PERMISSIONS) : [...permissions]
+);
+
+// Create the built-in roles that are missing; existing ones keep their edited permissions
+const ensureDefaultRoles = async () => {
+  await Promise.all(DEFAULT_ROLES.map(role => Role.updateOne(
+    { name: role.name },
+    {
+      $set: { isSystem: true },
+      $setOnInsert: { description: role.description, permissions: role.permissions }
+    },
+    { upsert: true }
+  )));
+};
+
+/**
+ * Permissions granted by a role. Unknown roles grant nothing.
+ *
+ * @param {string} roleName - Role name as stored on the user
+ * @returns {Promise<string[]>} Permission names
+ */
+const getRolePermissions = async (roleName) => {
+  const role = await Role.findOne({ name: roleName }).select('permissions').lean();
+  return role ? expandPermissions(role.permissions) : [];
+};
+
+const hasPermission = async (user, permission) => {
+  const permissions = await getRolePermissions(user.role);
+  return permissions.includes(permission);
+};
+
+// A role can only be handed out by someone who already holds all of its permissions
+const canAssignRole = (assignerPermissions, role) => (
+  expandPermissions(role.permissions).every(permission => assignerPermissions.includes(permission))
+);
+
+module.exports = {
+  expandPermissions,
+  ensureDefaultRoles,
+  getRolePermissions,
+  hasPermission,
+  canAssignRole
+};
@@ -0,0 +1,57 @@
+const RateLimitCounter = require('../models/RateLimitCounter');
+
+/**
+ * express-rate-limit store that keeps hit counts in MongoDB, so a limit applies
+ * across every server instance instead of per process.
+ *
+ * @param {string} prefix - Keeps this limiter's counters apart from other limiters
+ * @returns {Object} Store for the rateLimit() store option; use one per limiter
+ */
+const createMongoRateLimitStore = (prefix) => {
+  let windowMs;
+
+  return {
+    prefix,
+    localKeys: false,
+
+    init(options) {
+      windowMs = options.windowMs;
+    },
+
+    async get(key) {
+      const counter = await RateLimitCounter.findOne({ key: `${prefix}${key}`, resetAt: { $gt: new Date() } }).lean();
+      return counter ? { totalHits: counter.hits, resetTime: counter.resetAt } : undefined;
+    },
+
+    // Count a hit, starting a new window when the previous one has ended
+    async increment(key) {
+      const now = new Date();
+      const windowOpen = { $gt: ['$resetAt', now] };
+
+      const counter = await RateLimitCounter.findOneAndUpdate(
+        { key: `${prefix}${key}` },
+        [{
+          $set: {
+            hits: { $cond: [windowOpen, { $add: ['$hits', 1] }, 1] },
+            resetAt: { $cond: [windowOpen, '$resetAt', new Date(now.getTime() + windowMs)] }
+          }
+        }],
+        { upsert: true, new: true }
+      ).lean();
+
+      return { totalHits: counter.hits, resetTime: counter.resetAt };
+    },
+
+    async decrement(key) {
+      await RateLimitCounter.updateOne({ key: `${prefix}${key}`, hits: { $gt: 0 } }, { $inc: { hits: -1 } });
+    },
+
+    async resetKey(key) {
+      await RateLimitCounter.deleteOne({ key: `${prefix}${key}` });
+    }
+  };
+};
+
+module.exports = {
+  createMongoRateLimitStore
+};
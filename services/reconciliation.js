@@ -0,0 +1,224 @@
+const razorpay = require('../config/razorpay');
+const Payment = require('../models/Payment');
+const ReconciliationReport = require('../models/ReconciliationReport');
+const { fulfillPayment, FULFILLMENT_OUTCOMES } = require('./fulfillment');
+const { toPaymentMethod } = require('./payments/razorpayProtocol');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Local statuses that should become completed if the gateway captured the money
+const UNSETTLED_STATUSES = ['pending', 'failed', 'cancelled'];
+
+const toPaise = (amount) => Math.round(amount * 100);
+
+// Fetch every attempt Razorpay has for a payment's order or payment link
+const fetchGatewayPayments = async (client, payment) => {
+  if (payment.paymentGateway.orderId) {
+    const result = await client.orders.fetchPayments(payment.paymentGateway.orderId);
+    return result.items || [];
+  }
+
+  if (payment.paymentGateway.paymentLinkId) {
+    const link = await client.paymentLink.fetch(payment.paymentGateway.paymentLinkId);
+    return (link.payments || []).map(item => ({
+      id: item.payment_id,
+      amount: item.amount,
+      status: item.status,
+      method: item.method,
+      order_id: link.order_id
+    }));
+  }
+
+  return [];
+};
+
+// Fetch captured Razorpay payments created in the window, following pagination
+const fetchCapturedPayments = async (client, windowStart, windowEnd) => {
+  const captured = [];
+  const count = 100;
+  let skip = 0;
+
+  for (;;) {
+    const page = await client.payments.all({
+      from: Math.floor(windowStart.getTime() / 1000),
+      to: Math.floor(windowEnd.getTime() / 1000),
+      count,
+      skip
+    });
+    const items = page.items || [];
+    captured.push(...items.filter(item => item.status === 'captured'));
+    if (items.length < count) break;
+    skip += count;
+  }
+
+  return captured;
+};
+
+// Compare one local payment with the gateway and fix it unless this is a dry run
+const reconcilePayment = async (client, payment, report, dryRun) => {
+  const attempts = await fetchGatewayPayments(client, payment);
+  const captured = attempts.find(item => item.status === 'captured');
+  const entry = {
+    payment: payment._id,
+    user: payment.user,
+    paymentType: payment.paymentType,
+    localStatus: payment.status,
+    orderId: payment.paymentGateway.orderId,
+    gatewayPaymentId: captured?.id
+  };
+
+  const amountMismatch = Boolean(captured) && toPaise(payment.amount) !== captured.amount;
+  if (amountMismatch) {
+    report.amountMismatches.push({
+      ...entry,
+      expectedAmount: payment.amount,
+      capturedAmount: captured.amount / 100
+    });
+  }
+
+  if (payment.status === 'completed') {
+    // Completed here but nothing captured there: report it, never revoke automatically
+    if (!captured && payment.paymentGateway.provider === 'razorpay') {
+      report.completedWithoutCapture.push(entry);
+    }
+    return;
+  }
+
+  // A capture for a different amount is left for an admin rather than granting access
+  if (amountMismatch) {
+    if (!dryRun) {
+      await Payment.updateOne(
+        { _id: payment._id },
+        { review: { reason: 'amount_mismatch', flaggedAt: new Date() } }
+      );
+    }
+    return;
+  }
+
+  if (captured) {
+    if (!dryRun) {
+      const { outcome } = await fulfillPayment(payment, {
+        paymentId: captured.id,
+        orderId: captured.order_id,
+        method: toPaymentMethod(captured.method)
+      });
+      if (outcome !== FULFILLMENT_OUTCOMES.FULFILLED) return;
+    }
+    report.fulfilled.push(entry);
+    return;
+  }
+
+  // Every attempt on the order failed: the student was never charged
+  const allFailed = attempts.length > 0 && attempts.every(item => item.status === 'failed');
+  if (allFailed && payment.status === 'pending') {
+    const lastAttempt = attempts[attempts.length - 1];
+    if (!dryRun) {
+      await payment.markAsFailed(lastAttempt.error_description || 'Payment failed at gateway');
+    }
+    report.markedFailed.push({ ...entry, gatewayPaymentId: lastAttempt.id });
+  }
+};
+
+/**
+ * Compare recent Payment records with Razorpay, fix mismatches and save a report.
+ *
+ * Pending, failed and cancelled payments are fulfilled when Razorpay captured them,
+ * or marked failed when every attempt failed. A capture for a different amount is
+ * reported and the payment flagged for review instead of fulfilled. Completed
+ * payments are checked for a capture and a matching amount. Captured Razorpay
+ * payments with no Payment record are reported as orphaned.
+ *
+ * @param {Object} [options]
+ * @param {number} [options.lookbackHours=48] - How far back to scan
+ * @param {boolean} [options.dryRun=false] - Report only, change nothing
+ * @param {string} [options.triggeredBy='system'] - User ID or source, stored on the report
+ * @param {Object} [options.client] - Razorpay client, replaceable with a mock in tests
+ * @returns {Promise<Object>} Saved ReconciliationReport
+ */
+const reconcilePayments = async ({
+  lookbackHours = 48,
+  dryRun = false,
+  triggeredBy = 'system',
+  client = razorpay
+} = {}) => {
+  if (!client) {
+    const error = new Error('Payment service is not available. Please contact administrator.');
+    error.status = 503;
+    throw error;
+  }
+
+  const startedAt = new Date();
+  const windowStart = new Date(startedAt.getTime() - lookbackHours * HOUR_MS);
+  const report = {
+    triggeredBy,
+    dryRun,
+    windowStart,
+    windowEnd: startedAt,
+    startedAt,
+    fulfilled: [],
+    markedFailed: [],
+    amountMismatches: [],
+    completedWithoutCapture: [],
+    orphanedPayments: [],
+    failures: []
+  };
+
+  const payments = await Payment.find({
+    'paymentGateway.provider': 'razorpay',
+    $or: [
+      { status: 'pending' },
+      { status: { $in: UNSETTLED_STATUSES.concat('completed') }, createdAt: { $gte: windowStart } }
+    ]
+  });
+
+  for (const payment of payments) {
+    try {
+      await reconcilePayment(client, payment, report, dryRun);
+    } catch (error) {
+      report.failures.push({ payment: payment._id, message: error.message });
+    }
+  }
+
+  try {
+    const captured = await fetchCapturedPayments(client, windowStart, startedAt);
+    for (const item of captured) {
+      const known = await Payment.exists({
+        $or: [
+          { 'paymentGateway.paymentId': item.id },
+          ...(item.order_id ? [{ 'paymentGateway.orderId': item.order_id }] : [])
+        ]
+      });
+
+      if (!known) {
+        report.orphanedPayments.push({
+          gatewayPaymentId: item.id,
+          orderId: item.order_id,
+          amount: item.amount / 100,
+          currency: item.currency,
+          email: item.email,
+          notes: item.notes,
+          capturedAt: item.created_at ? new Date(item.created_at * 1000) : undefined
+        });
+      }
+    }
+  } catch (error) {
+    report.failures.push({ message: `Failed to list gateway payments: ${error.message}` });
+  }
+
+  report.finishedAt = new Date();
+  report.summary = {
+    scanned: payments.length,
+    fulfilled: report.fulfilled.length,
+    markedFailed: report.markedFailed.length,
+    amountMismatches: report.amountMismatches.length,
+    completedWithoutCapture: report.completedWithoutCapture.length,
+    orphanedPayments: report.orphanedPayments.length,
+    failures: report.failures.length
+  };
+
+  return await ReconciliationReport.create(report);
+};
+
+module.exports = {
+  reconcilePayments
+};
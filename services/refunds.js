@@ -0,0 +1,248 @@
+const Payment = require('../models/Payment');
+const User = require('../models/User');
+const Course = require('../models/Course');
+const Enrollment = require('../models/Enrollment');
+const { getProvider } = require('./payments');
+const { issueCreditNote } = require('./invoices');
+const { revokeGift } = require('./gifts');
+
+// Days after purchase during which a student may ask for a refund
+const getRefundWindowDays = () => parseInt(process.env.REFUND_WINDOW_DAYS || 7);
+
+const createError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+// Check whether a student can still request a refund for a payment
+const isWithinRefundWindow = (payment, now = new Date()) => {
+  const windowEnds = new Date(payment.createdAt);
+  windowEnds.setDate(windowEnds.getDate() + getRefundWindowDays());
+  return now <= windowEnds;
+};
+
+// Take back what a fully refunded payment granted
+const revokeAccess = async (payment) => {
+  if (payment.paymentType === 'registration') {
+    await User.updateOne(
+      { author_id: payment.user, registrationFeePayment: payment._id },
+      {
+        hasPaidRegistrationFee: false,
+        $unset: { registrationFeePayment: 1 }
+      }
+    );
+    return;
+  }
+
+  if (payment.gift?.recipientEmail) {
+    await revokeGift(payment);
+    return;
+  }
+
+  // Subscription access follows the subscription itself; cancel it separately
+  if (payment.paymentType === 'subscription') {
+    return;
+  }
+
+  if (payment.paymentType === 'renewal') {
+    // Undo the extension; progress stays with the enrollment
+    const enrollment = await Enrollment.findOne({ 'renewals.payment': payment._id });
+    const renewal = enrollment?.renewals.find(item => item.payment.equals(payment._id));
+    if (renewal) {
+      enrollment.expiresAt = renewal.previousExpiresAt;
+      if (enrollment.status === 'active' && renewal.previousExpiresAt <= new Date()) {
+        enrollment.status = 'expired';
+      }
+      await enrollment.save();
+    }
+    return;
+  }
+
+  const courseIds = ['cart', 'bundle'].includes(payment.paymentType)
+    ? payment.items.map(item => item.course)
+    : [payment.course];
+
+  for (const courseId of courseIds) {
+    const result = await Enrollment.updateOne(
+      { user: payment.user, course: courseId, payment: payment._id, status: 'active' },
+      { status: 'cancelled' }
+    );
+
+    if (result.modifiedCount > 0) {
+      await Course.updateOne(
+        { c_id: courseId, enrollmentCount: { $gt: 0 } },
+        { $inc: { enrollmentCount: -1 } }
+      );
+    }
+  }
+};
+
+/**
+ * Record a completed refund and, for a full refund, revoke access.
+ * Safe to call again for the same refund (e.g. from the refund.processed webhook).
+ *
+ * @param {Object|string} paymentOrId - Payment document or its _id
+ * @param {Object} refundData - refundId, amount (in rupees), reason
+ * @returns {Promise<Object>} { payment, alreadyProcessed }
+ */
+const completeRefund = async (paymentOrId, refundData) => {
+  const paymentId = paymentOrId?._id || paymentOrId;
+  const current = await Payment.findById(paymentId);
+  if (!current) {
+    throw createError('Payment record not found.', 404);
+  }
+
+  const refundAmount = refundData.amount ?? current.refund?.refundAmount ?? current.amount;
+  const isFullRefund = refundAmount >= current.amount;
+
+  const update = {
+    'refund.refundId': refundData.refundId || current.refund?.refundId,
+    'refund.refundAmount': refundAmount,
+    'refund.refundReason': refundData.reason || current.refund?.refundReason,
+    'refund.refundedAt': new Date(),
+    'refund.refundStatus': 'processed'
+  };
+  if (isFullRefund) update.status = 'refunded';
+
+  // Compare-and-set so access is only revoked once per refund
+  const payment = await Payment.findOneAndUpdate(
+    { _id: paymentId, 'refund.refundStatus': { $ne: 'processed' } },
+    { $set: update },
+    { new: true }
+  );
+
+  if (!payment) {
+    return { payment: current, alreadyProcessed: true };
+  }
+
+  if (isFullRefund) {
+    await revokeAccess(payment);
+  }
+
+  if (payment.amount > 0) {
+    try {
+      await issueCreditNote(payment, { refundId: payment.refund.refundId, amount: refundAmount });
+    } catch (error) {
+      console.error('Issue credit note error:', error);
+    }
+  }
+
+  return { payment, alreadyProcessed: false };
+};
+
+/**
+ * Issue a full or partial refund through the provider that took the payment.
+ *
+ * @param {Object} payment - Completed Payment document
+ * @param {Object} [options] - amount (in rupees, defaults to the full amount), reason
+ * @returns {Promise<Object>} { payment, refund } where refund is the provider's refund result
+ */
+const issueRefund = async (payment, { amount, reason } = {}) => {
+  const provider = getProvider(payment.paymentGateway.provider);
+  if (!provider) {
+    throw createError('This payment cannot be refunded online.', 400);
+  }
+
+  if (!provider.isAvailable()) {
+    throw createError('Payment service is not available. Please contact administrator.', 503);
+  }
+
+  if (payment.status !== 'completed') {
+    throw createError('Only completed payments can be refunded.', 400);
+  }
+
+  if (!payment.paymentGateway.paymentId) {
+    throw createError('Payment has no gateway payment ID to refund.', 400);
+  }
+
+  const refundAmount = amount !== undefined ? Number(amount) : payment.amount;
+  if (!(refundAmount > 0) || refundAmount > payment.amount) {
+    throw createError(`Refund amount must be between 0 and ${payment.amount}.`, 400);
+  }
+
+  // Claim the refund before any money moves, so concurrent approvals cannot both refund
+  const claimed = await Payment.findOneAndUpdate(
+    {
+      _id: payment._id,
+      status: 'completed',
+      'refund.refundStatus': { $nin: ['pending', 'processed'] }
+    },
+    {
+      $set: {
+        refund: { refundAmount, refundReason: reason, refundStatus: 'pending' }
+      }
+    },
+    { new: true }
+  );
+
+  if (!claimed) {
+    throw createError('A refund has already been issued for this payment.', 400);
+  }
+
+  let refund;
+  try {
+    refund = await provider.refund({
+      paymentId: payment.paymentGateway.paymentId,
+      amount: Math.round(refundAmount * 100), // Convert to paise
+      currency: payment.currency,
+      notes: {
+        reason: reason || 'Refund issued by admin',
+        paymentRecord: String(payment._id)
+      }
+    });
+  } catch (error) {
+    // Release the claim so the refund can be retried
+    await failRefund(payment);
+    throw error;
+  }
+
+  // The money has moved, so a failed write must not fail the request; the
+  // claim already shows the refund as pending and the refund webhook completes it
+  let updated = claimed;
+  try {
+    updated = await Payment.findOneAndUpdate(
+      { _id: payment._id, 'refund.refundStatus': 'pending' },
+      {
+        $set: {
+          'refund.refundId': refund.refundId,
+          'refund.refundStatus': refund.status === 'failed' ? 'failed' : 'pending'
+        }
+      },
+      { new: true }
+    ) || await Payment.findById(payment._id);
+  } catch (error) {
+    console.error('Record refund error:', error);
+  }
+
+  // Instant refunds come back processed; others complete via the provider's refund webhook
+  if (refund.status === 'processed') {
+    const result = await completeRefund(payment, { refundId: refund.refundId, amount: refundAmount, reason });
+    return { payment: result.payment, refund };
+  }
+
+  return { payment: updated, refund };
+};
+
+// Record that the provider could not process a refund so it can be retried
+const failRefund = async (paymentOrId, refundData = {}) => {
+  const paymentId = paymentOrId?._id || paymentOrId;
+  return await Payment.findOneAndUpdate(
+    { _id: paymentId, 'refund.refundStatus': { $ne: 'processed' } },
+    {
+      $set: {
+        'refund.refundId': refundData.refundId,
+        'refund.refundStatus': 'failed'
+      }
+    },
+    { new: true }
+  );
+};
+
+module.exports = {
+  getRefundWindowDays,
+  isWithinRefundWindow,
+  issueRefund,
+  completeRefund,
+  failRefund
+};
@@ -0,0 +1,85 @@
+const Payment = require('../models/Payment');
+const Course = require('../models/Course');
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Revenue per course from completed payments, with cart and bundle payments
+ * split across their courses.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.startDate] - Only payments created on or after this date
+ * @param {string} [options.endDate] - Only payments created on or before this date
+ * @param {string[]} [options.courseIds] - Limit the report to these course c_ids
+ * @returns {Promise<Object[]>} One row per course and currency, highest revenue first
+ */
+const getCourseRevenue = async ({ startDate, endDate, courseIds } = {}) => {
+  const match = {
+    status: 'completed',
+    paymentType: { $in: ['course', 'renewal', 'cart', 'bundle'] }
+  };
+  if (startDate || endDate) {
+    match.createdAt = {};
+    if (startDate) match.createdAt.$gte = new Date(startDate);
+    if (endDate) match.createdAt.$lte = new Date(endDate);
+  }
+  if (courseIds) {
+    match.$or = [
+      { course: { $in: courseIds } },
+      { 'items.course': { $in: courseIds } }
+    ];
+  }
+
+  const revenue = await Payment.aggregate([
+    { $match: match },
+    // Single-course payments become one line; cart and bundle payments already have lines
+    {
+      $project: {
+        paymentType: 1,
+        currency: 1,
+        lines: {
+          $cond: [
+            { $gt: [{ $size: { $ifNull: ['$items', []] } }, 0] },
+            '$items',
+            [{ course: '$course', price: '$amount' }]
+          ]
+        }
+      }
+    },
+    { $unwind: '$lines' },
+    // A cart or bundle can include courses outside the report
+    ...(courseIds ? [{ $match: { 'lines.course': { $in: courseIds } } }] : []),
+    {
+      $group: {
+        _id: { course: '$lines.course', currency: '$currency' },
+        revenue: { $sum: '$lines.price' },
+        sales: { $sum: 1 },
+        bundleRevenue: {
+          $sum: { $cond: [{ $eq: ['$paymentType', 'bundle'] }, '$lines.price', 0] }
+        },
+        renewalRevenue: {
+          $sum: { $cond: [{ $eq: ['$paymentType', 'renewal'] }, '$lines.price', 0] }
+        }
+      }
+    },
+    { $sort: { revenue: -1 } }
+  ]);
+
+  const courses = await Course.find({ c_id: { $in: revenue.map(item => item._id.course) } })
+    .select('c_id title');
+  const titleMap = new Map(courses.map(course => [course.c_id, course.title]));
+
+  return revenue.map(item => ({
+    courseId: item._id.course,
+    title: titleMap.get(item._id.course) || null,
+    currency: item._id.currency,
+    revenue: roundAmount(item.revenue),
+    bundleRevenue: roundAmount(item.bundleRevenue),
+    renewalRevenue: roundAmount(item.renewalRevenue),
+    sales: item.sales
+  }));
+};
+
+module.exports = {
+  getCourseRevenue
+};
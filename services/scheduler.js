@@ -0,0 +1,125 @@
+const os = require('os');
+const ScheduledJob = require('../models/ScheduledJob');
+
+// How often each instance looks for due jobs
+const TICK_INTERVAL_MS = 60 * 1000;
+
+// How long a claimed job stays locked if its instance dies mid-run
+const LOCK_TIMEOUT_MS = 15 * 60 * 1000;
+
+const instanceId = `${os.hostname()}:${process.pid}`;
+const jobs = new Map();
+let timer = null;
+let ticking = false;
+
+/**
+ * Register a recurring job. Schedule state lives in MongoDB, so restarts
+ * keep the timetable and only one instance runs a job at a time.
+ *
+ * @param {string} name - Unique job name
+ * @param {number} intervalMs - Time between runs
+ * @param {Function} handler - async () => result, stored as lastResult
+ */
+const registerJob = (name, intervalMs, handler) => {
+  jobs.set(name, { name, intervalMs, handler });
+};
+
+// Atomically claim a due job so other instances skip it
+const claimJob = async (job, now) => {
+  return await ScheduledJob.findOneAndUpdate(
+    {
+      name: job.name,
+      nextRunAt: { $lte: now },
+      $or: [
+        { lockedUntil: { $exists: false } },
+        { lockedUntil: null },
+        { lockedUntil: { $lte: now } }
+      ]
+    },
+    {
+      lockedUntil: new Date(now.getTime() + LOCK_TIMEOUT_MS),
+      lockedBy: instanceId,
+      lastRunAt: now
+    },
+    { new: true }
+  );
+};
+
+const runJob = async (job) => {
+  const now = new Date();
+  const claimed = await claimJob(job, now);
+  if (!claimed) return;
+
+  const update = {
+    lockedUntil: null,
+    lockedBy: null,
+    nextRunAt: new Date(now.getTime() + job.intervalMs),
+    $inc: { runCount: 1 }
+  };
+
+  try {
+    const result = await job.handler();
+    update.lastStatus = 'success';
+    update.lastResult = result;
+    update.lastError = null;
+    console.log(`⏰ Job ${job.name} finished:`, result);
+  } catch (error) {
+    update.lastStatus = 'failed';
+    update.lastError = error.message;
+    console.error(`❌ Job ${job.name} failed:`, error);
+  }
+
+  update.lastFinishedAt = new Date();
+  await ScheduledJob.updateOne({ _id: claimed._id, lockedBy: instanceId }, update);
+};
+
+const tick = async () => {
+  if (ticking) return;
+  ticking = true;
+
+  try {
+    for (const job of jobs.values()) {
+      await runJob(job);
+    }
+  } catch (error) {
+    console.error('Scheduler tick error:', error);
+  } finally {
+    ticking = false;
+  }
+};
+
+// Start running registered jobs. Call once the database is connected.
+const startScheduler = async () => {
+  if (timer) return;
+
+  // Make sure every job has a schedule document; a changed interval takes effect on its next run
+  for (const job of jobs.values()) {
+    await ScheduledJob.updateOne(
+      { name: job.name },
+      {
+        $set: { intervalMs: job.intervalMs },
+        $setOnInsert: { nextRunAt: new Date() }
+      },
+      { upsert: true }
+    );
+  }
+
+  timer = setInterval(tick, TICK_INTERVAL_MS);
+  timer.unref();
+  console.log(`⏰ Scheduler started with ${jobs.size} job(s)`);
+
+  tick();
+};
+
+const stopScheduler = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
+
+module.exports = {
+  registerJob,
+  startScheduler,
+  stopScheduler
+};
@@ -0,0 +1,34 @@
+const SecurityEvent = require('../models/SecurityEvent');
+
+/**
+ * Record a security event. Never throws, so it cannot break the request that
+ * noticed the problem.
+ *
+ * @param {string} type - SecurityEvent type
+ * @param {Object} data
+ * @param {string} [data.user] - User author_id
+ * @param {string} [data.session] - Session _id
+ * @param {string} [data.ip] - Client IP address
+ * @param {string} [data.userAgent] - User-Agent header
+ * @param {Object} [data.details] - Anything else worth keeping
+ */
+const recordSecurityEvent = async (type, { user, session, ip, userAgent, details } = {}) => {
+  console.warn(`Security event ${type} for user ${user || 'unknown'} from ${ip || 'unknown IP'}`);
+
+  try {
+    await SecurityEvent.create({
+      type,
+      user,
+      session,
+      ip,
+      userAgent: userAgent ? userAgent.slice(0, 500) : undefined,
+      details
+    });
+  } catch (error) {
+    console.error('Record security event error:', error);
+  }
+};
+
+module.exports = {
+  recordSecurityEvent
+};
@@ -0,0 +1,248 @@
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const Session = require('../models/Session');
+const { hashToken } = require('./authTokens');
+const { recordSecurityEvent } = require('./securityEvents');
+
+const createError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+// A retired refresh token presented this soon after its rotation is treated as a race between tabs, not theft
+const getReuseGraceSeconds = () => parseInt(process.env.REFRESH_TOKEN_REUSE_GRACE_SECONDS || 10);
+
+// Access and refresh tokens both carry the session id; refresh tokens also carry their generation
+const generateTokens = (userId, sessionId, generation = 0) => {
+  const accessToken = jwt.sign(
+    { userId, sid: sessionId },
+    process.env.JWT_SECRET,
+    { expiresIn: process.env.JWT_EXPIRE || '24h' }
+  );
+
+  const refreshToken = jwt.sign(
+    { userId, sid: sessionId, gen: generation },
+    process.env.JWT_REFRESH_SECRET,
+    { expiresIn: process.env.JWT_REFRESH_EXPIRE || '7d' }
+  );
+
+  return { accessToken, refreshToken };
+};
+
+const getTokenExpiry = (token) => new Date(jwt.decode(token).exp * 1000);
+
+// Short readable name such as "Chrome on Windows" for the session list
+const describeDevice = (userAgent = '') => {
+  const browsers = [
+    ['Edge', /Edg(e|A|iOS)?\//],
+    ['Opera', /OPR\/|Opera/],
+    ['Samsung Internet', /SamsungBrowser\//],
+    ['Firefox', /Firefox\/|FxiOS\//],
+    ['Chrome', /Chrome\/|CriOS\//],
+    ['Safari', /Version\/.*Safari\//]
+  ];
+  const systems = [
+    ['iOS', /iPhone|iPad|iPod/],
+    ['Android', /Android/],
+    ['Windows', /Windows/],
+    ['macOS', /Mac OS X|Macintosh/],
+    ['ChromeOS', /CrOS/],
+    ['Linux', /Linux/]
+  ];
+
+  const browser = browsers.find(([, pattern]) => pattern.test(userAgent))?.[0];
+  const system = systems.find(([, pattern]) => pattern.test(userAgent))?.[0];
+
+  if (browser && system) return `${browser} on ${system}`;
+  return browser || system || 'Unknown device';
+};
+
+const getClientDetails = ({ userAgent, ip }) => ({
+  userAgent: userAgent ? userAgent.slice(0, 500) : undefined,
+  ip,
+  deviceLabel: describeDevice(userAgent)
+});
+
+/**
+ * Start a session for a signed-in user.
+ *
+ * @param {string} userId - User author_id
+ * @param {Object} client
+ * @param {string} [client.userAgent] - User-Agent header of the request
+ * @param {string} [client.ip] - Client IP address
+ * @returns {Promise<Object>} accessToken, refreshToken and the new session
+ */
+const createSession = async (userId, client = {}) => {
+  const session = new Session({ user: userId, ...getClientDetails(client) });
+  const { accessToken, refreshToken } = generateTokens(userId, session.id);
+
+  session.tokenHash = hashToken(refreshToken);
+  session.expiresAt = getTokenExpiry(refreshToken);
+  await session.save();
+
+  return { accessToken, refreshToken, session };
+};
+
+/**
+ * Swap a refresh token for a new token pair on the same session. Each refresh
+ * token works once: presenting one that was already rotated means it was copied,
+ * so the whole session is revoked and a security event is recorded.
+ *
+ * @param {string} refreshToken - Refresh token from the cookie
+ * @param {Object} client - userAgent and ip of the request
+ * @returns {Promise<Object>} accessToken, refreshToken and the session's userId
+ */
+const refreshSession = async (refreshToken, client = {}) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(refreshToken, process.env.JWT_REFRESH_SECRET);
+  } catch (error) {
+    throw createError('Invalid refresh token', 401);
+  }
+
+  // Tokens issued before sessions existed carry no session id and are not accepted
+  if (!mongoose.isValidObjectId(decoded.sid)) {
+    throw createError('Invalid refresh token', 401);
+  }
+
+  const session = await Session.findOne({
+    _id: decoded.sid,
+    user: decoded.userId,
+    expiresAt: { $gt: new Date() }
+  });
+  if (!session) {
+    throw createError('Invalid refresh token', 401);
+  }
+
+  const generation = decoded.gen || 0;
+  if (session.tokenHash !== hashToken(refreshToken)) {
+    const justRotated = generation === session.generation - 1
+      && session.rotatedAt > new Date(Date.now() - getReuseGraceSeconds() * 1000);
+
+    if (generation < session.generation && !justRotated) {
+      await Session.deleteOne({ _id: session._id });
+      await recordSecurityEvent('refresh_token_reuse', {
+        user: session.user,
+        session: session._id,
+        ...client,
+        details: {
+          presentedGeneration: generation,
+          currentGeneration: session.generation,
+          deviceLabel: session.deviceLabel,
+          sessionIp: session.ip
+        }
+      });
+    }
+    throw createError('Invalid refresh token', 401);
+  }
+
+  const tokens = generateTokens(session.user, session.id, generation + 1);
+  // Conditional on the old hash, so two concurrent refreshes cannot both succeed
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, tokenHash: session.tokenHash },
+    {
+      tokenHash: hashToken(tokens.refreshToken),
+      generation: generation + 1,
+      rotatedAt: new Date(),
+      expiresAt: getTokenExpiry(tokens.refreshToken),
+      lastUsedAt: new Date(),
+      ...getClientDetails(client)
+    },
+    { new: true }
+  );
+
+  if (!rotated) {
+    throw createError('Invalid refresh token', 401);
+  }
+
+  return { ...tokens, userId: session.user };
+};
+
+/**
+ * Check that the session an access token was issued for has not been revoked.
+ *
+ * @param {string} sessionId - Session id from the access token
+ * @param {string} userId - User author_id from the access token
+ * @returns {Promise<boolean>}
+ */
+const isSessionActive = async (sessionId, userId) => {
+  if (!mongoose.isValidObjectId(sessionId)) return false;
+
+  return Boolean(await Session.exists({
+    _id: sessionId,
+    user: userId,
+    expiresAt: { $gt: new Date() }
+  }));
+};
+
+/**
+ * List a user's sessions, most recently used first.
+ *
+ * @param {string} userId - User author_id
+ * @param {string} [currentSessionId] - Session making the request, flagged as current
+ * @returns {Promise<Object[]>}
+ */
+const listSessions = async (userId, currentSessionId) => {
+  const sessions = await Session.find({ user: userId, expiresAt: { $gt: new Date() } })
+    .sort({ lastUsedAt: -1 })
+    .lean();
+
+  return sessions.map(session => ({
+    id: session._id.toString(),
+    deviceLabel: session.deviceLabel,
+    userAgent: session.userAgent,
+    ip: session.ip,
+    createdAt: session.createdAt,
+    lastUsedAt: session.lastUsedAt,
+    expiresAt: session.expiresAt,
+    current: session._id.toString() === currentSessionId
+  }));
+};
+
+/**
+ * End one of a user's sessions.
+ *
+ * @param {string} userId - User author_id
+ * @param {string} sessionId - Session to end
+ */
+const revokeSession = async (userId, sessionId) => {
+  if (!mongoose.isValidObjectId(sessionId)) {
+    throw createError('Session not found', 404);
+  }
+
+  const result = await Session.deleteOne({ _id: sessionId, user: userId });
+  if (result.deletedCount === 0) {
+    throw createError('Session not found', 404);
+  }
+};
+
+// End the session a refresh token belongs to, e.g. on logout
+const revokeSessionByToken = (refreshToken) => Session.deleteOne({ tokenHash: hashToken(refreshToken) });
+
+/**
+ * End every session of a user, optionally keeping one.
+ *
+ * @param {string} userId - User author_id
+ * @param {Object} [options]
+ * @param {string} [options.exceptSessionId] - Session to keep signed in
+ * @returns {Promise<number>} Number of sessions ended
+ */
+const revokeAllSessions = async (userId, { exceptSessionId } = {}) => {
+  const filter = { user: userId };
+  if (mongoose.isValidObjectId(exceptSessionId)) filter._id = { $ne: exceptSessionId };
+
+  const result = await Session.deleteMany(filter);
+  return result.deletedCount;
+};
+
+module.exports = {
+  describeDevice,
+  createSession,
+  refreshSession,
+  isSessionActive,
+  listSessions,
+  revokeSession,
+  revokeSessionByToken,
+  revokeAllSessions
+};
@@ -0,0 +1,424 @@
+const razorpay = require('../config/razorpay');
+const Plan = require('../models/Plan');
+const Subscription = require('../models/Subscription');
+const Enrollment = require('../models/Enrollment');
+const Course = require('../models/Course');
+const Payment = require('../models/Payment');
+const User = require('../models/User');
+const { sendMail } = require('./mailer');
+const { issueInvoice } = require('./invoices');
+const { verifySubscriptionCheckout, normalizeSubscription } = require('./payments/razorpayProtocol');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Number of billing cycles a Razorpay subscription runs for before it completes
+const TOTAL_CYCLES = {
+  monthly: 120,
+  yearly: 10
+};
+
+// Subscriptions that are billing or about to; a user can have one at a time
+const LIVE_STATUSES = ['trialing', 'active', 'past_due'];
+
+const createError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const requireRazorpay = () => {
+  if (!razorpay) {
+    throw createError('Subscriptions are not available right now.', 503);
+  }
+};
+
+// Map a Razorpay subscription status to ours. "authenticated" means the mandate is
+// set up and the first charge is scheduled, which is the trial when there is one.
+const mapStatus = (subscription, gatewayStatus) => {
+  switch (gatewayStatus) {
+    case 'authenticated':
+      return subscription.trialEndsAt > new Date() ? 'trialing' : 'created';
+    case 'pending':
+      return 'past_due';
+    case 'active':
+    case 'halted':
+    case 'paused':
+    case 'cancelled':
+    case 'completed':
+    case 'expired':
+      return gatewayStatus;
+    default:
+      return 'created';
+  }
+};
+
+// Copy a normalized Razorpay subscription onto our record
+const applyGatewayState = (subscription, state) => {
+  subscription.status = mapStatus(subscription, state.status);
+  if (state.currentStart) subscription.currentPeriodStart = state.currentStart;
+  if (state.currentEnd) subscription.currentPeriodEnd = state.currentEnd;
+  if (state.customerId) subscription.razorpay.customerId = state.customerId;
+  if (state.shortUrl) subscription.razorpay.shortUrl = state.shortUrl;
+  if (state.paidCount !== undefined) subscription.paidCount = state.paidCount;
+
+  if (subscription.status === 'cancelled' && !subscription.cancelledAt) {
+    subscription.cancelledAt = new Date();
+  }
+};
+
+/**
+ * Create the Razorpay plan a Plan bills through, replacing the old one when the
+ * price, currency or interval changed.
+ *
+ * @param {Object} plan - Plan document, saved by the caller
+ * @returns {Promise<Object>} The plan with razorpayPlanId set
+ */
+const syncRazorpayPlan = async (plan) => {
+  const billingChanged = plan.isNew || plan.isModified('price') || plan.isModified('currency') || plan.isModified('interval');
+  if (plan.razorpayPlanId && !billingChanged) return plan;
+
+  requireRazorpay();
+
+  const gatewayPlan = await razorpay.plans.create({
+    period: plan.interval,
+    interval: 1,
+    item: {
+      name: plan.name,
+      amount: Math.round(plan.price * 100), // Convert to paise
+      currency: plan.currency,
+      description: plan.description
+    },
+    notes: {
+      planId: plan._id.toString()
+    }
+  });
+
+  plan.razorpayPlanId = gatewayPlan.id;
+  return plan;
+};
+
+// The subscription currently granting access to a user, if any
+const findActiveSubscription = async (userId) => {
+  return await Subscription.findOne({
+    user: userId,
+    accessEndsAt: { $gt: new Date() }
+  })
+    .sort({ accessEndsAt: -1 })
+    .populate('plan', 'name interval price currency');
+};
+
+// Keep plan-granted enrollments in step with the user's subscription access. Lapsed
+// enrollments are expired rather than removed so their progress is there on resubscribe.
+const syncPlanEnrollments = async (userId) => {
+  const subscription = await findActiveSubscription(userId);
+  const filter = { user: userId, source: 'subscription', status: 'active' };
+
+  if (subscription) {
+    await Enrollment.updateMany(filter, {
+      expiresAt: subscription.accessEndsAt,
+      subscription: subscription._id
+    });
+  } else {
+    await Enrollment.updateMany(filter, { status: 'expired', expiresAt: new Date() });
+  }
+};
+
+/**
+ * Give a subscriber access to a course through their plan. Purchased enrollments
+ * are left alone and returned so progress keeps being recorded on them.
+ *
+ * @param {string} userId - User author_id
+ * @param {Object} course - Published Course document
+ * @returns {Promise<Object|null>} { subscription, enrollment }, or null without an active subscription
+ */
+const grantPlanAccess = async (userId, course) => {
+  const subscription = await findActiveSubscription(userId);
+  if (!subscription) return null;
+
+  const existing = await Enrollment.findOne({ user: userId, course: course.c_id });
+  if (existing && existing.source !== 'subscription') {
+    return { subscription, enrollment: existing };
+  }
+
+  if (existing?.status === 'active' && existing.expiresAt.getTime() === subscription.accessEndsAt.getTime()) {
+    return { subscription, enrollment: existing };
+  }
+
+  try {
+    const result = await Enrollment.findOneAndUpdate(
+      { user: userId, course: course.c_id, source: 'subscription' },
+      {
+        status: 'active',
+        expiresAt: subscription.accessEndsAt,
+        subscription: subscription._id
+      },
+      { upsert: true, new: true, includeResultMetadata: true, setDefaultsOnInsert: true }
+    );
+
+    if (!result.lastErrorObject?.updatedExisting) {
+      await Course.updateOne({ _id: course._id }, { $inc: { enrollmentCount: 1 } });
+    }
+
+    return { subscription, enrollment: result.value };
+  } catch (error) {
+    // A purchase created the enrollment in the meantime
+    if (error.code !== 11000) throw error;
+    const enrollment = await Enrollment.findOne({ user: userId, course: course.c_id });
+    return { subscription, enrollment };
+  }
+};
+
+/**
+ * Start a subscription to a plan. The first subscription a user takes out gets
+ * the plan's trial; Razorpay then charges at the end of the trial.
+ *
+ * @param {Object} user - User document
+ * @param {string} planId - Plan _id
+ * @returns {Promise<Object>} { subscription, plan }
+ */
+const createSubscription = async (user, planId) => {
+  requireRazorpay();
+
+  const plan = await Plan.findOne({ _id: planId, isActive: true });
+  if (!plan || !plan.razorpayPlanId) {
+    throw createError('Plan not found.', 404);
+  }
+
+  const current = await Subscription.findOne({
+    user: user.author_id,
+    status: { $in: LIVE_STATUSES },
+    cancelAtPeriodEnd: false
+  });
+  if (current) {
+    throw createError('You already have an active subscription.', 400);
+  }
+
+  const hadTrial = await Subscription.exists({
+    user: user.author_id,
+    trialEndsAt: { $exists: true },
+    status: { $ne: 'created' }
+  });
+  const trialEndsAt = plan.trialDays > 0 && !hadTrial
+    ? new Date(Date.now() + plan.trialDays * DAY_MS)
+    : undefined;
+
+  const gatewaySubscription = await razorpay.subscriptions.create({
+    plan_id: plan.razorpayPlanId,
+    total_count: TOTAL_CYCLES[plan.interval],
+    quantity: 1,
+    customer_notify: 1,
+    ...(trialEndsAt && { start_at: Math.floor(trialEndsAt.getTime() / 1000) }),
+    notes: {
+      userId: user.author_id,
+      planId: plan._id.toString()
+    }
+  });
+
+  const subscription = await Subscription.create({
+    user: user.author_id,
+    plan: plan._id,
+    razorpay: {
+      subscriptionId: gatewaySubscription.id,
+      planId: plan.razorpayPlanId,
+      shortUrl: gatewaySubscription.short_url
+    },
+    trialEndsAt
+  });
+
+  return { subscription, plan };
+};
+
+/**
+ * Confirm a subscription after Razorpay Checkout and refresh it from Razorpay.
+ *
+ * @param {Object} user - User document
+ * @param {Object} body - subscriptionId, razorpay_payment_id, signature
+ * @returns {Promise<Object>} Subscription document
+ */
+const confirmSubscription = async (user, body) => {
+  requireRazorpay();
+
+  const subscription = await Subscription.findOne({
+    'razorpay.subscriptionId': body.subscriptionId,
+    user: user.author_id
+  });
+  if (!subscription) {
+    throw createError('Subscription not found.', 404);
+  }
+
+  // Without the secret any signature would be checked against an empty key
+  if (!process.env.RAZORPAY_KEY_SECRET) {
+    throw createError('Subscriptions are not available right now.', 503);
+  }
+
+  const verification = verifySubscriptionCheckout(body.subscriptionId, body, process.env.RAZORPAY_KEY_SECRET);
+  if (!verification.verified) {
+    throw createError(verification.reason, verification.status);
+  }
+
+  const gatewaySubscription = await razorpay.subscriptions.fetch(body.subscriptionId);
+  applyGatewayState(subscription, normalizeSubscription(gatewaySubscription));
+  await subscription.save();
+  await syncPlanEnrollments(user.author_id);
+
+  return subscription;
+};
+
+/**
+ * Cancel the user's subscription, by default at the end of the paid period.
+ * A trial cancelled at period end stops billing now and keeps access until the trial ends.
+ *
+ * @param {Object} user - User document
+ * @param {Object} [options] - atPeriodEnd (default true)
+ * @returns {Promise<Object>} Subscription document
+ */
+const cancelSubscription = async (user, { atPeriodEnd = true } = {}) => {
+  requireRazorpay();
+
+  const subscription = await Subscription.findOne({
+    user: user.author_id,
+    status: { $in: LIVE_STATUSES }
+  }).sort({ createdAt: -1 });
+
+  if (!subscription) {
+    throw createError('No active subscription found.', 404);
+  }
+
+  if (subscription.cancelAtPeriodEnd && atPeriodEnd) {
+    throw createError('Your subscription is already set to cancel at the end of the period.', 400);
+  }
+
+  // Razorpay only schedules cancellation for subscriptions that are being charged
+  const cancelAtCycleEnd = atPeriodEnd && subscription.status === 'active';
+  const gatewaySubscription = await razorpay.subscriptions.cancel(subscription.razorpay.subscriptionId, cancelAtCycleEnd);
+
+  subscription.cancelAtPeriodEnd = atPeriodEnd;
+  applyGatewayState(subscription, normalizeSubscription(gatewaySubscription));
+  await subscription.save();
+  await syncPlanEnrollments(user.author_id);
+
+  return subscription;
+};
+
+// Record a renewal charge as a completed payment with its own invoice
+const recordCharge = async (subscription, charge, rawEvent) => {
+  const paymentMethods = Payment.schema.path('paymentMethod').enumValues;
+
+  const result = await Payment.findOneAndUpdate(
+    { 'paymentGateway.provider': 'razorpay', 'paymentGateway.paymentId': charge.paymentId },
+    {
+      $setOnInsert: {
+        user: subscription.user,
+        subscription: subscription._id,
+        amount: charge.amount,
+        currency: charge.currency,
+        status: 'completed',
+        paymentType: 'subscription',
+        paymentMethod: paymentMethods.includes(charge.method) ? charge.method : 'card',
+        'paymentGateway.receipt': `sub_${Date.now()}_${subscription.user.slice(0, 8)}`,
+        webhookData: rawEvent
+      }
+    },
+    { upsert: true, new: true, includeResultMetadata: true, setDefaultsOnInsert: true }
+  );
+
+  if (!result.lastErrorObject?.updatedExisting) {
+    try {
+      await issueInvoice(result.value);
+    } catch (error) {
+      console.error('Issue invoice error:', error);
+    }
+  }
+};
+
+// Dunning and hold notices
+const sendSubscriptionEmail = async (subscription, kind) => {
+  const user = await User.findOne({ author_id: subscription.user, isActive: true }).select('firstName email');
+  if (!user) return;
+
+  const planName = subscription.plan?.name || 'your';
+  const manageUrl = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/account/subscription`;
+
+  const messages = {
+    past_due: {
+      subject: `We couldn't renew your ${planName} subscription`,
+      lines: [
+        `The renewal payment for your ${planName} subscription failed${subscription.dunning.lastFailureReason ? ` (${subscription.dunning.lastFailureReason})` : ''}.`,
+        `We will retry automatically. Your access continues until ${subscription.accessEndsAt?.toDateString()}.`,
+        'To avoid losing access, update your payment method:',
+        subscription.razorpay.shortUrl || manageUrl
+      ]
+    },
+    halted: {
+      subject: `Your ${planName} subscription is on hold`,
+      lines: [
+        `We could not collect the renewal payment for your ${planName} subscription after several attempts, so your all-access subscription is on hold.`,
+        'Your course progress is saved. Resubscribe to pick up where you left off:',
+        manageUrl
+      ]
+    }
+  };
+
+  const message = messages[kind];
+  await sendMail({
+    to: user.email,
+    subject: message.subject,
+    text: [`Hi ${user.firstName},`, '', ...message.lines].join('\n')
+  });
+};
+
+/**
+ * Apply a verified subscription webhook event from Razorpay.
+ *
+ * @param {Object} event - Normalized subscription event from razorpayProtocol
+ * @param {Object} rawEvent - Original payload, stored on renewal payments
+ * @returns {Promise<string>} Outcome, e.g. subscription_active, subscription_past_due
+ */
+const applySubscriptionEvent = async (event, rawEvent) => {
+  const subscription = await Subscription.findOne({
+    'razorpay.subscriptionId': event.subscription.subscriptionId
+  }).populate('plan', 'name interval');
+
+  if (!subscription) return 'subscription_not_found';
+
+  const previousStatus = subscription.status;
+  applyGatewayState(subscription, event.subscription);
+
+  if (event.type === 'subscription.charged' && event.payment) {
+    subscription.dunning = { failedAttempts: 0 };
+    await recordCharge(subscription, event.payment, rawEvent);
+  }
+
+  // Razorpay redelivers webhooks, so each failed charge is counted and emailed once
+  const failedCharge = event.payment?.paymentId || event.subscription.chargeAt?.toISOString();
+  const newFailure = event.type === 'subscription.pending' &&
+    (!failedCharge || subscription.dunning.lastFailedCharge !== failedCharge);
+
+  if (newFailure) {
+    subscription.dunning.failedAttempts += 1;
+    subscription.dunning.lastFailedAt = new Date();
+    subscription.dunning.lastFailureReason = event.payment?.failureReason;
+    subscription.dunning.lastFailedCharge = failedCharge;
+  }
+
+  await subscription.save();
+  await syncPlanEnrollments(subscription.user);
+
+  if (newFailure) {
+    await sendSubscriptionEmail(subscription, 'past_due');
+  } else if (subscription.status === 'halted' && previousStatus !== 'halted') {
+    await sendSubscriptionEmail(subscription, 'halted');
+  }
+
+  return `subscription_${subscription.status}`;
+};
+
+module.exports = {
+  syncRazorpayPlan,
+  findActiveSubscription,
+  grantPlanAccess,
+  createSubscription,
+  confirmSubscription,
+  cancelSubscription,
+  applySubscriptionEvent
+};
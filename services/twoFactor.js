@@ -0,0 +1,259 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const { generateSecret, verifyCode, buildProvisioningUri } = require('./totp');
+const { hashToken } = require('./authTokens');
+
+const CHALLENGE_PURPOSE = 'login_2fa';
+const BACKUP_CODE_COUNT = 10;
+
+const getIssuer = () => process.env.TWO_FACTOR_ISSUER || 'Learning Platform';
+
+const getChallengeMinutes = () => parseInt(process.env.TWO_FACTOR_CHALLENGE_MINUTES || 5);
+
+// Roles that must turn on 2FA before using any permission-protected route
+const getRequiredRoles = () => (process.env.TWO_FACTOR_REQUIRED_ROLES ?? 'admin,super_admin')
+  .split(',')
+  .map(role => role.trim())
+  .filter(Boolean);
+
+const isTwoFactorRequired = (user) => getRequiredRoles().includes(user.role);
+
+// Separate keys derived from JWT_SECRET unless set, so neither doubles as an access token secret
+const getEncryptionKey = () => crypto.createHash('sha256')
+  .update(process.env.TWO_FACTOR_ENCRYPTION_KEY || `${process.env.JWT_SECRET}:two-factor-secrets`)
+  .digest();
+
+const getChallengeSecret = () => crypto.createHmac('sha256', process.env.JWT_SECRET)
+  .update('login-2fa-challenge')
+  .digest('hex');
+
+const createError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+// AES-256-GCM, stored as iv.tag.ciphertext
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join('.');
+};
+
+const decryptSecret = (stored) => {
+  const [iv, tag, encrypted] = stored.split('.').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+const normalizeBackupCode = (code) => String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// Ten single-use codes such as 3f9a1-c07be; only their hashes are stored
+const generateBackupCodes = () => {
+  const codes = Array.from({ length: BACKUP_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(5).toString('hex');
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+
+  return {
+    codes,
+    backupCodes: codes.map(code => ({ codeHash: hashToken(normalizeBackupCode(code)) }))
+  };
+};
+
+const loadUser = async (userId) => {
+  const user = await User.findOne({ author_id: userId, isActive: true });
+  if (!user) {
+    throw createError('User not found', 404);
+  }
+  return user;
+};
+
+// Accept an authenticator code once, even when two requests race with the same code
+const useTotpCode = async (user, code) => {
+  const counter = verifyCode(decryptSecret(user.twoFactor.secret), code, {
+    afterCounter: user.twoFactor.lastUsedCounter ?? -1
+  });
+  if (counter === null) return false;
+
+  const result = await User.updateOne(
+    {
+      _id: user._id,
+      $or: [
+        { 'twoFactor.lastUsedCounter': { $exists: false } },
+        { 'twoFactor.lastUsedCounter': { $lt: counter } }
+      ]
+    },
+    { 'twoFactor.lastUsedCounter': counter }
+  );
+  return result.modifiedCount > 0;
+};
+
+const useBackupCode = async (user, backupCode) => {
+  const result = await User.updateOne(
+    {
+      _id: user._id,
+      'twoFactor.backupCodes': {
+        $elemMatch: { codeHash: hashToken(normalizeBackupCode(backupCode)), usedAt: { $exists: false } }
+      }
+    },
+    { $set: { 'twoFactor.backupCodes.$.usedAt': new Date() } }
+  );
+  return result.modifiedCount > 0;
+};
+
+/**
+ * Check a second factor: an authenticator code, or a backup code when code is absent.
+ *
+ * @param {Object} user - User document with 2FA enabled
+ * @param {Object} factor
+ * @param {string} [factor.code] - 6-digit authenticator code
+ * @param {string} [factor.backupCode] - Unused backup code
+ * @returns {Promise<string>} 'totp' or 'backup_code'
+ */
+const verifySecondFactor = async (user, { code, backupCode }) => {
+  if (!user.twoFactor?.enabled) {
+    throw createError('Two-factor authentication is not enabled', 400);
+  }
+
+  if (code && await useTotpCode(user, code)) return 'totp';
+  if (!code && backupCode && await useBackupCode(user, backupCode)) return 'backup_code';
+
+  throw createError('Invalid authentication code', 400);
+};
+
+const getTwoFactorStatus = (user) => ({
+  enabled: Boolean(user.twoFactor?.enabled),
+  required: isTwoFactorRequired(user),
+  enabledAt: user.twoFactor?.enabledAt || null,
+  backupCodesRemaining: (user.twoFactor?.backupCodes || []).filter(code => !code.usedAt).length
+});
+
+/**
+ * Start 2FA enrollment with a new secret. Nothing changes for login until the
+ * secret is confirmed with enableTwoFactor.
+ *
+ * @param {string} userId - User author_id
+ * @returns {Promise<Object>} Base32 secret and otpauth:// URI to show as a QR code
+ */
+const startTwoFactorSetup = async (userId) => {
+  const user = await loadUser(userId);
+  if (user.twoFactor?.enabled) {
+    throw createError('Two-factor authentication is already enabled', 400);
+  }
+
+  const secret = generateSecret();
+  await User.updateOne({ _id: user._id }, { 'twoFactor.pendingSecret': encryptSecret(secret) });
+
+  return {
+    secret,
+    otpauthUrl: buildProvisioningUri(secret, user.email, getIssuer())
+  };
+};
+
+/**
+ * Turn on 2FA once the user proves their app has the pending secret.
+ *
+ * @param {string} userId - User author_id
+ * @param {string} code - Current code from the authenticator app
+ * @returns {Promise<string[]>} Backup codes, shown to the user only this once
+ */
+const enableTwoFactor = async (userId, code) => {
+  const user = await loadUser(userId);
+  if (user.twoFactor?.enabled) {
+    throw createError('Two-factor authentication is already enabled', 400);
+  }
+  if (!user.twoFactor?.pendingSecret) {
+    throw createError('Start two-factor setup first', 400);
+  }
+
+  const secret = decryptSecret(user.twoFactor.pendingSecret);
+  const counter = verifyCode(secret, code);
+  if (counter === null) {
+    throw createError('Invalid authentication code', 400);
+  }
+
+  const { codes, backupCodes } = generateBackupCodes();
+  user.twoFactor = {
+    enabled: true,
+    secret: user.twoFactor.pendingSecret,
+    lastUsedCounter: counter,
+    backupCodes,
+    enabledAt: new Date()
+  };
+  await user.save();
+
+  return codes;
+};
+
+/**
+ * Turn off 2FA. Needs the password and a second factor, and is refused for roles
+ * that must use 2FA.
+ *
+ * @param {string} userId - User author_id
+ * @param {Object} confirmation - currentPassword plus code or backupCode
+ */
+const disableTwoFactor = async (userId, { currentPassword, code, backupCode }) => {
+  const user = await loadUser(userId);
+
+  if (isTwoFactorRequired(user)) {
+    throw createError('Two-factor authentication is required for your role and cannot be turned off', 403);
+  }
+
+  if (!(await user.comparePassword(currentPassword))) {
+    throw createError('Current password is incorrect', 400);
+  }
+
+  await verifySecondFactor(user, { code, backupCode });
+
+  await User.updateOne({ _id: user._id }, { $unset: { twoFactor: 1 } });
+};
+
+/**
+ * Replace all backup codes after checking an authenticator code.
+ *
+ * @param {string} userId - User author_id
+ * @param {string} code - Current code from the authenticator app
+ * @returns {Promise<string[]>} New backup codes
+ */
+const regenerateBackupCodes = async (userId, code) => {
+  const user = await loadUser(userId);
+  await verifySecondFactor(user, { code });
+
+  const { codes, backupCodes } = generateBackupCodes();
+  await User.updateOne({ _id: user._id }, { 'twoFactor.backupCodes': backupCodes });
+
+  return codes;
+};
+
+// Short-lived token proving the password step of a login succeeded
+const createLoginChallenge = (user) => jwt.sign(
+  { userId: user.author_id, purpose: CHALLENGE_PURPOSE },
+  getChallengeSecret(),
+  { expiresIn: `${getChallengeMinutes()}m` }
+);
+
+const verifyLoginChallenge = (token) => {
+  try {
+    const decoded = jwt.verify(token, getChallengeSecret());
+    if (decoded.purpose !== CHALLENGE_PURPOSE) throw new Error('Wrong token purpose');
+    return decoded.userId;
+  } catch (error) {
+    throw createError('Your login session has expired. Please log in again.', 401);
+  }
+};
+
+module.exports = {
+  isTwoFactorRequired,
+  getTwoFactorStatus,
+  startTwoFactorSetup,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateBackupCodes,
+  verifySecondFactor,
+  createLoginChallenge,
+  verifyLoginChallenge
+};
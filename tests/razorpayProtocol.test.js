@@ -0,0 +1,155 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.PAYMENT_PROVIDER = 'mock';
+
+const Payment = require('../models/Payment');
+const { sign, signCheckout, verifyCheckout, toPaymentMethod, parseSignedWebhook } = require('../services/payments/razorpayProtocol');
+const razorpayProvider = require('../services/payments/providers/razorpay');
+const { buildGatewayUpdate } = require('../services/fulfillment');
+
+const WEBHOOK_SECRET = 'whsec_test';
+const KEY_SECRET = 'key_secret_test';
+
+// Webhook request signed the way Razorpay signs it
+const signedWebhook = (body, secret = WEBHOOK_SECRET) => {
+  const rawBody = JSON.stringify(body);
+  return { body, rawBody, headers: { 'x-razorpay-signature': sign(rawBody, secret) } };
+};
+
+const capturedEvent = {
+  event: 'payment.captured',
+  payload: { payment: { entity: { id: 'pay_1', order_id: 'order_1', method: 'upi' } } }
+};
+
+describe('parseSignedWebhook', () => {
+  it('accepts a payload signed with the webhook secret', () => {
+    const parsed = parseSignedWebhook(signedWebhook(capturedEvent), WEBHOOK_SECRET);
+
+    assert.equal(parsed.verified, true);
+    assert.equal(parsed.eventName, 'payment.captured');
+  });
+
+  it('rejects a payload signed with another secret', () => {
+    const parsed = parseSignedWebhook(signedWebhook(capturedEvent, 'whsec_other'), WEBHOOK_SECRET);
+
+    assert.deepEqual(parsed, { configured: true, verified: false });
+  });
+
+  it('rejects a payload changed after it was signed', () => {
+    const req = signedWebhook(capturedEvent);
+    req.rawBody = req.rawBody.replace('pay_1', 'pay_2');
+
+    assert.equal(parseSignedWebhook(req, WEBHOOK_SECRET).verified, false);
+  });
+
+  it('rejects a request without a signature', () => {
+    const req = signedWebhook(capturedEvent);
+    delete req.headers['x-razorpay-signature'];
+
+    assert.equal(parseSignedWebhook(req, WEBHOOK_SECRET).verified, false);
+  });
+
+  it('reports itself unconfigured without a secret', () => {
+    assert.deepEqual(parseSignedWebhook(signedWebhook(capturedEvent), undefined), { configured: false });
+  });
+});
+
+describe('verifyCheckout', () => {
+  const payment = { paymentGateway: { orderId: 'order_1' } };
+
+  it('accepts the signature Checkout returns', () => {
+    const body = { orderId: 'order_1', razorpay_payment_id: 'pay_1', signature: signCheckout('order_1', 'pay_1', KEY_SECRET) };
+
+    assert.deepEqual(verifyCheckout(payment, body, KEY_SECRET), { verified: true, paymentId: 'pay_1', signature: body.signature });
+  });
+
+  it('rejects a signature for another payment', () => {
+    const body = { orderId: 'order_1', razorpay_payment_id: 'pay_2', signature: signCheckout('order_1', 'pay_1', KEY_SECRET) };
+
+    assert.equal(verifyCheckout(payment, body, KEY_SECRET).verified, false);
+  });
+
+  it('rejects a callback for another order', () => {
+    const body = { orderId: 'order_2', razorpay_payment_id: 'pay_1', signature: signCheckout('order_2', 'pay_1', KEY_SECRET) };
+
+    assert.equal(verifyCheckout(payment, body, KEY_SECRET).reason, 'Payment does not match this order.');
+  });
+});
+
+describe('razorpay provider without RAZORPAY_KEY_SECRET', () => {
+  it('refuses checkout verification and reports itself unavailable', async () => {
+    const previous = process.env.RAZORPAY_KEY_SECRET;
+    delete process.env.RAZORPAY_KEY_SECRET;
+
+    try {
+      // Signed with the empty key a missing secret used to fall back to
+      const body = { orderId: 'order_1', razorpay_payment_id: 'pay_1', signature: signCheckout('order_1', 'pay_1', '') };
+      const verification = await razorpayProvider.verifyPayment({ payment: { paymentGateway: { orderId: 'order_1' } }, body });
+
+      assert.equal(verification.verified, false);
+      assert.equal(verification.status, 503);
+      assert.equal(razorpayProvider.isAvailable(), false);
+    } finally {
+      if (previous !== undefined) process.env.RAZORPAY_KEY_SECRET = previous;
+    }
+  });
+});
+
+describe('toPaymentMethod', () => {
+  it('keeps methods the Payment record already knows', () => {
+    for (const method of ['card', 'upi', 'netbanking', 'wallet', 'emi']) {
+      assert.equal(toPaymentMethod(method), method);
+    }
+  });
+
+  it('groups other Razorpay methods into the Payment enum', () => {
+    assert.equal(toPaymentMethod('paylater'), 'emi');
+    assert.equal(toPaymentMethod('cardless_emi'), 'emi');
+    assert.equal(toPaymentMethod('bank_transfer'), 'netbanking');
+    assert.equal(toPaymentMethod('emandate'), 'netbanking');
+    assert.equal(toPaymentMethod('nach'), 'netbanking');
+  });
+
+  it('records methods it has never seen as card', () => {
+    assert.equal(toPaymentMethod('crypto'), 'card');
+  });
+
+  it('leaves a missing method unset', () => {
+    assert.equal(toPaymentMethod(undefined), undefined);
+  });
+
+  it('only returns values the Payment enum accepts', () => {
+    const paymentMethods = Payment.schema.path('paymentMethod').enumValues;
+    for (const method of ['paylater', 'cardless_emi', 'bank_transfer', 'emandate', 'nach', 'crypto']) {
+      assert.ok(paymentMethods.includes(toPaymentMethod(method)));
+    }
+  });
+});
+
+describe('webhook method normalization', () => {
+  it('maps the method of a captured payment', () => {
+    const req = signedWebhook({
+      event: 'payment.captured',
+      payload: { payment: { entity: { id: 'pay_1', order_id: 'order_1', method: 'paylater' } } }
+    });
+
+    const parsed = parseSignedWebhook(req, WEBHOOK_SECRET);
+
+    assert.deepEqual(parsed.event, { type: 'payment.captured', orderId: 'order_1', paymentId: 'pay_1', method: 'emi' });
+  });
+});
+
+describe('buildGatewayUpdate', () => {
+  it('stores a method outside the Payment enum as card', () => {
+    assert.equal(buildGatewayUpdate({ paymentId: 'pay_1', method: 'paylater' }).paymentMethod, 'card');
+  });
+
+  it('stores an enum method as given', () => {
+    assert.equal(buildGatewayUpdate({ paymentId: 'pay_1', method: 'upi' }).paymentMethod, 'upi');
+  });
+
+  it('leaves the method alone when the gateway did not report one', () => {
+    assert.equal('paymentMethod' in buildGatewayUpdate({ paymentId: 'pay_1' }), false);
+  });
+});
@@ -0,0 +1,145 @@
+const { describe, it, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.PAYMENT_PROVIDER = 'mock';
+
+const Payment = require('../models/Payment');
+const ReconciliationReport = require('../models/ReconciliationReport');
+const fulfillment = require('../services/fulfillment');
+
+// Replaced before reconciliation.js is loaded, since it keeps its own reference to fulfillPayment
+const fulfillPayment = mock.method(fulfillment, 'fulfillPayment', async () => ({
+  outcome: fulfillment.FULFILLMENT_OUTCOMES.FULFILLED
+}));
+
+const { reconcilePayments } = require('../services/reconciliation');
+
+// Razorpay client that answers from fixed attempts per order and a list of captured payments
+const createClient = ({ attemptsByOrder = {}, captured = [] } = {}) => ({
+  orders: {
+    fetchPayments: async (orderId) => ({ items: attemptsByOrder[orderId] || [] })
+  },
+  paymentLink: {
+    fetch: async () => ({ payments: [] })
+  },
+  payments: {
+    all: async () => ({ items: captured })
+  }
+});
+
+const createPayment = (overrides = {}) => ({
+  _id: 'payment-1',
+  user: 'user-1',
+  paymentType: 'course',
+  status: 'pending',
+  amount: 499,
+  paymentGateway: { provider: 'razorpay', orderId: 'order_1' },
+  markAsFailed: mock.fn(async () => {}),
+  ...overrides
+});
+
+describe('reconcilePayments', () => {
+  let payments;
+  let updateOne;
+
+  beforeEach(() => {
+    payments = [];
+    fulfillPayment.mock.resetCalls();
+    mock.method(Payment, 'find', async () => payments);
+    mock.method(Payment, 'exists', async () => true);
+    updateOne = mock.method(Payment, 'updateOne', async () => ({ modifiedCount: 1 }));
+    mock.method(ReconciliationReport, 'create', async (report) => report);
+  });
+
+  it('fulfills a pending payment that Razorpay captured', async () => {
+    payments = [createPayment()];
+    const client = createClient({
+      attemptsByOrder: { order_1: [{ id: 'pay_1', amount: 49900, status: 'captured', method: 'upi', order_id: 'order_1' }] }
+    });
+
+    const report = await reconcilePayments({ client });
+
+    assert.equal(fulfillPayment.mock.callCount(), 1);
+    assert.deepEqual(fulfillPayment.mock.calls[0].arguments[1], { paymentId: 'pay_1', orderId: 'order_1', method: 'upi' });
+    assert.equal(report.summary.fulfilled, 1);
+  });
+
+  it('flags a capture for a different amount for review instead of fulfilling it', async () => {
+    payments = [createPayment()];
+    const client = createClient({
+      attemptsByOrder: { order_1: [{ id: 'pay_1', amount: 100, status: 'captured', order_id: 'order_1' }] }
+    });
+
+    const report = await reconcilePayments({ client });
+
+    assert.equal(fulfillPayment.mock.callCount(), 0);
+    assert.equal(report.summary.fulfilled, 0);
+    assert.equal(report.amountMismatches.length, 1);
+    assert.equal(report.amountMismatches[0].capturedAmount, 1);
+    assert.equal(updateOne.mock.calls[0].arguments[1].review.reason, 'amount_mismatch');
+  });
+
+  it('marks a pending payment failed when every attempt failed', async () => {
+    const payment = createPayment();
+    payments = [payment];
+    const client = createClient({
+      attemptsByOrder: { order_1: [{ id: 'pay_1', amount: 49900, status: 'failed', error_description: 'Card declined' }] }
+    });
+
+    const report = await reconcilePayments({ client });
+
+    assert.equal(payment.markAsFailed.mock.calls[0].arguments[0], 'Card declined');
+    assert.equal(report.summary.markedFailed, 1);
+  });
+
+  it('reports completed payments with no capture without changing them', async () => {
+    payments = [createPayment({ status: 'completed' })];
+
+    const report = await reconcilePayments({ client: createClient() });
+
+    assert.equal(report.summary.completedWithoutCapture, 1);
+    assert.equal(fulfillPayment.mock.callCount(), 0);
+  });
+
+  it('changes nothing on a dry run', async () => {
+    const payment = createPayment();
+    payments = [payment, createPayment({ _id: 'payment-2', paymentGateway: { provider: 'razorpay', orderId: 'order_2' } })];
+    const client = createClient({
+      attemptsByOrder: {
+        order_1: [{ id: 'pay_1', amount: 49900, status: 'captured', order_id: 'order_1' }],
+        order_2: [{ id: 'pay_2', amount: 49900, status: 'failed' }]
+      }
+    });
+
+    const report = await reconcilePayments({ client, dryRun: true });
+
+    assert.equal(fulfillPayment.mock.callCount(), 0);
+    assert.equal(payment.markAsFailed.mock.callCount(), 0);
+    assert.equal(report.summary.fulfilled, 1);
+    assert.equal(report.summary.markedFailed, 1);
+  });
+
+  it('reports captured payments that have no Payment record as orphaned', async () => {
+    mock.method(Payment, 'exists', async () => null);
+    const client = createClient({
+      captured: [{ id: 'pay_9', order_id: 'order_9', amount: 29900, currency: 'INR', status: 'captured' }]
+    });
+
+    const report = await reconcilePayments({ client });
+
+    assert.equal(report.orphanedPayments.length, 1);
+    assert.equal(report.orphanedPayments[0].amount, 299);
+  });
+
+  it('records a payment that could not be checked and carries on', async () => {
+    payments = [createPayment()];
+    const client = createClient();
+    client.orders.fetchPayments = async () => {
+      throw new Error('Gateway timeout');
+    };
+
+    const report = await reconcilePayments({ client });
+
+    assert.deepEqual(report.failures, [{ payment: 'payment-1', message: 'Gateway timeout' }]);
+  });
+});
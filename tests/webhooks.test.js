@@ -0,0 +1,103 @@
+const { describe, it, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.PAYMENT_PROVIDER = 'mock';
+process.env.RAZORPAY_WEBHOOK_SECRET = 'whsec_test';
+
+const Payment = require('../models/Payment');
+const Course = require('../models/Course');
+const Enrollment = require('../models/Enrollment');
+const invoices = require('../services/invoices');
+
+// Replaced before fulfillment.js is loaded, since it keeps its own reference to issueInvoice
+mock.method(invoices, 'issueInvoice', async () => ({}));
+
+const razorpayProvider = require('../services/payments/providers/razorpay');
+const { sign } = require('../services/payments/razorpayProtocol');
+const { processWebhookEvent } = require('../services/payments/webhooks');
+
+// Stand-in for a query that is awaited after .session()
+const query = (value) => ({ session: async () => value });
+
+// Webhook request signed the way Razorpay signs it
+const signedWebhook = (body) => {
+  const rawBody = JSON.stringify(body);
+  return { body, rawBody, headers: { 'x-razorpay-signature': sign(rawBody, process.env.RAZORPAY_WEBHOOK_SECRET) } };
+};
+
+const capturedEvent = {
+  event: 'payment.captured',
+  payload: {
+    payment: { entity: { id: 'pay_1', order_id: 'order_1', amount: 49900, method: 'upi' } }
+  }
+};
+
+describe('payment.captured webhook', () => {
+  let payment;
+  let enrollmentUpserts;
+  let enrollmentCountUpdates;
+
+  beforeEach(() => {
+    payment = new Payment({
+      user: 'user-1',
+      course: 'course-1',
+      amount: 499,
+      paymentType: 'course',
+      status: 'pending',
+      paymentGateway: { provider: 'razorpay', orderId: 'order_1', receipt: 'receipt_1' }
+    });
+
+    mock.method(Payment, 'findOne', async () => payment);
+    mock.method(Payment, 'findById', () => query(payment));
+    // Only a payment still in a fulfillable status moves to completed, as in MongoDB
+    mock.method(Payment, 'findOneAndUpdate', async (filter, update) => {
+      if (!filter.status.$in.includes(payment.status)) return null;
+      const previous = new Payment(payment.toObject());
+      payment.set(update.$set);
+      return previous;
+    });
+
+    mock.method(Course, 'findOne', () => query({ _id: 'course-object-id', c_id: 'course-1', accessDuration: '1 year' }));
+    enrollmentCountUpdates = mock.method(Course, 'updateOne', async () => ({ modifiedCount: 1 }));
+    enrollmentUpserts = mock.method(Enrollment, 'findOneAndUpdate', async (filter, update) => ({
+      value: { ...update.$setOnInsert, status: 'active' },
+      lastErrorObject: { updatedExisting: false }
+    }));
+  });
+
+  it('enrolls the student and records the payment details', async () => {
+    const parsed = await razorpayProvider.parseWebhook(signedWebhook(capturedEvent));
+
+    const outcome = await processWebhookEvent(razorpayProvider, parsed.event, capturedEvent);
+
+    assert.equal(outcome, 'fulfilled');
+    assert.equal(payment.status, 'completed');
+    assert.equal(payment.paymentGateway.paymentId, 'pay_1');
+    assert.equal(payment.paymentMethod, 'upi');
+    assert.equal(enrollmentUpserts.mock.callCount(), 1);
+  });
+
+  it('does not enroll twice when the same event is delivered again', async () => {
+    const parsed = await razorpayProvider.parseWebhook(signedWebhook(capturedEvent));
+
+    const first = await processWebhookEvent(razorpayProvider, parsed.event, capturedEvent);
+    const second = await processWebhookEvent(razorpayProvider, parsed.event, capturedEvent);
+
+    assert.equal(first, 'fulfilled');
+    assert.equal(second, 'already_fulfilled');
+    assert.equal(enrollmentUpserts.mock.callCount(), 1);
+    assert.equal(enrollmentCountUpdates.mock.callCount(), 1);
+  });
+
+  it('enrolls once when the webhook and checkout verification race', async () => {
+    const parsed = await razorpayProvider.parseWebhook(signedWebhook(capturedEvent));
+
+    const outcomes = await Promise.all([
+      processWebhookEvent(razorpayProvider, parsed.event, capturedEvent),
+      processWebhookEvent(razorpayProvider, parsed.event, capturedEvent)
+    ]);
+
+    assert.deepEqual(outcomes.sort(), ['already_fulfilled', 'fulfilled']);
+    assert.equal(enrollmentUpserts.mock.callCount(), 1);
+  });
+});